@@ -0,0 +1,159 @@
+// Runs FreesoundClient's retry, rate-limit and error paths against a local
+// mock of the Freesound API. The client is pointed at the mock the same way
+// the app is, through FREESOUND_API_URL.
+//
+//   npm run check:freesound
+const assert = require('assert');
+const http = require('http');
+const {
+    FreesoundClient,
+    FreesoundAuthError,
+    FreesoundRateLimitError,
+    FreesoundTimeoutError,
+    FreesoundNetworkError,
+    FreesoundServerError,
+    FreesoundRequestError
+} = require('../src/services/providers/freesoundClient');
+
+// Each scenario answers its nth request with the nth reply (the last one repeats)
+const SCENARIOS = {
+    'flaky': [{ status: 503 }, { status: 502 }, { status: 200, body: { count: 1 } }],
+    'busy': [{ status: 429, headers: { 'Retry-After': '0.05' } }, { status: 200, body: { count: 2 } }],
+    'busy-detail': [{ status: 429, body: { detail: 'Request was throttled. Expected available in 0.05 seconds.' } }, { status: 200, body: { count: 3 } }],
+    'used-up': [{ status: 429, headers: { 'Retry-After': '3600' } }],
+    'down': [{ status: 500 }],
+    'bad-key': [{ status: 401, body: { detail: 'Invalid token.' } }],
+    'missing': [{ status: 404, body: { detail: 'Sound not found' } }],
+    'bad-query': [{ status: 400, body: { detail: 'Invalid filter' } }],
+    'garbled': [{ status: 200, text: '<html>oops</html>' }],
+    'slow': [{ status: 200, body: { count: 4 }, delay: 500 }],
+    'shared': [{ status: 200, body: { count: 5 }, delay: 50 }]
+};
+
+function startMock() {
+    const hits = {};
+    const authorization = {};
+    const server = http.createServer((request, response) => {
+        const name = request.url.split('?')[0].replace(/^\/apiv2\/|\/$/g, '');
+        const replies = SCENARIOS[name];
+        if (!replies) {
+            response.writeHead(404).end();
+            return;
+        }
+        
+        hits[name] = (hits[name] || 0) + 1;
+        authorization[name] = request.headers.authorization;
+        const reply = replies[Math.min(hits[name], replies.length) - 1];
+        setTimeout(() => {
+            response.writeHead(reply.status, { 'Content-Type': 'application/json', ...reply.headers });
+            response.end(reply.text || JSON.stringify(reply.body || {}));
+        }, reply.delay || 0);
+    });
+    
+    return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve({ server, hits, authorization })));
+}
+
+async function rejects(promise, ErrorClass, check = () => {}) {
+    try {
+        await promise;
+    } catch (error) {
+        assert.ok(error instanceof ErrorClass, `expected ${ErrorClass.name}, got ${error.name}: ${error.message}`);
+        check(error);
+        return error;
+    }
+    assert.fail(`expected ${ErrorClass.name}, but the request succeeded`);
+}
+
+async function main() {
+    const { server, hits, authorization } = await startMock();
+    process.env.FREESOUND_API_URL = `http://127.0.0.1:${server.address().port}/apiv2`;
+    const createClient = (options = {}) => new FreesoundClient({
+        apiKey: 'test-key',
+        baseUrl: process.env.FREESOUND_API_URL,
+        backoff: 10,
+        maxBackoff: 20,
+        ...options
+    });
+    const client = createClient();
+    
+    const checks = {
+        'retries 5xx until it succeeds': async () => {
+            assert.deepStrictEqual(await client.get('/flaky/'), { count: 1 });
+            assert.strictEqual(hits.flaky, 3);
+            assert.strictEqual(authorization.flaky, 'Token test-key');
+        },
+        'waits out a 429 with Retry-After': async () => {
+            assert.deepStrictEqual(await client.get('/busy/'), { count: 2 });
+            assert.strictEqual(hits.busy, 2);
+        },
+        "reads the wait from Freesound's throttle message": async () => {
+            assert.deepStrictEqual(await client.get('/busy-detail/'), { count: 3 });
+            assert.strictEqual(hits['busy-detail'], 2);
+        },
+        "doesn't retry when the allowance is used up": async () => {
+            await rejects(client.get('/used-up/'), FreesoundRateLimitError, (error) => {
+                assert.strictEqual(error.retryable, false);
+                assert.strictEqual(error.retryAfter, 3600);
+            });
+            assert.strictEqual(hits['used-up'], 1);
+        },
+        'gives up on 5xx after maxRetries': async () => {
+            await rejects(client.get('/down/'), FreesoundServerError, (error) => assert.strictEqual(error.status, 500));
+            assert.strictEqual(hits.down, 4);
+        },
+        "doesn't retry a rejected key": async () => {
+            await rejects(client.get('/bad-key/'), FreesoundAuthError, (error) => assert.strictEqual(error.code, 'auth'));
+            assert.strictEqual(hits['bad-key'], 1);
+        },
+        'types 404 and 400 responses': async () => {
+            await rejects(client.get('/missing/'), FreesoundRequestError, (error) => {
+                assert.strictEqual(error.code, 'not-found');
+                assert.match(error.message, /Sound not found/);
+            });
+            await rejects(client.get('/bad-query/'), FreesoundRequestError, (error) => assert.strictEqual(error.code, 'bad-request'));
+        },
+        "reports a body that isn't JSON": async () => {
+            await rejects(client.get('/garbled/'), Error, (error) => assert.strictEqual(error.code, 'bad-response'));
+        },
+        'times out, retries, then gives up': async () => {
+            await rejects(createClient({ timeout: 100, maxRetries: 1 }).get('/slow/'), FreesoundTimeoutError);
+            assert.strictEqual(hits.slow, 2);
+        },
+        'reports an unreachable server': async () => {
+            const closed = createClient({ baseUrl: 'http://127.0.0.1:1/apiv2', maxRetries: 1 });
+            await rejects(closed.get('/flaky/'), FreesoundNetworkError, (error) => assert.strictEqual(error.code, 'network'));
+        },
+        'shares one request between identical calls': async () => {
+            const [first, second] = await Promise.all([client.get('/shared/', { q: 'rain' }), client.get('/shared/', { q: 'rain' })]);
+            assert.strictEqual(first, second);
+            assert.strictEqual(hits.shared, 1);
+        },
+        'waits for a free slot in the rate window': async () => {
+            const limited = createClient({ requestsPerMinute: 1 });
+            limited.requestTimes = [Date.now() - 59800]; // The window frees up in 200ms
+            const started = Date.now();
+            await limited.get('/shared/', { q: 'waves' });
+            assert.ok(Date.now() - started >= 150, 'request went out before the window had room');
+        }
+    };
+    
+    let failed = 0;
+    for (const [name, check] of Object.entries(checks)) {
+        try {
+            await check();
+            console.log(`✅ ${name}`);
+        } catch (error) {
+            failed++;
+            console.error(`❌ ${name}\n   ${error.message}`);
+        }
+    }
+    
+    server.close();
+    console.log(failed ? `\n${failed} of ${Object.keys(checks).length} checks failed` : '\nAll Freesound client checks passed');
+    process.exitCode = failed ? 1 : 0;
+}
+
+main().catch((error) => {
+    console.error(error);
+    process.exitCode = 1;
+});
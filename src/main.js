@@ -1,7 +1,7 @@
 // Load environment variables from .env file
 require('dotenv').config();
 
-const { app, BrowserWindow, ipcMain, screen, globalShortcut } = require('electron');
+const { app, BrowserWindow, ipcMain, screen, globalShortcut, dialog } = require('electron');
 const path = require('path');
 const OpenAI = require('openai');
 
@@ -136,6 +136,35 @@ ipcMain.handle('get-freesound-api-key', () => {
   return process.env.FREESOUND_API_KEY;
 });
 
+// Optional override of the Freesound API address, e.g. a local mock server
+ipcMain.handle('get-freesound-api-url', () => {
+  return process.env.FREESOUND_API_URL || null;
+});
+
+ipcMain.handle('get-user-data-path', () => {
+  return app.getPath('userData');
+});
+
+ipcMain.handle('choose-music-folder', async () => {
+  const result = await dialog.showOpenDialog(mainWindow, {
+    title: 'Choose your music folder',
+    properties: ['openDirectory']
+  });
+  return result.canceled ? null : result.filePaths[0];
+});
+
+ipcMain.handle('choose-export-path', async (event, defaultName) => {
+  const result = await dialog.showSaveDialog(mainWindow, {
+    title: 'Export',
+    defaultPath: path.join(app.getPath('documents'), defaultName),
+    filters: [
+      { name: 'CSV', extensions: ['csv'] },
+      { name: 'JSON', extensions: ['json'] }
+    ]
+  });
+  return result.canceled ? null : result.filePath;
+});
+
 ipcMain.handle('interpret-music-request', async (event, userInput) => {
   console.log('🤖 Main process interpreting:', userInput);
   
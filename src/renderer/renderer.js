@@ -1,6 +1,9 @@
 const { ipcRenderer } = require('electron');
 const VoiceProcessor = require('../services/voiceProcessor');
 const AudioSystem = require('../services/audioSystem');
+const { formatCountdown, describeDuration } = require('../utils/timeParse');
+const { parseRules, describeRule } = require('../services/soundscapeSchedule');
+const settings = require('../services/settingsStore');
 
 class VoiceProductivityCompanion {
     constructor() {
@@ -16,6 +19,15 @@ class VoiceProductivityCompanion {
         this.micToggle = document.getElementById('micToggle');
         this.settingsBtn = document.getElementById('settingsBtn');
         this.vadIndicator = document.getElementById('vadIndicator');
+        this.timerText = document.getElementById('timerText');
+        this.nowPlaying = null; // Name of the music track, from 'music-changed'
+        this.providerError = null; // Last failed search, explained alongside the result
+        this.layerError = null; // Last layer that failed to play, from 'playback-error'
+        this.commandId = 0; // Latest voice command; older ones still running were barged in on
+        this.processingCommand = false;
+        this.timerInterval = null;
+        this.focusText = document.getElementById('focusText');
+        this.focusInterval = null;
             
             if (!this.statusText || !this.listeningDot || !this.micToggle || !this.settingsBtn || !this.vadIndicator) {
                 throw new Error('Required DOM elements not found');
@@ -52,11 +64,26 @@ class VoiceProductivityCompanion {
         this.voiceProcessor.on('listening', () => this.setListeningState(true));
         this.voiceProcessor.on('stopped', () => this.setListeningState(false));
         this.voiceProcessor.on('transcription', (text) => this.handleVoiceCommand(text));
+        this.voiceProcessor.on('interim', (text) => this.showInterim(text));
+        this.voiceProcessor.on('recognition-error', (error) => this.showError(`Speech recognition: ${error.message || error}`));
         this.voiceProcessor.on('speaking', () => this.setSpeakingState(true));
         this.voiceProcessor.on('speaking-complete', () => this.setSpeakingState(false));
+        this.voiceProcessor.on('wake', () => this.onWakeWord());
+        this.voiceProcessor.on('command-end', () => this.onCommandEnd());
         
         // Audio system events
         this.audioSystem.on('music-changed', (info) => this.updateMusicInfo(info));
+        this.audioSystem.on('output-device-changed', (device) => this.updateStatus(`🔈 Playing on ${device.label}`));
+        this.audioSystem.on('sleep-timer-finished', () => this.updateStatus('⏾ Sleep timer finished'));
+        this.audioSystem.on('focus-session-finished', () => this.updateStatus('🍅 Focus session complete - nice work'));
+        this.audioSystem.on('playback-state', (change) => this.updatePlaybackState(change));
+        this.audioSystem.on('playback-error', ({ layer, message }) => {
+            this.layerError = { layer, message, at: Date.now() };
+            this.showError(`${layer}: ${message}`);
+        });
+        this.audioSystem.on('provider-error', (error) => {
+            this.providerError = { ...error, at: Date.now() };
+        });
         
         // Window controls
         document.addEventListener('keydown', (e) => {
@@ -84,7 +111,6 @@ class VoiceProductivityCompanion {
         this.settingsBtn.addEventListener('click', (e) => {
             console.log('Settings button clicked!');
             e.stopPropagation();
-            this.showVADSettings();
         });
 
         // Listen for global shortcut from main process
@@ -109,7 +135,7 @@ class VoiceProductivityCompanion {
             this.updateStatus('Initializing voice system...');
             console.log('🖼️ Interface should be visible now');
             
-            // Initialize voice processor with Deepgram
+            // Initialize voice processor with the configured speech-to-text backend
             console.log('📡 Initializing voice processor...');
             try {
                 await this.voiceProcessor.initialize();
@@ -130,7 +156,7 @@ class VoiceProductivityCompanion {
                 
             } catch (voiceError) {
                 console.error('❌ Voice processor failed:', voiceError);
-                this.updateStatus('Voice system failed - continuing without voice');
+                this.updateStatus(`Voice system failed - continuing without voice (${voiceError.message})`);
                 // Continue without voice processor
             }
             
@@ -145,8 +171,18 @@ class VoiceProductivityCompanion {
                 // Continue without audio
             }
             
+            // Hands-free mode, if it was left on
+            if (settings.get('wakeWord.enabled')) {
+                try {
+                    await this.voiceProcessor.setWakeWord();
+                } catch (wakeError) {
+                    console.error('❌ Wake word failed:', wakeError);
+                    this.showError(`Wake word off: ${wakeError.message}`);
+                }
+            }
+            
             this.isInitialized = true;
-            this.updateStatus('Ready - Voice detection active • Press ⌘M to request music • ESC to hide');
+            this.updateStatus(`Ready - Voice detection active • ${this.idleHint()}`);
             console.log('🎉 Full initialization complete!');
             console.log('🖼️ Interface should be fully visible and interactive');
             
@@ -196,8 +232,22 @@ class VoiceProductivityCompanion {
     async handleVoiceCommand(transcription) {
         if (!transcription || transcription.trim().length === 0) return;
         
+        // One command at a time, unless barge-in lets a new one take over
+        if (this.processingCommand) {
+            if (!this.voiceProcessor.bargeIn) {
+                console.log('Still processing - ignoring:', transcription);
+                return;
+            }
+            console.log('⏭️ Barge-in - replacing the command in progress');
+        }
+        this.voiceProcessor.stopSpeaking();
+        const commandId = ++this.commandId;
+        const superseded = () => commandId !== this.commandId;
+        this.processingCommand = true;
+        
         console.log('Voice command:', transcription);
         this.updateStatus(`Processing: "${transcription}"`);
+        const startedAt = Date.now();
         
         try {
             // Check if it's a simple control command first - be more specific to avoid false positives
@@ -214,12 +264,26 @@ class VoiceProductivityCompanion {
                                      lowerTranscription === 'resume' ||
                                      (lowerTranscription === 'play' && transcription.split(' ').length === 1); // Only single word "play"
             
+            // Structured commands like "add rain" or "rain louder"
+            const controlCommand = this.voiceProcessor.matchControlCommand(transcription);
+            
             if (isVolumeCommand || isPlaybackCommand) {
                 // Use traditional intent parsing for simple commands
                 const command = await this.voiceProcessor.parseIntent(transcription);
                 await this.audioSystem.executeCommand(command);
-                const response = this.generateResponse(command);
-                this.updateStatus(`✅ ${response}`);
+                if (superseded()) return;
+                this.reportResult(startedAt, this.generateResponse(command));
+            } else if (controlCommand) {
+                await this.audioSystem.executeCommand(controlCommand);
+                if (superseded()) return;
+                const layerError = this.layerError && this.layerError.at >= startedAt ? this.layerError : null;
+                if (controlCommand.reason && layerError) {
+                    this.showError(`${controlCommand.reason}: ${layerError.message}`);
+                } else if (controlCommand.reason) {
+                    this.updateStatus(controlCommand.reason); // Nothing changed - say why
+                } else {
+                    this.reportResult(startedAt, this.generateResponse(controlCommand));
+                }
             } else {
                 // Pass full natural language to GPT-powered audio system
                 console.log('🎵 Sending full transcription to GPT:', transcription);
@@ -227,23 +291,97 @@ class VoiceProductivityCompanion {
                     text: transcription,
                     category: 'music'
                 });
-                this.updateStatus(`✅ Playing music for: "${transcription}"`);
+                if (superseded()) return; // The newer command reports instead
+                
+                // Only claim success for what's actually audible
+                const { state } = this.audioSystem.playback;
+                if (state === 'playing' || state === 'buffering') {
+                    this.reportResult(startedAt, `Playing ${this.nowPlaying ? `"${this.nowPlaying}"` : 'music'} for: "${transcription}"`);
+                } else if (state === 'idle' || state === 'paused') {
+                    const reason = this.providerError && this.providerError.at >= startedAt ? ` - ${this.providerError.message}` : '';
+                    this.updateStatus(`Couldn't find music for: "${transcription}"${reason}`);
+                } else {
+                    this.reportResult(startedAt, null); // Superseded by a newer request, or failed
+                }
             }
             
         } catch (error) {
             console.error('Command processing error:', error);
+            if (superseded()) return;
             this.updateStatus('Sorry, I couldn\'t find music for that request');
         }
+        this.processingCommand = false;
         
         // Stop listening after processing command - let music play normally
         this.stopListening();
         
-        // Update status to show music is playing and how to make next request
+        // Update status to show music is playing and how to make next request.
+        // Errors stay up until something else happens.
         setTimeout(() => {
-            this.updateStatus('Press ⌘M to request music • ESC to hide');
+            if (this.audioSystem.playback.state !== 'error') {
+                this.updateStatus(this.idleHint());
+            }
         }, 2000);
     }
     
+    idleHint() {
+        if (this.voiceProcessor.wakeWordEnabled) {
+            return `Say "${this.voiceProcessor.wakeWord.phrase}" or press ⌘M to request music • ESC to hide`;
+        }
+        return 'Press ⌘M to request music • ESC to hide';
+    }
+    
+    // Acknowledge the wake phrase: light up the dot, chime, and duck the music
+    // until the command has been handled
+    onWakeWord() {
+        this.isListening = true;
+        this.listeningDot.classList.add('awake');
+        this.setListeningState(true);
+        this.updateStatus('👂 Listening... (Say your request)');
+        this.audioSystem.onWakeWord({ chime: settings.get('wakeWord.chime') });
+    }
+    
+    onCommandEnd() {
+        this.isListening = false;
+        this.listeningDot.classList.remove('awake');
+        this.setListeningState(false);
+        this.audioSystem.onCommandFinished();
+    }
+    
+    // Show the response, unless playback failed while the command ran. A music
+    // source that failed along the way (e.g. Freesound unreachable) is mentioned too.
+    reportResult(startedAt, response) {
+        const { state, error, since } = this.audioSystem.playback.getState();
+        const providerError = this.providerError && this.providerError.at >= startedAt ? this.providerError : null;
+        
+        if (state === 'error' && since >= startedAt) {
+            this.showError(providerError ? `${error} (${providerError.message})` : error);
+        } else if (response) {
+            this.updateStatus(providerError ? `✅ ${response} ⚠️ ${providerError.message}` : `✅ ${response}`);
+        }
+    }
+    
+    updatePlaybackState({ state, previous, error }) {
+        const messages = {
+            resolving: '🔍 Finding music...',
+            loading: '⏳ Loading...',
+            buffering: '⏳ Buffering...'
+        };
+        
+        if (state === 'error') {
+            this.showError(error);
+        } else if (messages[state]) {
+            this.updateStatus(messages[state]);
+        } else if (state === 'playing' && previous === 'buffering') {
+            this.updateStatus(`▶️ ${this.nowPlaying || 'Playing'}`);
+        }
+    }
+    
+    showError(message) {
+        this.updateStatus(`⚠️ ${message}`);
+        this.statusText.classList.add('error');
+    }
+    
     generateResponse(command) {
         const responses = {
             'ambient': 'Now playing dreamy ambient tones',
@@ -254,10 +392,49 @@ class VoiceProductivityCompanion {
             'volume_up': 'Increasing volume',
             'volume_down': 'Decreasing volume',
             'stop': 'Music paused',
-            'play': 'Resuming playback'
+            'play': 'Resuming playback',
+            'add_layer': `Adding ${command.layer} to the mix`,
+            'adjust_effects': `Adjusting the sound: ${command.description}`,
+            'set_effects': 'Reverb off',
+            'reset_effects': 'Sound reset to flat',
+            'add_brainwave': `Adding ${command.description}${(command.mode || this.audioSystem.brainwaveMode) === 'binaural' ? ' - best on headphones' : ''}`,
+            'remove_layer': `Removing ${command.layer} from the mix`,
+            'adjust_layer': `Making ${command.description}`,
+            'mute_layer': command.muted ? `Muting ${command.layer}` : `Unmuting ${command.layer}`,
+            'next_track': 'Skipping to the next track',
+            'previous_track': 'Going back a track',
+            'shuffle_queue': 'Shuffling the queue',
+            'favorite_track': command.favorite === false
+                ? `Removed "${command.trackName}" from favorites`
+                : `Added "${command.trackName}" to favorites`,
+            'ban_track': `Won't play "${command.trackName}" again`,
+            'dislike_track': `Noted - playing less like "${command.trackName}"`,
+            'play_favorites': command.trackName ? `Playing your ${command.count} favorites` : null,
+            'more_like_this': command.trackName
+                ? `Playing "${command.trackName}" - ${command.modifier ? `similar but ${command.modifier}` : 'more like the last one'}`
+                : null,
+            'less_like_this': command.trackName ? `Switching to something different: "${command.trackName}"` : null,
+            'set_playback_mode': command.mode === 'loop-one' ? 'Looping this track' : 'Playing through the queue',
+            'start_focus': `Starting ${this.audioSystem.getFocusState().rounds} rounds - time to focus`,
+            'pause_focus': 'Focus session paused',
+            'resume_focus': 'Focus session resumed',
+            'skip_focus': this.describeFocusState(),
+            'stop_focus': 'Focus session stopped',
+            'focus_status': this.describeFocusState(),
+            'start_timer': `Stopping in ${describeDuration(this.audioSystem.getTimerState().remaining)}`,
+            'extend_timer': `Timer extended - ${describeDuration(this.audioSystem.getTimerState().remaining)} left`,
+            'cancel_timer': 'Sleep timer cancelled',
+            'query_timer': this.audioSystem.getTimerState().active
+                ? `${describeDuration(this.audioSystem.getTimerState().remaining)} left on the timer`
+                : 'No sleep timer set',
+            'resume_schedule': this.audioSystem.getScheduleState().rule
+                ? `Back to the schedule: ${this.audioSystem.getScheduleState().rule.style}`
+                : 'Back to the schedule - nothing scheduled right now',
+            'set_schedule': command.enabled ? 'Schedule on' : 'Schedule off',
+            'set_output_device': command.deviceLabel ? `Playing on ${command.deviceLabel}` : `Couldn't find ${command.device}`
         };
         
-        return responses[command.action] || `Adjusting soundscape to ${command.description}`;
+        return command.action in responses ? responses[command.action] : `Adjusting soundscape to ${command.description}`;
     }
     
     setListeningState(listening) {
@@ -283,45 +460,495 @@ class VoiceProductivityCompanion {
     
     updateStatus(message) {
         this.statusText.textContent = message;
+        this.statusText.classList.remove('error', 'interim');
         console.log('Status update:', message);
     }
     
+    // Words as they're recognized; the final text replaces them
+    showInterim(text) {
+        this.statusText.textContent = `"${text}..."`;
+        this.statusText.classList.remove('error');
+        this.statusText.classList.add('interim');
+    }
+    
     updateMusicInfo(info) {
         // Update UI with current music information
         console.log('Music info:', info);
+        this.nowPlaying = info.trackName;
+        this.updateTimer(info.timer);
+        this.updateFocus(info.focus);
+        if (info.layers && info.layers.length > 0) {
+            console.log('🎚️ Mix:', info.layers.map(layer =>
+                `${layer.name} ${layer.muted ? 'muted' : Math.round(layer.gain * 100) + '%'}`).join(' • '));
+        }
+    }
+    
+    // Countdown next to the status text while a sleep timer is running
+    updateTimer(timer) {
+        if (!timer) return;
+        
+        clearInterval(this.timerInterval);
+        this.timerInterval = null;
+        this.timerText.classList.toggle('active', timer.active);
+        this.timerText.classList.toggle('fading', timer.fading);
+        if (!timer.active) return;
+        
+        const render = () => {
+            this.timerText.textContent = `⏾ ${formatCountdown(timer.endsAt - Date.now())}`;
+        };
+        render();
+        this.timerInterval = setInterval(render, 1000);
+    }
+    
+    describeFocusState() {
+        const focus = this.audioSystem.getFocusState();
+        if (!focus.active) {
+            return `No focus session running (${focus.completedToday} rounds done today)`;
+        }
+        const phase = focus.phase === 'work' ? 'focus' : 'break';
+        return `Round ${focus.round} of ${focus.rounds} - ${describeDuration(focus.remaining)} of ${phase} left`;
+    }
+    
+    // "🍅 2/4 18:32" while working, "☕ 2/4 3:10" on a break
+    updateFocus(focus) {
+        if (!focus) return;
+        
+        clearInterval(this.focusInterval);
+        this.focusInterval = null;
+        this.focusText.classList.toggle('active', focus.active);
+        this.focusText.classList.toggle('break', focus.active && focus.phase !== 'work');
+        this.focusText.classList.toggle('paused', focus.paused);
+        if (!focus.active) return;
+        
+        const icon = focus.phase === 'work' ? '🍅' : '☕';
+        const render = () => {
+            const remaining = focus.paused ? focus.remaining : focus.endsAt - Date.now();
+            this.focusText.textContent = `${icon} ${focus.round}/${focus.rounds} ${formatCountdown(remaining)}`;
+        };
+        render();
+        if (!focus.paused) {
+            this.focusInterval = setInterval(render, 1000);
+        }
     }
     
     showSettings() {
-        // TODO: Implement settings panel
         console.log('Settings clicked');
+        
+        const choice = prompt(`Settings:
+        
+1. Voice detection
+2. Playback
+3. Audio cache
+4. Music sources
+5. License ledger
+6. Output device
+7. Focus sessions
+8. Ducking
+9. Schedule
+10. Speech recognition
+11. Wake word
+
+Choose a section:`, '1');
+        
+        switch ((choice || '').trim()) {
+            case '1':
+                this.showVADSettings();
+                break;
+            case '2':
+                this.showPlaybackSettings();
+                break;
+            case '3':
+                this.showCacheSettings();
+                break;
+            case '4':
+                this.showProviderSettings();
+                break;
+            case '5':
+                this.showLicenseLedger();
+                break;
+            case '6':
+                this.showOutputSettings();
+                break;
+            case '7':
+                this.showFocusSettings();
+                break;
+            case '8':
+                this.showDuckingSettings();
+                break;
+            case '9':
+                this.showScheduleSettings();
+                break;
+            case '10':
+                this.showSpeechSettings();
+                break;
+            case '11':
+                this.showWakeWordSettings();
+                break;
+        }
     }
+    
+    showPlaybackSettings() {
+        const audio = this.audioSystem;
+        
+        const mode = prompt(`Playback Settings:
+        
+Current Mode: ${audio.playbackMode}
+Queue: ${audio.queue.getState().position}/${audio.queue.length}
 
-    showVADSettings() {
+When a track ends ("advance" or "loop-one"):`, audio.playbackMode);
+        if (mode === null) return;
+        audio.setPlaybackMode(mode.trim());
+        
+        const duration = prompt('Crossfade length in seconds (0-30):', audio.crossfadeDuration.toString());
+        if (duration === null || isNaN(duration)) return;
+        
+        const curve = prompt('Crossfade curve ("equal-power" or "linear"):', audio.crossfadeCurve);
+        if (curve === null) return;
+        audio.setCrossfade({ duration: parseFloat(duration), curve: curve.trim() });
+        
+        const target = prompt('Target loudness in LUFS, e.g. -18 (type "off" to play tracks at their own level):',
+            audio.normalizeLoudness ? audio.loudnessTarget.toString() : 'off');
+        if (target === null) return;
+        if (target.trim().toLowerCase() === 'off') {
+            audio.setLoudnessNormalization({ enabled: false });
+        } else if (!isNaN(target)) {
+            audio.setLoudnessNormalization({ enabled: true, target: parseFloat(target) });
+        }
+        
+        const ceiling = prompt('Output limiter ceiling in dBFS, e.g. -1 (type "off" to bypass the limiter):',
+            audio.limiterEnabled ? audio.limiterCeiling.toString() : 'off');
+        if (ceiling === null) return;
+        if (ceiling.trim().toLowerCase() === 'off') {
+            audio.setLimiter({ enabled: false });
+        } else if (!isNaN(ceiling)) {
+            audio.setLimiter({ enabled: true, ceiling: parseFloat(ceiling) });
+        }
+    }
+    
+    async showCacheSettings() {
+        const audio = this.audioSystem;
+        const stats = audio.cache.getStats();
+        const toMB = (bytes) => (bytes / (1024 * 1024)).toFixed(1);
+        const recent = stats.tracks.slice(0, 5)
+            .map(track => `  • ${track.name} by ${track.username} (${toMB(track.size)} MB)`)
+            .join('\n');
+        
+        const maxSize = prompt(`Audio Cache:
+        
+Location: ${stats.directory}
+Tracks: ${stats.count}
+Size: ${toMB(stats.sizeBytes)} of ${toMB(stats.maxSizeBytes)} MB
+Offline Only: ${audio.offlineOnly ? 'Yes' : 'No'}
+${recent ? `\nRecently played:\n${recent}\n` : ''}
+Maximum cache size in MB (type "clear" to empty the cache):`, Math.round(stats.maxSizeBytes / (1024 * 1024)).toString());
+        if (maxSize === null) return;
+        
+        if (maxSize.trim().toLowerCase() === 'clear') {
+            await audio.clearCache();
+            this.updateStatus('Audio cache cleared');
+            return;
+        }
+        if (!isNaN(maxSize)) {
+            audio.setCacheSize(parseFloat(maxSize));
+        }
+        
+        const offline = prompt('Only play cached tracks, even when online? (yes/no)', audio.offlineOnly ? 'yes' : 'no');
+        if (offline !== null) {
+            audio.setOfflineOnly(offline.trim().toLowerCase().startsWith('y'));
+        }
+    }
+    
+    async showProviderSettings() {
+        const audio = this.audioSystem;
+        const local = audio.getProvider('local');
+        const providers = audio.getProviderState()
+            .map((provider, index) => `${index + 1}. ${provider.name}: ${provider.enabled ? 'on' : 'off'}${provider.available ? '' : ' (unavailable)'}`)
+            .join('\n');
+        
+        const choice = prompt(`Music Sources (searched in this order):
+        
+${providers}
+
+Local folder: ${local.folder || 'none'} (${local.tracks.length} tracks)
+Strategy: ${audio.providerStrategy}
+
+Type a number to turn a source on/off, "first N" to search it first,
+"folder" to choose your music folder, "rescan", or "merge"/"rank":`, '');
+        if (!choice) return;
+        
+        const input = choice.trim().toLowerCase();
+        const state = audio.getProviderState();
+        const first = input.match(/^first\s+(\d+)$/);
+        
+        if (input === 'folder') {
+            const folder = await ipcRenderer.invoke('choose-music-folder');
+            if (folder) {
+                this.updateStatus('Scanning music folder...');
+                const count = await audio.setLocalLibraryFolder(folder);
+                this.updateStatus(`📁 ${count} tracks in your local library`);
+            }
+        } else if (input === 'rescan') {
+            this.updateStatus('Scanning music folder...');
+            const count = await local.scan();
+            this.updateStatus(`📁 ${count} tracks in your local library`);
+        } else if (input === 'merge' || input === 'rank') {
+            audio.setProviderStrategy(input);
+        } else if (first && state[parseInt(first[1]) - 1]) {
+            audio.prioritizeProvider(state[parseInt(first[1]) - 1].id);
+        } else if (state[parseInt(input) - 1]) {
+            const provider = state[parseInt(input) - 1];
+            audio.setProviderEnabled(provider.id, !provider.enabled);
+        }
+    }
+    
+    async showOutputSettings() {
+        const audio = this.audioSystem;
+        const devices = await audio.outputDevices.refresh();
+        const current = audio.getOutputDevice();
+        const list = devices
+            .map((device, index) => `${index + 1}. ${device.label}${device.id === current.id ? ' (playing)' : ''}`)
+            .join('\n');
+        
+        const choice = prompt(`Output Device:
+        
+${list}
+
+Volume and ducking are remembered for each device.
+Play on device number:`, (devices.findIndex(device => device.id === current.id) + 1).toString());
+        if (!choice) return;
+        
+        const device = devices[parseInt(choice) - 1];
+        if (device && await audio.setOutputDevice(device.id)) {
+            this.updateStatus(`🔈 Playing on ${device.label}`);
+        }
+    }
+    
+    showFocusSettings() {
+        const focus = this.audioSystem.focusSession;
+        const today = focus.getTodaysRounds();
+        const recent = focus.log.slice(-5).reverse()
+            .map(entry => `  • ${new Date(entry.completedAt).toLocaleString()} - round ${entry.round}/${entry.rounds} (${entry.workMinutes} min)`)
+            .join('\n');
+        
+        const cycle = prompt(`Focus Sessions:
+        
+Rounds completed today: ${today.length} (${today.reduce((total, entry) => total + entry.workMinutes, 0)} min)
+${recent ? `\nRecent rounds:\n${recent}\n` : ''}
+Default cycle as "rounds work break long-break" in minutes:`,
+            `${focus.rounds} ${focus.workMinutes} ${focus.shortBreakMinutes} ${focus.longBreakMinutes}`);
+        if (!cycle) return;
+        
+        const [rounds, workMinutes, shortBreakMinutes, longBreakMinutes] = cycle.trim().split(/\s+/).map(parseFloat);
+        this.audioSystem.setFocusDefaults({ rounds, workMinutes, shortBreakMinutes, longBreakMinutes });
+    }
+    
+    async showLicenseLedger() {
+        const entries = this.audioSystem.ledger.getEntries();
+        const recent = entries.slice(0, 5)
+            .map(entry => `  • ${entry.name} by ${entry.username} (${entry.license || 'unknown license'})`)
+            .join('\n');
+        
+        const format = prompt(`License Ledger:
+        
+Tracks played: ${entries.length}
+${recent ? `\nRecently played:\n${recent}\n` : ''}
+Export as "csv" or "json":`, 'csv');
+        if (!format) return;
+        
+        const extension = format.trim().toLowerCase() === 'json' ? 'json' : 'csv';
+        const filePath = await ipcRenderer.invoke('choose-export-path', `license-ledger.${extension}`);
+        if (!filePath) return;
+        
+        try {
+            await this.audioSystem.exportLicenseLedger(filePath);
+            this.updateStatus(`📜 Ledger exported (${entries.length} tracks)`);
+        } catch (error) {
+            console.error('📜 Ledger export failed:', error);
+            this.updateStatus('Ledger export failed');
+        }
+    }
+    
+    showDuckingSettings() {
+        const audio = this.audioSystem;
+        const ducking = audio.ducking;
+        
+        const timing = prompt(`Ducking Settings:
+        
+Music level while you speak: ${Math.round(audio.vadDuckingFactor * 100)}% (${audio.duckingDepth().toFixed(1)} dB, set under Voice detection)
+Curves: ${ducking.attackCurve} down, ${ducking.releaseCurve} up
+
+Timing as "attack hold release lookahead" in ms:`,
+            `${ducking.attack} ${ducking.hold} ${ducking.release} ${ducking.lookahead}`);
+        if (timing === null) return;
+        
+        const [attack, hold, release, lookahead] = timing.trim().split(/\s+/).map(parseFloat);
+        
+        const curves = prompt('Curves as "down up" (linear, exponential or smooth):', `${ducking.attackCurve} ${ducking.releaseCurve}`);
+        const [attackCurve, releaseCurve] = (curves || '').trim().split(/\s+/);
+        
+        const depthText = Object.entries(ducking.depths).map(([key, value]) => `${key}=${value}`).join(' ');
+        const depthInput = prompt(`Per-layer depth in dB, e.g. "music=18 rain=4 noise=6"
+(layer names, source kinds or categories; empty uses the level above for everything):`, depthText);
+        
+        const options = { attack, hold, release, lookahead, attackCurve, releaseCurve };
+        if (depthInput !== null) {
+            options.depths = {};
+            for (const pair of depthInput.trim().split(/\s+/).filter(Boolean)) {
+                const [key, value] = pair.split('=');
+                options.depths[key] = parseFloat(value);
+            }
+        }
+        audio.setDucking(options);
+        this.updateStatus('🎚️ Ducking updated');
+    }
+    
+    showScheduleSettings() {
+        const audio = this.audioSystem;
+        const schedule = audio.getScheduleState();
+        const now = schedule.rule ? `Now: ${describeRule(schedule.rule)}` : 'Now: nothing scheduled';
+        const override = schedule.overridden ? `\nOverridden by hand until ${new Date(schedule.overrideUntil).toLocaleTimeString()}` : '';
+        
+        const enabled = prompt(`Schedule:
+        
+Status: ${schedule.enabled ? 'on' : 'off'}
+${now}${override}
+Rules file: ${audio.schedule.filePath}
+
+Schedule on or off:`, schedule.enabled ? 'on' : 'off');
+        if (enabled === null) return;
+        
+        const rules = prompt(`Rules, separated by ";" - the first one that matches wins.
+"[days] start-end style [+ layers]", e.g. "weekdays 9-12 focus piano; 12-13 nature + birds; 17- relax"
+(days: weekdays, weekends or mon,tue...; no end runs to midnight):`,
+            audio.schedule.rules.map(describeRule).join('; '));
+        audio.setSchedule({
+            enabled: enabled.trim().toLowerCase() === 'on',
+            rules: rules !== null ? parseRules(rules) : undefined
+        });
+        this.updateStatus(`🗓️ Schedule ${audio.schedule.enabled ? 'on' : 'off'} - ${audio.schedule.rules.length} rules`);
+    }
+    
+    async showSpeechSettings() {
+        const voice = this.voiceProcessor;
+        const current = voice.backend ? voice.backend.name : 'none';
+        
+        const choice = prompt(`Speech Recognition:
+        
+In use: ${current}
+Backend setting: ${settings.get('stt.backend')}
+
+Backend ("deepgram", "vosk" for offline, or "auto"):`, settings.get('stt.backend'));
+        if (choice === null) return;
+        
+        const backend = choice.trim().toLowerCase();
+        const options = {};
+        if (backend === 'vosk' || backend === 'auto') {
+            const modelPath = prompt('Vosk model folder (download one from alphacephei.com/vosk/models):',
+                settings.get('stt.voskModelPath') || '');
+            if (modelPath !== null) {
+                options.voskModelPath = modelPath.trim();
+            }
+        }
+        
+        const bargeIn = prompt(`Barge-in: a new command replaces one still being processed, and talking over a reply cuts it off.
+Barge-in on or off:`, voice.bargeIn ? 'on' : 'off');
+        if (bargeIn !== null) {
+            voice.setBargeIn(bargeIn.trim().toLowerCase() === 'on');
+        }
+        
+        try {
+            this.updateStatus('🎙️ Switching speech recognition...');
+            const active = await voice.setBackend(backend, options);
+            this.updateStatus(`🎙️ Speech recognition: ${active.name}${voice.bargeIn ? ' • barge-in on' : ''}`);
+        } catch (error) {
+            console.error('🎙️ Failed to switch speech recognition:', error);
+            this.showError(error.message);
+        }
+    }
+    
+    async showWakeWordSettings() {
+        const options = settings.get('wakeWord');
+        
+        const enabled = prompt(`Wake Word:
+        
+Status: ${options.enabled ? 'on' : 'off'}
+Phrase: "${options.phrase}"
+Sensitivity: ${options.sensitivity}
+Spotted on this machine with the Vosk model from Speech recognition;
+nothing is sent anywhere until the phrase is heard.
+
+Wake word on or off:`, options.enabled ? 'on' : 'off');
+        if (enabled === null) return;
+        
+        const changes = { enabled: enabled.trim().toLowerCase() === 'on' };
+        if (changes.enabled) {
+            const phrase = prompt('Wake phrase (every word must be in the model\'s vocabulary):', options.phrase);
+            if (phrase !== null && phrase.trim()) {
+                changes.phrase = phrase.trim();
+            }
+            const sensitivity = prompt('Sensitivity, 0-1 (higher wakes more easily, and more often by mistake):', options.sensitivity.toString());
+            if (sensitivity !== null && !isNaN(parseFloat(sensitivity))) {
+                changes.sensitivity = Math.max(0, Math.min(1, parseFloat(sensitivity)));
+            }
+            const chime = prompt('Chime when woken, yes or no:', options.chime ? 'yes' : 'no');
+            if (chime !== null) {
+                changes.chime = chime.trim().toLowerCase().startsWith('y');
+            }
+        }
+        
+        try {
+            const active = await this.voiceProcessor.setWakeWord(changes);
+            this.updateStatus(active ? `👂 Say "${this.voiceProcessor.wakeWord.phrase}" to request music` : '👂 Wake word off');
+        } catch (error) {
+            console.error('👂 Failed to set up the wake word:', error);
+            settings.set('wakeWord.enabled', false);
+            this.showError(error.message);
+        }
+    }
+    
+    async showVADSettings() {
         // Show current VAD status and allow adjustments
-        const currentThreshold = this.voiceProcessor.vadThreshold;
+        const voice = this.voiceProcessor;
         const currentDucking = this.audioSystem.vadDuckingFactor;
+        const calibratedAt = settings.get('vad.calibratedAt');
         
         const message = `Voice Activity Detection Settings:
         
-Current Threshold: ${currentThreshold.toFixed(3)}
+Threshold: ${voice.vadThreshold.toFixed(4)} (${calibratedAt ? `calibrated ${new Date(calibratedAt).toLocaleString()}` : 'not calibrated'})
+Noise Floor: ${voice.noiseFloor !== null ? voice.noiseFloor.toFixed(4) : 'not measured yet'}
 Current Ducking: ${(currentDucking * 100).toFixed(0)}%
-Speech Active: ${this.voiceProcessor.isSpeechActive ? 'Yes' : 'No'}
-Current Energy: ${this.voiceProcessor.currentEnergy.toFixed(4)}
+Speech Active: ${voice.isSpeechActive ? 'Yes' : 'No'}
+Current Level: ${voice.currentEnergy.toFixed(4)}
 
-Adjust sensitivity (0.001-0.1):`;
+Calibrate for this room? After OK, stay quiet for 3 seconds (yes/no):`;
         
-        const newThreshold = prompt(message, currentThreshold.toString());
-        if (newThreshold !== null && !isNaN(newThreshold)) {
-            const threshold = parseFloat(newThreshold);
-            this.voiceProcessor.setVADThreshold(threshold);
-            
-            const duckingMessage = `Set music ducking level (10-100%):`;
-            const newDucking = prompt(duckingMessage, (currentDucking * 100).toString());
-            if (newDucking !== null && !isNaN(newDucking)) {
-                const ducking = parseFloat(newDucking) / 100;
-                this.audioSystem.setVADDuckingFactor(ducking);
+        const calibrate = prompt(message, calibratedAt ? 'no' : 'yes');
+        if (calibrate === null) return;
+        
+        if (calibrate.trim().toLowerCase().startsWith('y')) {
+            try {
+                this.updateStatus('🤫 Calibrating - stay quiet for 3 seconds...');
+                const { noiseFloor, threshold } = await voice.calibrateVAD(3);
+                this.updateStatus(`🎤 Calibrated - noise floor ${noiseFloor.toFixed(4)}, threshold ${threshold.toFixed(4)}`);
+            } catch (error) {
+                console.error('🎤 VAD calibration failed:', error);
+                this.showError(error.message);
+                return;
             }
         }
+        
+        const duckingMessage = `Set music ducking level (10-100%):`;
+        const newDucking = prompt(duckingMessage, (currentDucking * 100).toString());
+        if (newDucking !== null && !isNaN(newDucking)) {
+            const ducking = parseFloat(newDucking) / 100;
+            this.audioSystem.setVADDuckingFactor(ducking);
+        }
+        
+        const frameMessage = `Microphone frame length in ms (16-1000; shorter reaches speech recognition sooner):`;
+        const newFrame = prompt(frameMessage, voice.frameMs.toString());
+        if (newFrame !== null && !isNaN(parseFloat(newFrame))) {
+            voice.setFrameLength(parseFloat(newFrame));
+        }
     }
 }
 
@@ -0,0 +1,294 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { ipcRenderer } = require('electron');
+const { scoreTrack } = require('../utils/trackMatch');
+
+// On-disk cache of preview audio plus the metadata needed to play it offline.
+// Lives in <userData>/audio-cache: one audio file per track and an index.json
+// with metadata, checksums and last-used times for LRU eviction.
+class AudioCache {
+    constructor() {
+        this.directory = null;
+        this.indexPath = null;
+        this.entries = new Map(); // key -> metadata
+        this.downloads = new Map(); // key -> in-flight download promise
+        this.maxSizeBytes = 500 * 1024 * 1024;
+        this.saveTimer = null;
+        this.isReady = false;
+    }
+    
+    async initialize({ maxSizeMB } = {}) {
+        if (this.isReady) return;
+        
+        if (maxSizeMB) {
+            this.setMaxSize(maxSizeMB);
+        }
+        
+        const userDataPath = await ipcRenderer.invoke('get-user-data-path');
+        this.directory = path.join(userDataPath, 'audio-cache');
+        this.indexPath = path.join(this.directory, 'index.json');
+        await fs.promises.mkdir(this.directory, { recursive: true });
+        
+        try {
+            const index = JSON.parse(await fs.promises.readFile(this.indexPath, 'utf8'));
+            for (const entry of index.entries || []) {
+                this.entries.set(entry.key, entry);
+            }
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.error('💾 Audio cache index unreadable, starting fresh:', error);
+            }
+        }
+        
+        // Forget entries whose files have gone missing
+        for (const entry of Array.from(this.entries.values())) {
+            if (!fs.existsSync(this.filePath(entry))) {
+                this.entries.delete(entry.key);
+            }
+        }
+        
+        this.isReady = true;
+        console.log(`💾 Audio cache ready: ${this.entries.size} tracks, ${formatBytes(this.totalSize())}`);
+    }
+    
+    static keyFor(track) {
+        return track && track.id != null ? String(track.id) : null;
+    }
+    
+    setMaxSize(maxSizeMB) {
+        this.maxSizeBytes = Math.max(10, maxSizeMB) * 1024 * 1024;
+        if (this.isReady) {
+            this.evict();
+        }
+    }
+    
+    filePath(entry) {
+        return path.join(this.directory, entry.file);
+    }
+    
+    has(track) {
+        const key = AudioCache.keyFor(track);
+        return key !== null && this.entries.has(key);
+    }
+    
+    totalSize() {
+        let total = 0;
+        for (const entry of this.entries.values()) {
+            total += entry.size;
+        }
+        return total;
+    }
+    
+    // A copy of the track that plays from disk (via a blob URL), or null when
+    // it isn't cached or its checksum no longer matches
+    async resolve(track) {
+        const key = AudioCache.keyFor(track);
+        const entry = key && this.isReady ? this.entries.get(key) : null;
+        if (!entry) return null;
+        
+        try {
+            const data = await fs.promises.readFile(this.filePath(entry));
+            if (checksum(data) !== entry.sha256) {
+                console.warn('💾 Checksum mismatch, dropping cached track:', entry.name);
+                await this.remove(key);
+                return null;
+            }
+            
+            entry.lastUsed = Date.now();
+            this.scheduleSave();
+            
+            const url = URL.createObjectURL(new Blob([data], { type: entry.mimeType }));
+            return { ...entry.track, localUrl: url };
+        } catch (error) {
+            console.error('💾 Failed to read cached track:', error);
+            await this.remove(key);
+            return null;
+        }
+    }
+    
+    // Loudness analysis ({ integrated, peak }) saved with a cached track
+    getLoudness(track) {
+        const entry = this.entries.get(AudioCache.keyFor(track));
+        return entry && entry.loudness ? entry.loudness : null;
+    }
+    
+    setLoudness(track, loudness) {
+        const entry = this.entries.get(AudioCache.keyFor(track));
+        if (!entry) return;
+        
+        entry.loudness = loudness;
+        this.scheduleSave();
+    }
+    
+    // Raw audio of a cached track, or null when it isn't cached
+    async read(track) {
+        const entry = this.entries.get(AudioCache.keyFor(track));
+        return entry ? fs.promises.readFile(this.filePath(entry)) : null;
+    }
+    
+    // Download a track's preview into the cache (no-op if it's already there)
+    store(track, searchQuery = {}) {
+        const key = AudioCache.keyFor(track);
+        if (!key || !this.isReady || !track.previews) return Promise.resolve(null);
+        
+        if (this.entries.has(key)) {
+            this.remember(this.entries.get(key), searchQuery);
+            return Promise.resolve(this.entries.get(key));
+        }
+        
+        if (!this.downloads.has(key)) {
+            const download = this.download(key, track, searchQuery)
+                .catch(error => {
+                    console.error('💾 Failed to cache track:', track.name, error);
+                    return null;
+                })
+                .finally(() => this.downloads.delete(key));
+            this.downloads.set(key, download);
+        }
+        return this.downloads.get(key);
+    }
+    
+    async download(key, track, searchQuery) {
+        const url = track.previews['preview-hq-mp3'] || track.previews['preview-lq-mp3'];
+        if (!url) return null;
+        
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new Error(`Download failed with status ${response.status}`);
+        }
+        
+        const data = Buffer.from(await response.arrayBuffer());
+        const entry = {
+            key,
+            file: `${key.replace(/[^a-z0-9_-]/gi, '_')}.mp3`,
+            mimeType: response.headers.get('content-type') || 'audio/mpeg',
+            name: track.name,
+            username: track.username,
+            tags: track.tags || [],
+            duration: track.duration,
+            size: data.length,
+            sha256: checksum(data),
+            queries: [],
+            styles: [],
+            moods: [],
+            created: Date.now(),
+            lastUsed: Date.now(),
+            track: { ...track }
+        };
+        this.remember(entry, searchQuery);
+        
+        await fs.promises.writeFile(this.filePath(entry), data);
+        this.entries.set(key, entry);
+        console.log(`💾 Cached "${track.name}" (${formatBytes(entry.size)})`);
+        
+        await this.evict();
+        this.scheduleSave();
+        return entry;
+    }
+    
+    // Record which requests a track was played for, to rank it offline later
+    remember(entry, { query, style, mood } = {}) {
+        const add = (list, value) => {
+            if (value && !list.includes(value)) {
+                list.push(value);
+            }
+        };
+        add(entry.queries, query);
+        add(entry.styles, style);
+        add(entry.moods, mood);
+        this.scheduleSave();
+    }
+    
+    // Best cached tracks for a { query, style, mood } request, most relevant first
+    findBest(searchQuery, limit = 10) {
+        return Array.from(this.entries.values())
+            .map(entry => ({
+                entry,
+                score: scoreTrack(searchQuery, {
+                    tags: entry.tags,
+                    text: entry.name,
+                    queries: entry.queries,
+                    styles: entry.styles,
+                    moods: entry.moods
+                })
+            }))
+            .filter(({ score }) => score > 0)
+            .sort((a, b) => b.score - a.score || b.entry.lastUsed - a.entry.lastUsed)
+            .slice(0, limit)
+            .map(({ entry }) => ({ ...entry.track }));
+    }
+    
+    // Drop least recently used tracks until the cache fits its size cap
+    async evict() {
+        const byAge = Array.from(this.entries.values()).sort((a, b) => a.lastUsed - b.lastUsed);
+        let total = this.totalSize();
+        
+        while (total > this.maxSizeBytes && byAge.length > 0) {
+            const entry = byAge.shift();
+            total -= entry.size;
+            console.log('💾 Evicting cached track:', entry.name);
+            await this.remove(entry.key);
+        }
+    }
+    
+    async remove(key) {
+        const entry = this.entries.get(key);
+        if (!entry) return;
+        
+        this.entries.delete(key);
+        try {
+            await fs.promises.unlink(this.filePath(entry));
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.error('💾 Failed to delete cached file:', error);
+            }
+        }
+        this.scheduleSave();
+    }
+    
+    async clear() {
+        for (const key of Array.from(this.entries.keys())) {
+            await this.remove(key);
+        }
+        console.log('💾 Audio cache cleared');
+    }
+    
+    getStats() {
+        return {
+            directory: this.directory,
+            count: this.entries.size,
+            sizeBytes: this.totalSize(),
+            maxSizeBytes: this.maxSizeBytes,
+            tracks: Array.from(this.entries.values())
+                .sort((a, b) => b.lastUsed - a.lastUsed)
+                .map(entry => ({ name: entry.name, username: entry.username, size: entry.size, lastUsed: entry.lastUsed }))
+        };
+    }
+    
+    scheduleSave() {
+        if (!this.isReady) return;
+        
+        clearTimeout(this.saveTimer);
+        this.saveTimer = setTimeout(() => this.save(), 500);
+    }
+    
+    async save() {
+        try {
+            const index = { version: 1, entries: Array.from(this.entries.values()) };
+            await fs.promises.writeFile(this.indexPath, JSON.stringify(index, null, 2));
+        } catch (error) {
+            console.error('💾 Failed to save audio cache index:', error);
+        }
+    }
+}
+
+function checksum(data) {
+    return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+function formatBytes(bytes) {
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+module.exports = AudioCache;
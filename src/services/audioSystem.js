@@ -1,36 +1,221 @@
 const EventEmitter = require('events');
+const fs = require('fs');
 const { ipcRenderer } = require('electron');
+const Tone = require('tone/build/Tone.js');
+const GenerativeEngine = require('./generativeEngine');
+const SoundscapeMixer = require('./soundscapeMixer');
+const { TrackSource, LoopSource, GeneratedSource, NoiseSource, BrainwaveSource, BRAINWAVE_BANDS } = require('./layerSources');
+const TrackQueue = require('./trackQueue');
+const AudioCache = require('./audioCache');
+const LicenseLedger = require('./licenseLedger');
+const TrackFeedback = require('./trackFeedback');
+const OutputDevices = require('./outputDevices');
+const SleepTimer = require('./sleepTimer');
+const FocusSession = require('./focusSession');
+const { SoundscapeSchedule } = require('./soundscapeSchedule');
+const PlaybackState = require('./playbackState');
+const { playChime } = require('./chimes');
+const FreesoundProvider = require('./providers/freesoundProvider');
+const LocalLibraryProvider = require('./providers/localLibraryProvider');
+const settings = require('./settingsStore');
+const { DEFAULT_EFFECTS, EFFECT_RANGES } = require('./effectsChain');
+const { DEFAULT_DUCKING } = require('./duckingEngine');
+const { measureLoudness } = require('../utils/loudness');
+
+// Commands that pick the music by hand, holding the schedule off until its next
+// boundary: queue moves, and the style intents that go on to GPT like free-form requests
+const SCHEDULE_OVERRIDES = [
+    'stop', 'next_track', 'previous_track', 'more_like_this', 'less_like_this', 'play_favorites',
+    'ambient', 'piano', 'rainfall', 'focus', 'relax', 'unknown'
+];
+
+// Sounds that can be layered under the music bed ("add rain"). `noise` is the
+// locally synthesized stand-in used offline, or the only source for noise beds.
+const LAYER_PRESETS = {
+    rain: { category: 'nature', aliases: ['rainfall', 'raindrops'], query: 'rain ambience loop', tag: 'rain', noise: { color: 'pink', highpass: 800, lowpass: 9000 } },
+    thunder: { category: 'nature', aliases: ['storm', 'thunderstorm'], query: 'thunderstorm distant thunder', tag: 'thunder', noise: { color: 'brown', lowpass: 300, swell: 0.05 } },
+    ocean: { category: 'nature', aliases: ['waves', 'sea', 'surf'], query: 'ocean waves beach', tag: 'ocean', noise: { color: 'brown', lowpass: 1500, swell: 0.08 } },
+    wind: { category: 'nature', aliases: ['breeze'], query: 'wind ambience', tag: 'wind', noise: { color: 'brown', lowpass: 900, swell: 0.04 } },
+    birds: { category: 'nature', aliases: ['birdsong', 'forest'], query: 'birds forest morning', tag: 'birds' },
+    fire: { category: 'ambience', aliases: ['fireplace', 'campfire', 'crackling'], query: 'fireplace crackling', tag: 'fire' },
+    cafe: { category: 'ambience', aliases: ['coffee shop', 'café', 'chatter'], query: 'cafe ambience people', tag: 'cafe' },
+    'white noise': { category: 'noise', aliases: ['static'], noise: { color: 'white' }, localOnly: true },
+    'brown noise': { category: 'noise', aliases: ['brownian noise'], noise: { color: 'brown' }, localOnly: true },
+    'pink noise': { category: 'noise', aliases: ['noise'], noise: { color: 'pink' }, localOnly: true }
+};
 
 class AudioSystem extends EventEmitter {
     constructor() {
         super();
         this.currentMusicStyle = 'ambient';
-        this.isPlaying = false;
+        
+        // idle / resolving / loading / buffering / playing / paused / error, see PlaybackState
+        this.playback = new PlaybackState();
+        this.playback.on('change', (change) => {
+            this.emit('playback-state', change);
+            this.emitMusicChanged();
+        });
+        this.stallTimeout = 8000; // ms a stream may buffer before we reconnect, then skip
+        this.maxConsecutiveFailures = 3; // Tracks skipped in a row before giving up
+        this.consecutiveFailures = 0;
         this.volume = 0.5;
-        this.currentAudio = null;
-        this.freesoundApiKey = null; // Will be set via IPC
-        this.trackCache = new Map();
+        
+        // Music sources, searched in priority order
+        this.providers = [new LocalLibraryProvider(), new FreesoundProvider()];
+        this.providerStrategy = 'merge'; // 'merge' results from every provider, or 'rank' (first with results wins)
+        
+        // Shared Web Audio context (also drives Tone.js for generated music)
+        this.audioContext = null;
+        this.mixer = null;
+        this.musicLayer = 'music'; // Layer that holds the main music bed
+        this.layerGain = 0.6; // Default gain for layers added under the music
+        this.layerGainStep = 0.15;
+        this.generativeLevel = 0.6; // Generated music sits a little under previews
+        this.generativeSeed = null; // Fixed seed for reproducible output, null = random
+        
+        // Binaural / isochronic tones under the music ("add gamma beats")
+        this.brainwaveLayer = 'beats';
+        this.brainwaveMode = 'binaural'; // 'binaural' (headphones) or 'isochronic' (any speakers)
+        this.brainwaveGain = 0.3; // Layer gain when added
+        this.brainwaveMaxGain = 0.5; // Safety cap - "beats louder" stops here
+        
+        // Transitions between tracks and styles
+        this.crossfadeDuration = 3; // Seconds
+        this.crossfadeCurve = 'equal-power'; // 'equal-power' or 'linear'
+        this.layerRequests = new Map(); // Latest request per layer, so a slow search can't win late
+        
+        // Queue of search results for the music layer
+        this.queue = new TrackQueue();
+        this.playbackMode = 'advance'; // 'advance' through the queue or 'loop-one'
+        this.preloadMargin = 4; // Extra seconds before a track ends to preload the next one
+        
+        // Looping tracks play from a decoded buffer with the seam crossfaded
+        this.seamlessLoops = true;
+        this.loopCrossfade = 1.5; // Seconds of tail mixed into the head
+        this.maxLoopDuration = 180; // Longer tracks stream instead of being decoded into memory
+        
+        // Every track is brought to one loudness, with a limiter on the output
+        this.normalizeLoudness = true;
+        this.loudnessTarget = -18; // LUFS
+        this.maxLoudnessBoost = 12; // dB - very quiet tracks are only raised this much
+        this.loudnessWait = 3000; // ms to wait for analysis before starting a new track anyway
+        this.limiterEnabled = true;
+        this.limiterCeiling = -1; // dBFS
+        
+        // Tone and space effects on the whole mix ("make it warmer", "more reverb")
+        this.effects = { ...DEFAULT_EFFECTS };
+        this.effectSteps = { warmth: 3, brightness: 3, lowpass: 2, reverb: 0.15, width: 0.25 }; // lowpass steps are a factor
+        
+        // Previews saved to disk for instant replays and offline playback
+        this.cache = new AudioCache();
+        this.offlineOnly = false;
+        
+        // Where playback goes, with volume and ducking remembered per device
+        this.outputDevices = new OutputDevices();
+        this.outputDeviceId = 'default'; // Device in use
+        this.preferredDeviceId = 'default'; // Device the user picked, reselected when it's plugged back in
+        this.deviceProfiles = {}; // deviceId -> { volume, vadDuckingFactor }
+        
+        // Timed playback ("play rain for 25 minutes", "stop at 6pm")
+        this.sleepTimer = new SleepTimer();
+        this.sleepFadeDuration = 60; // Seconds of fade before the timer stops playback
+        this.sleepTimer.on('fade', (seconds) => {
+            console.log(`⏲️ Fading out over ${Math.round(seconds)}s`);
+            if (this.mixer) this.mixer.fadeOutAll(seconds);
+        });
+        this.sleepTimer.on('fade-cancel', () => {
+            if (this.mixer) this.mixer.restoreLevel(2);
+        });
+        this.sleepTimer.on('expire', () => this.onSleepTimerExpired());
+        this.sleepTimer.on('change', () => this.emitMusicChanged());
+        
+        // Pomodoro-style work/break cycles that switch the music with each phase
+        this.focusSession = new FocusSession();
+        this.focusWorkStyle = 'focus';
+        this.focusBreakStyle = 'relax';
+        this.focusSession.on('phase', (state) => {
+            this.onFocusPhase(state).catch(error => console.error('🍅 Failed to switch music for focus phase:', error));
+        });
+        this.focusSession.on('finish', () => this.onFocusSessionFinished());
+        this.focusSession.on('change', () => this.emitMusicChanged());
+        
+        // Time-of-day routine that switches the music at each boundary
+        this.schedule = new SoundscapeSchedule();
+        this.scheduledLayers = []; // Layers the current rule added, removed when it ends
+        this.schedule.on('rule', (rule) => {
+            this.onScheduleRule(rule).catch(error => console.error('🗓️ Failed to switch to scheduled music:', error));
+        });
+        this.schedule.on('change', () => this.emitMusicChanged());
+        
+        // Every track played, with its license, for attribution
+        this.ledger = new LicenseLedger();
+        
+        // Favorites, bans and skips, used to rank search results
+        this.feedback = new TrackFeedback();
         
         // VAD-triggered volume control
         this.isVADMuted = false;
-        this.originalVolume = null;
-        this.originalGain = null;
-        this.vadDuckingFactor = 0.2; // Reduce volume to 20% during speech
-        this.vadFadeTime = 100; // Fade time in ms
+        this.vadDuckingFactor = 0.2; // Reduce volume to 20% during speech (per device; layers can override)
+        this.ducking = { ...DEFAULT_DUCKING }; // Attack/hold/release, curves, lookahead and per-layer depths
+    }
+    
+    get isPlaying() {
+        return this.playback.isActive;
     }
     
     async initialize() {
         console.log('🎵 Initializing GPT + Freesound Audio System...');
         
+        // Restore saved playback preferences
+        await settings.initialize();
+        this.playbackMode = settings.get('playback.mode');
+        this.crossfadeDuration = settings.get('playback.crossfadeDuration');
+        this.crossfadeCurve = settings.get('playback.crossfadeCurve');
+        this.offlineOnly = settings.get('cache.offlineOnly');
+        this.normalizeLoudness = settings.get('loudness.normalize');
+        this.loudnessTarget = settings.get('loudness.target');
+        this.limiterEnabled = settings.get('loudness.limiter');
+        this.limiterCeiling = settings.get('loudness.limiterCeiling');
+        this.effects = { ...DEFAULT_EFFECTS, ...settings.get('effects') };
+        this.ducking = { ...DEFAULT_DUCKING, ...settings.get('ducking') };
+        this.preferredDeviceId = settings.get('output.deviceId');
+        this.deviceProfiles = settings.get('output.profiles');
+        
+        await this.initializeOutputDevices();
+        
+        this.focusWorkStyle = settings.get('focus.workStyle');
+        this.focusBreakStyle = settings.get('focus.breakStyle');
         try {
-            // Get API key from main process
-            this.freesoundApiKey = await ipcRenderer.invoke('get-freesound-api-key');
-            
-            if (!this.freesoundApiKey) {
-                console.warn('⚠️ FREESOUND_API_KEY not found - please add to .env file');
-            }
+            await this.focusSession.initialize(settings.get('focus'));
+        } catch (error) {
+            console.error('🍅 Focus session log unavailable:', error);
+        }
+        
+        try {
+            await this.cache.initialize({ maxSizeMB: settings.get('cache.maxSizeMB') });
+        } catch (error) {
+            console.error('💾 Audio cache unavailable:', error);
+        }
+        
+        try {
+            await this.ledger.initialize();
+        } catch (error) {
+            console.error('📜 License ledger unavailable:', error);
+        }
+        
+        try {
+            await this.feedback.initialize();
+        } catch (error) {
+            console.error('❤️ Track feedback unavailable:', error);
+        }
+        
+        await this.initializeProviders();
+        
+        try {
+            await this.schedule.initialize();
+            this.schedule.start();
         } catch (error) {
-            console.error('Failed to get Freesound API key:', error);
+            console.error('🗓️ Schedule unavailable:', error);
         }
         
         console.log('✅ Audio system ready for intelligent voice commands');
@@ -41,23 +226,23 @@ class AudioSystem extends EventEmitter {
         this.currentMusicStyle = style;
         
         // Use GPT to interpret the style request
+        this.playback.transition('resolving');
         const searchQuery = await this.interpretMusicRequest(style);
         const track = await this.findAndPlayTrack(searchQuery);
         
         if (track) {
-            this.isPlaying = true;
-            this.emit('music-changed', {
-                style: style,
-                isPlaying: true,
-                volume: this.volume,
-                trackName: track.name
-            });
+            this.emitMusicChanged({ trackName: track.name });
         }
     }
     
     async executeCommand(command) {
         console.log('🎵 Processing natural language command:', command.text || command.action);
         
+        // Picking music by hand holds the schedule off until its next boundary
+        if (!command.scheduled && (!command.action || SCHEDULE_OVERRIDES.includes(command.action))) {
+            this.schedule.override();
+        }
+        
         // Handle traditional commands
         if (command.action) {
             switch (command.action) {
@@ -73,23 +258,141 @@ class AudioSystem extends EventEmitter {
                 case 'play':
                     await this.resumeMusic();
                     return;
+                case 'add_layer':
+                    if (!await this.addLayer(command.layer)) {
+                        command.reason = `Couldn't start ${command.layer}`;
+                    }
+                    return;
+                case 'add_brainwave':
+                    await this.addBrainwaves(command.band, command.mode);
+                    return;
+                case 'remove_layer':
+                    if (!this.removeLayer(command.layer)) {
+                        command.reason = `No ${command.layer} layer playing`;
+                    }
+                    return;
+                case 'adjust_layer':
+                    if (!this.adjustLayer(command.layer, command.delta)) {
+                        command.reason = `No ${command.layer} layer playing`;
+                    }
+                    return;
+                case 'mute_layer':
+                    if (!this.setLayerMuted(command.layer, command.muted)) {
+                        command.reason = `No ${command.layer} layer playing`;
+                    }
+                    return;
+                case 'next_track':
+                    if (this.getCurrentTrack()) {
+                        this.feedback.recordSkip(this.getCurrentTrack());
+                    }
+                    await this.playNext();
+                    return;
+                case 'previous_track':
+                    await this.playPrevious();
+                    return;
+                case 'shuffle_queue':
+                    this.shuffleQueue();
+                    return;
+                case 'set_playback_mode':
+                    this.setPlaybackMode(command.mode);
+                    return;
+                case 'start_focus':
+                    this.startFocusSession(command);
+                    return;
+                case 'pause_focus':
+                    if (!this.focusSession.pause()) {
+                        command.reason = this.focusSession.isActive ? 'Focus session is already paused' : 'No focus session running';
+                    }
+                    return;
+                case 'resume_focus':
+                    if (!this.focusSession.resume()) {
+                        command.reason = this.focusSession.isActive ? "Focus session isn't paused" : 'No focus session running';
+                    }
+                    return;
+                case 'skip_focus':
+                    if (!this.focusSession.skip()) {
+                        command.reason = 'No focus session running';
+                    }
+                    return;
+                case 'stop_focus':
+                    if (!this.focusSession.stop()) {
+                        command.reason = 'No focus session running';
+                    }
+                    return;
+                case 'focus_status':
+                    return; // Answered from getFocusState()
+                case 'start_timer':
+                    // "play rain for 25 minutes" carries the request to run first
+                    if (command.command) {
+                        await this.executeCommand(command.command);
+                    }
+                    this.startSleepTimer(command.endsAt || Date.now() + command.duration);
+                    return;
+                case 'extend_timer':
+                    this.sleepTimer.extend(command.duration);
+                    return;
+                case 'cancel_timer':
+                    this.sleepTimer.cancel();
+                    return;
+                case 'query_timer':
+                    return; // Answered from getTimerState()
+                case 'adjust_effects':
+                    this.adjustEffects(command.changes);
+                    return;
+                case 'set_effects':
+                    this.setEffects(command.changes);
+                    return;
+                case 'reset_effects':
+                    this.resetEffects();
+                    return;
+                case 'favorite_track':
+                    this.rateCurrentTrack(command, track => this.feedback.setFavorite(track, command.favorite !== false));
+                    return;
+                case 'ban_track':
+                    // Banning also moves on, since it's the one playing
+                    if (this.rateCurrentTrack(command, track => this.feedback.setBanned(track)) && !await this.playNext()) {
+                        // Nothing else allowed in the queue - don't keep playing the banned one
+                        this.removeLayer(this.musicLayer);
+                    }
+                    return;
+                case 'dislike_track':
+                    if (this.rateCurrentTrack(command, track => this.feedback.recordSkip(track))) {
+                        await this.playNext();
+                    }
+                    return;
+                case 'play_favorites':
+                    await this.playFavorites(command);
+                    return;
+                case 'more_like_this':
+                    await this.playSimilar(command);
+                    return;
+                case 'less_like_this':
+                    await this.playDifferent(command);
+                    return;
+                case 'resume_schedule':
+                    this.schedule.resume();
+                    return;
+                case 'set_schedule':
+                    this.setSchedule({ enabled: command.enabled });
+                    return;
+                case 'set_output_device': {
+                    const device = await this.setOutputDeviceByName(command.device);
+                    command.deviceLabel = device ? device.label : null; // For the spoken response
+                    return;
+                }
             }
         }
         
         // Use GPT to interpret natural language
         const musicRequest = command.text || command.action || 'ambient background music';
+        this.playback.transition('resolving');
         const searchQuery = await this.interpretMusicRequest(musicRequest);
         const track = await this.findAndPlayTrack(searchQuery);
         
         if (track) {
             this.currentMusicStyle = searchQuery.style;
-            this.isPlaying = true;
-            this.emit('music-changed', {
-                style: searchQuery.style,
-                isPlaying: true,
-                volume: this.volume,
-                trackName: track.name
-            });
+            await this.resumeOtherLayers();
+            this.emitMusicChanged({ trackName: track.name });
         }
     }
     
@@ -175,126 +478,1020 @@ class AudioSystem extends EventEmitter {
         };
     }
     
-    async findAndPlayTrack(searchQuery) {
-        console.log('🔍 Searching Freesound for:', searchQuery);
+    async initializeProviders() {
+        this.providerStrategy = settings.get('providers.strategy');
+        const order = settings.get('providers.order');
+        this.providers.sort((a, b) => order.indexOf(a.id) - order.indexOf(b.id));
+        
+        for (const provider of this.providers) {
+            provider.enabled = settings.get(`providers.enabled.${provider.id}`) !== false;
+            try {
+                await provider.initialize(provider.id === 'local' ? { folder: settings.get('providers.localLibraryPath') } : {});
+            } catch (error) {
+                console.error(`🔌 Failed to initialize ${provider.name}:`, error);
+            }
+        }
+        
+        console.log('🔌 Music providers:', this.providers
+            .map(provider => `${provider.name} (${provider.enabled ? 'on' : 'off'})`).join(', '));
+    }
+    
+    getProvider(id) {
+        return this.providers.find(provider => provider.id === id) || null;
+    }
+    
+    // Providers that can be searched right now, in priority order
+    getActiveProviders() {
+        const offline = this.offlineOnly || !navigator.onLine;
+        return this.providers.filter(provider =>
+            provider.enabled && provider.isAvailable() && !(offline && provider.requiresNetwork));
+    }
+    
+    // Look up one page of tracks for a search, without playing anything.
+    // `cursor` maps provider ids to the next page to fetch (null for the first page).
+    async searchTracks(searchQuery, cursor = null) {
+        const providers = this.getActiveProviders()
+            .filter(provider => !cursor || cursor[provider.id]);
+        
+        if (providers.length === 0) {
+            console.log('📴 No music providers available - searching the audio cache');
+            return this.searchCache(searchQuery, cursor);
+        }
+        
+        const pages = [];
+        let failures = 0;
+        
+        for (const provider of providers) {
+            try {
+                const page = await provider.search(searchQuery, cursor ? cursor[provider.id] : 1);
+                pages.push({ provider, ...page });
+                
+                // Ranked mode stops at the first provider that has something
+                if (this.providerStrategy === 'rank' && page.results.length > 0) break;
+            } catch (error) {
+                failures++;
+                console.error(`🔍 ${provider.name} search failed:`, error);
+                // FreesoundErrors carry a message written for the user and a `code`
+                this.emit('provider-error', { provider: provider.name, code: error.code || 'unknown', message: error.message });
+            }
+        }
+        
+        const results = this.feedback.rank(this.filterLicensed(interleave(pages.map(page => page.results))));
+        const nextPage = {};
+        for (const page of pages) {
+            if (page.nextPage !== null) {
+                nextPage[page.provider.id] = page.nextPage;
+            }
+        }
+        
+        // Network trouble with nothing to show for it - fall back to what's on disk
+        if (results.length === 0 && failures > 0) {
+            return this.searchCache(searchQuery, cursor);
+        }
+        
+        if (results.length === 0) {
+            console.warn('🔍 No tracks found');
+        }
+        return { results, nextPage: Object.keys(nextPage).length > 0 ? nextPage : null };
+    }
+    
+    // Offline search: best matching previews already on disk
+    searchCache(searchQuery, cursor = null) {
+        const results = cursor ? [] : this.feedback.rank(this.filterLicensed(this.cache.findBest(searchQuery)));
+        console.log(`💾 ${results.length} cached tracks match`, searchQuery.query);
+        return { results, nextPage: null };
+    }
+    
+    // Best single track for a search, used for layers
+    async searchTrack(searchQuery) {
+        const { results } = await this.searchTracks(searchQuery);
+        return results[0] || null;
+    }
+    
+    async findAndPlayTrack(searchQuery, layerName = this.musicLayer) {
+        const request = (this.layerRequests.get(layerName) || 0) + 1;
+        this.layerRequests.set(layerName, request);
+        
+        const { results, nextPage } = await this.searchTracks(searchQuery);
+        
+        // A newer request for this layer arrived while we were searching
+        if (this.layerRequests.get(layerName) !== request) {
+            console.log('🔍 Search superseded by a newer request:', searchQuery.query);
+            return null;
+        }
+        
+        if (layerName === this.musicLayer) {
+            this.queue.load(results, { searchQuery, nextPage });
+        }
+        
+        if (results.length > 0) {
+            const track = results[0];
+            return await this.playTrack(track, layerName) ? track : null;
+        }
+        
+        console.warn('🔍 Nothing to play, using generated music');
+        return this.playGeneratedTrack(searchQuery, layerName);
+    }
+    
+    // Resolves true once the track is audible; failures are reported through
+    // the playback state (music layer) or a 'playback-error' event (other layers)
+    async playTrack(track, layerName = this.musicLayer, options = {}) {
+        console.log('🎵 Playing track:', track.name);
+        const isMusic = layerName === this.musicLayer;
         
-        // Check cache first
-        const cacheKey = `${searchQuery.query}-${searchQuery.filter}`;
-        if (this.trackCache.has(cacheKey)) {
-            console.log('🎵 Using cached track');
-            const cachedTrack = this.trackCache.get(cacheKey);
-            await this.playTrack(cachedTrack);
-            return cachedTrack;
+        // Checked again here in case the track came from somewhere other than a search
+        if (!this.isLicensed(track)) {
+            console.warn('📜 Refusing to play unlicensed track:', track.name, track.license || '(no license)');
+            this.reportPlaybackError(new Error(`"${track.name}" isn't licensed for playback`), layerName);
+            return false;
         }
         
-        if (!this.freesoundApiKey) {
-            console.warn('⚠️ No Freesound API key - using demo mode');
-            return this.playDemoTrack(searchQuery.style);
+        const mixer = await this.ensureMixer();
+        if (isMusic) {
+            this.playback.transition('loading');
         }
         
         try {
-            const url = `https://freesound.org/apiv2/search/text/?` +
-                `query=${encodeURIComponent(searchQuery.query)}&` +
-                `filter=${encodeURIComponent(searchQuery.filter)}&` +
-                `fields=name,previews,duration,tags,username&` +
-                `sort=rating_desc&` +
-                `page_size=5&` +
-                `token=${this.freesoundApiKey}`;
+            // Play from disk when we have it, otherwise stream and cache for next time
+            const cached = await this.cache.resolve(track);
+            const playable = cached || await this.resolveStream(track);
             
-            const response = await fetch(url);
-            const data = await response.json();
+            const source = this.createTrackSource(playable, layerName);
             
-            if (data.results && data.results.length > 0) {
-                // Pick the best track (first result is highest rated)
-                const track = data.results[0];
-                
-                // Cache the track
-                this.trackCache.set(cacheKey, track);
-                
-                console.log(`🎵 Found track: "${track.name}" by ${track.username}`);
-                await this.playTrack(track);
-                return track;
-            } else {
-                console.warn('🔍 No tracks found, using demo');
-                return this.playDemoTrack(searchQuery.style);
+            const searchQuery = options.searchQuery || (layerName === this.musicLayer ? this.queue.searchQuery : null);
+            if (this.normalizeLoudness) {
+                await this.normalizeSource(source, track, playable, searchQuery || {});
             }
+            await mixer.playLayer(layerName, source, options);
             
+            this.cache.store(track, searchQuery || {});
+            this.ledger.record(this.getTrackMetadata(track));
+            if (isMusic) {
+                this.consecutiveFailures = 0;
+                this.playback.transition('playing');
+            }
+            return true;
         } catch (error) {
-            console.error('🔍 Freesound search failed:', error);
-            return this.playDemoTrack(searchQuery.style);
+            console.error('🎵 Failed to play track:', error);
+            this.reportPlaybackError(error, layerName);
+            return false;
         }
     }
     
-    async playTrack(track) {
-        console.log('🎵 Playing track:', track.name);
-        
-        // Stop current audio
-        if (this.currentAudio) {
-            this.currentAudio.pause();
-            this.currentAudio = null;
+    reportPlaybackError(error, layerName = this.musicLayer) {
+        if (layerName === this.musicLayer) {
+            this.playback.transition('error', { error });
+        } else {
+            this.emit('playback-error', { layer: layerName, message: error.message });
         }
+    }
+    
+    createTrackSource(track, layerName) {
+        // The music bed follows the playback mode; other layers always loop
+        const isMusic = layerName === this.musicLayer;
+        const loop = !isMusic || this.playbackMode === 'loop-one';
+        const endingLead = isMusic ? this.crossfadeDuration + this.preloadMargin : 0;
         
-        // Use high-quality preview
-        const audioUrl = track.previews['preview-hq-mp3'] || track.previews['preview-lq-mp3'];
+        // Previews are short, local files need a known (short enough) duration
+        const fitsInMemory = track.duration ? track.duration <= this.maxLoopDuration : !!track.previews;
+        
+        let source;
+        if (loop && this.seamlessLoops && fitsInMemory) {
+            source = new LoopSource(this.audioContext, track, { crossfade: this.loopCrossfade, endingLead });
+        } else {
+            source = new TrackSource(this.audioContext, track, { loop, endingLead });
+        }
         
-        if (!audioUrl) {
-            console.error('🎵 No audio preview available');
+        if (isMusic) {
+            this.watchForTrackEnd(source);
+            this.watchStream(source);
+        }
+        return source;
+    }
+    
+    // Set a track's gain for the target loudness. Known tracks are set before
+    // they start; new ones get a few seconds to be analysed, and if that isn't
+    // enough the gain is ramped in once the analysis finishes.
+    async normalizeSource(source, track, playable, searchQuery) {
+        const known = this.cache.getLoudness(track) || track.loudness;
+        if (known) {
+            source.setGain(this.loudnessGain(known));
             return;
         }
         
-        // Create and play audio
-        this.currentAudio = new Audio(audioUrl);
-        this.currentAudio.loop = true;
-        this.currentAudio.volume = this.volume;
+        let started = false;
+        const analysis = this.analyseLoudness(track, playable, searchQuery)
+            .then(loudness => {
+                if (loudness) {
+                    source.setGain(this.loudnessGain(loudness), started ? 1.5 : 0);
+                }
+            })
+            .catch(error => console.warn('🔊 Loudness analysis failed:', track.name, error.message));
         
-        this.currentAudio.addEventListener('loadstart', () => {
-            console.log('🎵 Loading track...');
-        });
+        await Promise.race([analysis, new Promise(resolve => setTimeout(resolve, this.loudnessWait))]);
+        started = true;
+    }
+    
+    async analyseLoudness(track, playable, searchQuery) {
+        // Streamed previews are analysed from their cached download rather than fetched twice
+        await this.cache.store(track, searchQuery);
+        let data = await this.cache.read(track);
+        if (!data && playable.filePath) {
+            data = await fs.promises.readFile(playable.filePath); // fetch() won't open file:// URLs
+        } else if (!data) {
+            const url = playable.localUrl || playable.previews['preview-hq-mp3'] || playable.previews['preview-lq-mp3'];
+            const response = await fetch(url);
+            data = Buffer.from(await response.arrayBuffer());
+        }
         
-        this.currentAudio.addEventListener('canplay', () => {
-            console.log('✅ Track ready to play');
-        });
+        const arrayBuffer = data.buffer.slice(data.byteOffset, data.byteOffset + data.byteLength);
+        const loudness = measureLoudness(await this.audioContext.decodeAudioData(arrayBuffer));
+        if (!isFinite(loudness.integrated)) return null; // Silence
+        
+        console.log(`🔊 "${track.name}": ${loudness.integrated.toFixed(1)} LUFS, peak ${loudness.peak.toFixed(1)} dBFS`);
+        this.cache.setLoudness(track, loudness);
+        const provider = this.getProvider(track.provider || 'freesound');
+        if (provider) {
+            provider.setLoudness(track, loudness);
+        }
+        return loudness;
+    }
+    
+    loudnessGain({ integrated }) {
+        const gainDb = Math.max(-24, Math.min(this.maxLoudnessBoost, this.loudnessTarget - integrated));
+        return Math.pow(10, gainDb / 20);
+    }
+    
+    setLoudnessNormalization({ enabled, target } = {}) {
+        if (typeof enabled === 'boolean') {
+            this.normalizeLoudness = enabled;
+        }
+        if (typeof target === 'number' && !isNaN(target)) {
+            this.loudnessTarget = Math.max(-36, Math.min(-6, target));
+        }
+        
+        settings.set('loudness.normalize', this.normalizeLoudness);
+        settings.set('loudness.target', this.loudnessTarget);
+        console.log(`🔊 Loudness normalization ${this.normalizeLoudness ? `on, target ${this.loudnessTarget} LUFS` : 'off'}`);
+    }
+    
+    setLimiter({ enabled, ceiling } = {}) {
+        if (typeof enabled === 'boolean') {
+            this.limiterEnabled = enabled;
+        }
+        if (typeof ceiling === 'number' && !isNaN(ceiling)) {
+            this.limiterCeiling = Math.max(-24, Math.min(0, ceiling));
+        }
+        
+        if (this.mixer) {
+            this.mixer.setLimiter({ enabled: this.limiterEnabled, ceiling: this.limiterCeiling });
+        }
+        settings.set('loudness.limiter', this.limiterEnabled);
+        settings.set('loudness.limiterCeiling', this.limiterCeiling);
+    }
+    
+    // Nudge effects by a number of steps each, e.g. { warmth: 1, brightness: -2 }
+    adjustEffects(steps = {}) {
+        const changes = {};
+        for (const [key, count] of Object.entries(steps)) {
+            if (!(key in this.effectSteps)) continue;
+            changes[key] = key === 'lowpass'
+                ? this.effects.lowpass / Math.pow(this.effectSteps.lowpass, count) // "More muffled" lowers the cutoff
+                : this.effects[key] + this.effectSteps[key] * count;
+        }
+        return this.setEffects(changes);
+    }
+    
+    setEffects(changes = {}) {
+        const effects = { ...this.effects };
+        for (const [key, value] of Object.entries(changes)) {
+            if (key in EFFECT_RANGES && typeof value === 'number' && !isNaN(value)) {
+                const [min, max] = EFFECT_RANGES[key];
+                effects[key] = Math.max(min, Math.min(max, value));
+            }
+        }
+        
+        this.effects = effects;
+        if (this.mixer) {
+            this.mixer.effects.set(effects);
+        }
+        settings.set('effects', { ...this.effects });
+        console.log('🎛️ Effects:', this.effects);
+        return this.effects;
+    }
+    
+    resetEffects() {
+        return this.setEffects(DEFAULT_EFFECTS);
+    }
+    
+    async playGeneratedTrack(searchQuery, layerName = this.musicLayer, options = {}) {
+        const style = searchQuery.style || 'ambient';
+        const mood = searchQuery.mood || 'peaceful';
+        const seed = searchQuery.seed ?? this.generativeSeed ?? GenerativeEngine.randomSeed();
+        console.log('🎹 Playing generated music for:', style, mood);
         
-        this.currentAudio.addEventListener('error', (e) => {
-            console.error('🎵 Audio playback error:', e);
+        const mixer = await this.ensureMixer();
+        const source = new GeneratedSource(this.audioContext, { style, mood, seed }, this.generativeLevel);
+        try {
+            await mixer.playLayer(layerName, source, options);
+        } catch (error) {
+            console.error('🎹 Failed to start generated music:', error);
+            this.reportPlaybackError(error, layerName);
+            return null;
+        }
+        // Stopped or replaced before its samples finished loading
+        if (!source.track) return null;
+        if (layerName === this.musicLayer) {
+            this.playback.transition('playing');
+        }
+        
+        return source.track;
+    }
+    
+    // Advance the queue when the music track reaches its tail (or ends outright)
+    watchForTrackEnd(source) {
+        let advanced = false;
+        const advance = () => {
+            const layer = this.mixer && this.mixer.getLayer(this.musicLayer);
+            if (advanced || !layer || layer.source !== source) return;
+            advanced = true;
+            
+            const track = this.queue.current();
+            if (track) {
+                this.feedback.recordCompletion(track);
+            }
+            
+            console.log('⏭️ Track finished, advancing queue');
+            this.playNext().catch(error => console.error('⏭️ Failed to advance queue:', error));
+        };
+        
+        source.once('ending', advance);
+        source.once('ended', advance);
+    }
+    
+    // Track buffering and failures of a streamed music track. A stall gets one
+    // reconnect, then the track is skipped; a failed track is skipped too.
+    watchStream(source) {
+        const isCurrent = () => {
+            const layer = this.mixer && this.mixer.getLayer(this.musicLayer);
+            return layer && layer.source === source;
+        };
+        let stallTimer = null;
+        let reconnected = false;
+        
+        const onStall = () => {
+            stallTimer = null;
+            if (!isCurrent() || this.playback.state !== 'buffering') return;
+            
+            if (!reconnected && source.recover) {
+                reconnected = true;
+                source.recover().catch(error => console.warn('🎵 Reconnect failed:', error.message));
+                stallTimer = setTimeout(onStall, this.stallTimeout);
+            } else {
+                this.skipBrokenTrack(new Error(`"${source.name}" stopped loading`));
+            }
+        };
+        
+        source.on('buffering', () => {
+            if (!isCurrent() || !this.playback.isActive) return;
+            this.playback.transition('buffering');
+            clearTimeout(stallTimer);
+            stallTimer = setTimeout(onStall, this.stallTimeout);
+        });
+        source.on('playing', () => {
+            clearTimeout(stallTimer);
+            stallTimer = null;
+            if (isCurrent() && this.playback.state === 'buffering') {
+                this.playback.transition('playing');
+            }
         });
+        source.on('failed', (error) => {
+            clearTimeout(stallTimer);
+            if (isCurrent() && this.playback.isActive) {
+                this.skipBrokenTrack(error);
+            }
+        });
+    }
+    
+    // Report the error, then move on unless too many tracks have failed in a row
+    skipBrokenTrack(error) {
+        this.playback.transition('error', { error });
+        this.consecutiveFailures++;
+        if (this.consecutiveFailures >= this.maxConsecutiveFailures) {
+            console.error(`⏭️ ${this.consecutiveFailures} tracks failed in a row, giving up`);
+            return;
+        }
+        
+        console.log('⏭️ Skipping broken track');
+        this.playNext().catch(error => console.error('⏭️ Failed to advance queue:', error));
+    }
+    
+    async playNext() {
+        let track = this.nextAllowedTrack();
+        
+        if (!track && this.queue.nextPage !== null) {
+            await this.fetchMoreTracks();
+            track = this.nextAllowedTrack();
+        }
+        
+        if (!track) {
+            track = this.queue.restart();
+            // The top of the queue may be what was just banned
+            if (track && this.feedback.isBanned(track)) {
+                track = this.nextAllowedTrack();
+            }
+        }
+        
+        if (!track) {
+            // Generated music has no queue, so "next" means a fresh piece
+            if (this.queue.searchQuery) {
+                const generated = await this.playGeneratedTrack({ ...this.queue.searchQuery, seed: undefined });
+                if (generated) {
+                    await this.resumeOtherLayers();
+                    this.emitMusicChanged({ trackName: generated.name });
+                }
+                return generated;
+            }
+            console.warn('⏭️ Nothing queued');
+            return null;
+        }
+        
+        this.topUpQueue();
+        if (!await this.playTrack(track)) return null;
+        await this.resumeOtherLayers(); // "Next" after a stop brings the whole mix back
+        this.emitMusicChanged({ trackName: track.name });
+        return track;
+    }
+    
+    // Next queued track, passing over any banned since they were queued
+    nextAllowedTrack() {
+        let track = this.queue.next();
+        while (track && this.feedback.isBanned(track)) {
+            track = this.queue.next();
+        }
+        return track;
+    }
+    
+    async playPrevious() {
+        const track = this.queue.previous();
+        if (!track) {
+            console.warn('⏮️ Already at the start of the queue');
+            return null;
+        }
+        
+        if (!await this.playTrack(track)) return null;
+        await this.resumeOtherLayers();
+        this.emitMusicChanged({ trackName: track.name });
+        return track;
+    }
+    
+    shuffleQueue() {
+        this.queue.shuffle();
+        console.log(`🔀 Shuffled ${this.queue.remaining()} upcoming tracks`);
+        this.emitMusicChanged();
+    }
+    
+    // Fetch the next result page in the background when the queue runs low
+    topUpQueue() {
+        if (this.queue.needsMore()) {
+            this.fetchMoreTracks().catch(error => console.error('🔍 Failed to fetch more tracks:', error));
+        }
+    }
+    
+    async fetchMoreTracks() {
+        if (this.queue.isLoading || this.queue.nextPage === null) return 0;
+        
+        const queue = this.queue;
+        queue.isLoading = true;
+        try {
+            const { results, nextPage } = await this.searchTracks(queue.searchQuery, queue.nextPage);
+            const added = queue.append(results, nextPage);
+            console.log(`🔍 Added ${added} tracks to the queue`);
+            return added;
+        } finally {
+            queue.isLoading = false;
+        }
+    }
+    
+    // The track the music bed is actually playing, if any - not the queue's
+    // position, which runs ahead of it after a failed skip
+    getCurrentTrack() {
+        const layer = this.mixer && this.mixer.getLayer(this.musicLayer);
+        return layer && layer.source && layer.source.kind === 'track' ? layer.source.track : null;
+    }
+    
+    // Words GPT can use to place a modifier ("calmer") relative to the current track
+    describeTrack(track) {
+        const tags = (track.tags || []).slice(0, 6).join(' ');
+        return tags ? `${track.name} (${tags})` : track.name;
+    }
+    
+    // "More like this" / "similar but calmer": the provider's similar sounds for
+    // the current track, narrowed by GPT's filter for the modifier if there is
+    // one. Sets `command.trackName` or `command.reason` for the spoken response.
+    async playSimilar(command = {}) {
+        const track = this.getCurrentTrack();
+        if (!track) {
+            command.reason = 'Nothing is playing to find similar sounds for';
+            return;
+        }
+        
+        const provider = this.getProvider(track.provider || 'freesound');
+        if (!provider || !provider.enabled || (provider.requiresNetwork && (this.offlineOnly || !navigator.onLine))) {
+            command.reason = "Can't look up similar sounds for this track right now";
+            return;
+        }
+        
+        const previous = this.playback.state;
+        this.playback.transition('resolving');
+        let searchQuery = this.queue.searchQuery;
+        let filter = null;
+        if (command.modifier) {
+            searchQuery = await this.interpretMusicRequest(`${command.modifier} than ${this.describeTrack(track)}`);
+            filter = searchQuery.filter;
+        }
+        
+        let results = await this.findSimilar(provider, track, filter);
+        if (results.length === 0 && filter) {
+            console.log('🔍 Nothing similar passed the filter - using the closest matches');
+            results = await this.findSimilar(provider, track, null);
+        }
+        
+        if (results.length === 0) {
+            this.restorePlaybackState(previous);
+            command.reason = `Couldn't find anything similar to ${track.name}`;
+            return;
+        }
+        
+        const started = await this.playResults(results, searchQuery);
+        if (started) command.trackName = started.name;
+    }
+    
+    // "Something different": a fresh search steered away from the current track,
+    // with its closest similar sounds left out
+    async playDifferent(command = {}) {
+        const track = this.getCurrentTrack();
+        if (!track) {
+            command.reason = 'Nothing is playing to move away from';
+            return;
+        }
+        
+        const previous = this.playback.state;
+        this.playback.transition('resolving');
+        const provider = this.getProvider(track.provider || 'freesound');
+        const similar = provider && provider.enabled ? await this.findSimilar(provider, track, null) : [];
+        const exclude = new Set([track, ...similar].map(sound => `${sound.provider || 'freesound'}:${sound.id}`));
+        
+        const searchQuery = await this.interpretMusicRequest(
+            `something that sounds different from ${this.describeTrack(track)}${command.modifier ? `, ${command.modifier}` : ''}`);
+        const { results } = await this.searchTracks(searchQuery);
+        const different = results.filter(sound => !exclude.has(`${sound.provider || 'freesound'}:${sound.id}`));
+        
+        if (different.length === 0) {
+            this.restorePlaybackState(previous);
+            command.reason = `Couldn't find anything different from ${track.name}`;
+            return;
+        }
         
+        const started = await this.playResults(different, searchQuery);
+        if (started) command.trackName = started.name;
+    }
+    
+    // Licensed similar sounds, or none if the lookup failed
+    async findSimilar(provider, track, filter) {
         try {
-            await this.currentAudio.play();
-            console.log('✅ Track playing:', track.name);
+            const { results } = await provider.similar(track, { filter });
+            return this.feedback.rank(this.filterLicensed(results).filter(sound => sound.id !== track.id));
         } catch (error) {
-            console.error('🎵 Failed to play track:', error);
+            console.error(`🔍 ${provider.name} similarity search failed:`, error);
+            this.emit('provider-error', { provider: provider.name, code: error.code || 'unknown', message: error.message });
+            return [];
+        }
+    }
+    
+    // Apply feedback to the playing track. Sets `command.trackName`, or
+    // `command.reason` when there's nothing to rate.
+    rateCurrentTrack(command, apply) {
+        const track = this.getCurrentTrack();
+        if (!track) {
+            command.reason = 'Nothing is playing right now';
+            return null;
+        }
+        
+        apply(track);
+        command.trackName = track.name;
+        this.emitMusicChanged();
+        return track;
+    }
+    
+    // Queue every favorite: the latest one first, then the rest shuffled
+    async playFavorites(command = {}) {
+        const favorites = this.filterLicensed(this.feedback.getFavorites());
+        if (favorites.length === 0) {
+            command.reason = 'No favorites yet - say "I love this" while something is playing';
+            return;
+        }
+        
+        const started = await this.playResults(favorites, null);
+        this.queue.shuffle();
+        command.count = favorites.length;
+        if (started) command.trackName = started.name;
+    }
+    
+    // Back to where playback was before a lookup that found nothing - the
+    // current track never stopped
+    restorePlaybackState(previous) {
+        this.playback.transition(previous === 'buffering' ? 'playing' : previous);
+    }
+    
+    // Replace the queue with `results` and start the first one
+    async playResults(results, searchQuery) {
+        // Supersede any search still running for the music bed
+        const request = (this.layerRequests.get(this.musicLayer) || 0) + 1;
+        this.layerRequests.set(this.musicLayer, request);
+        
+        // Similar sounds come as one list, so there are no further pages to fetch
+        this.queue.load(results, { searchQuery, nextPage: null });
+        const track = results[0];
+        if (!await this.playTrack(track)) return null;
+        
+        if (searchQuery && searchQuery.style) {
+            this.currentMusicStyle = searchQuery.style;
+        }
+        await this.resumeOtherLayers();
+        this.emitMusicChanged({ trackName: track.name });
+        return track;
+    }
+    
+    setOfflineOnly(offlineOnly) {
+        this.offlineOnly = !!offlineOnly;
+        settings.set('cache.offlineOnly', this.offlineOnly);
+        console.log('📴 Offline-only mode:', this.offlineOnly ? 'on' : 'off');
+    }
+    
+    setCacheSize(maxSizeMB) {
+        if (typeof maxSizeMB !== 'number' || isNaN(maxSizeMB)) return;
+        
+        this.cache.setMaxSize(maxSizeMB);
+        settings.set('cache.maxSizeMB', Math.round(this.cache.maxSizeBytes / (1024 * 1024)));
+    }
+    
+    async clearCache() {
+        await this.cache.clear();
+        this.getProvider('freesound').clearCache();
+    }
+    
+    setPlaybackMode(mode) {
+        if (mode !== 'advance' && mode !== 'loop-one') return;
+        
+        this.playbackMode = mode;
+        settings.set('playback.mode', mode);
+        
+        // Apply to the track that's already playing
+        const layer = this.mixer && this.mixer.getLayer(this.musicLayer);
+        if (layer && layer.source && layer.source.setLoop) {
+            layer.source.setLoop(mode === 'loop-one');
+        }
+        
+        console.log('🔁 Playback mode:', mode);
+        this.emitMusicChanged();
+    }
+    
+    async resolveStream(track) {
+        const provider = this.getProvider(track.provider || 'freesound');
+        return provider ? provider.resolveStream(track) : track;
+    }
+    
+    isLicensed(track) {
+        const provider = this.getProvider(track.provider || 'freesound');
+        return !!provider && provider.isLicensed(track);
+    }
+    
+    // Drop results whose license doesn't allow playback, whatever the search filter said
+    filterLicensed(tracks) {
+        const licensed = tracks.filter(track => this.isLicensed(track));
+        if (licensed.length < tracks.length) {
+            console.warn(`📜 Rejected ${tracks.length - licensed.length} tracks that aren't CC0`);
+        }
+        return licensed;
+    }
+    
+    getTrackMetadata(track) {
+        const provider = this.getProvider(track.provider || 'freesound');
+        return provider ? provider.getMetadata(track) : { ...track };
+    }
+    
+    async exportLicenseLedger(filePath) {
+        return this.ledger.exportTo(filePath);
+    }
+    
+    async setLocalLibraryFolder(folder) {
+        const provider = this.getProvider('local');
+        settings.set('providers.localLibraryPath', folder);
+        const count = await provider.setFolder(folder);
+        this.emit('providers-changed', this.getProviderState());
+        return count;
+    }
+    
+    setProviderEnabled(id, enabled) {
+        const provider = this.getProvider(id);
+        if (!provider) return;
+        
+        provider.enabled = !!enabled;
+        settings.set(`providers.enabled.${id}`, provider.enabled);
+        this.emit('providers-changed', this.getProviderState());
+    }
+    
+    setProviderStrategy(strategy) {
+        if (strategy !== 'merge' && strategy !== 'rank') return;
+        this.providerStrategy = strategy;
+        settings.set('providers.strategy', strategy);
+    }
+    
+    // Move a provider to the front of the search order
+    prioritizeProvider(id) {
+        const provider = this.getProvider(id);
+        if (!provider) return;
+        
+        this.providers = [provider, ...this.providers.filter(other => other !== provider)];
+        settings.set('providers.order', this.providers.map(other => other.id));
+    }
+    
+    getProviderState() {
+        return this.providers.map(provider => ({
+            id: provider.id,
+            name: provider.name,
+            enabled: provider.enabled,
+            available: provider.isAvailable()
+        }));
+    }
+    
+    getAudioContext() {
+        if (!this.audioContext) {
+            this.audioContext = new AudioContext();
+            Tone.setContext(this.audioContext);
+            
+            this.mixer = new SoundscapeMixer(this.audioContext);
+            this.mixer.setVolume(this.volume);
+            this.mixer.setCrossfade({ duration: this.crossfadeDuration, curve: this.crossfadeCurve });
+            this.mixer.setLimiter({ enabled: this.limiterEnabled, ceiling: this.limiterCeiling });
+            this.mixer.effects.set(this.effects, 0);
+            this.mixer.ducking.configure({ ...this.ducking, depth: this.duckingDepth() });
+            this.mixer.on('change', () => this.emitMusicChanged());
+            
+            if (this.outputDeviceId !== 'default') {
+                this.applySink().catch(() => this.fallBackToDefaultDevice());
+            }
+        }
+        return this.audioContext;
+    }
+    
+    async initializeOutputDevices() {
+        try {
+            await this.outputDevices.refresh();
+            this.outputDevices.watch();
+            this.outputDevices.on('change', () => {
+                this.onOutputDevicesChanged().catch(error => console.error('🔈 Failed to update output device:', error));
+            });
+        } catch (error) {
+            console.error('🔈 Output devices unavailable:', error);
+        }
+        
+        this.outputDeviceId = this.outputDevices.get(this.preferredDeviceId) ? this.preferredDeviceId : 'default';
+        this.applyDeviceProfile();
+        console.log('🔈 Output device:', this.getOutputDevice().label);
+    }
+    
+    getOutputDevice() {
+        return this.outputDevices.get(this.outputDeviceId) || { id: 'default', label: 'System default' };
+    }
+    
+    // Everything (previews, loops, generated music, noise) plays through the
+    // shared AudioContext, so switching its sink moves all playback at once
+    async applySink() {
+        if (!this.audioContext || !this.audioContext.setSinkId) return;
+        
+        try {
+            await this.audioContext.setSinkId(this.outputDeviceId === 'default' ? '' : this.outputDeviceId);
+        } catch (error) {
+            console.error('🔈 Failed to switch output device:', error);
+            throw error;
+        }
+    }
+    
+    // The remembered device wouldn't open, so the new context stays on the
+    // system default. The preference is kept for when the device comes back.
+    fallBackToDefaultDevice() {
+        console.warn('🔈 Falling back to the system default output');
+        this.saveDeviceProfile();
+        this.outputDeviceId = 'default';
+        this.applyDeviceProfile();
+        this.emit('output-device-changed', this.getOutputDevice());
+        this.emitMusicChanged();
+    }
+    
+    // `remember: false` is for automatic fallbacks that shouldn't replace the user's choice
+    async setOutputDevice(deviceId, { remember = true } = {}) {
+        const device = this.outputDevices.get(deviceId);
+        if (!device) return null;
+        
+        this.saveDeviceProfile();
+        const previous = this.outputDeviceId;
+        this.outputDeviceId = device.id;
+        try {
+            await this.applySink();
+        } catch (error) {
+            this.outputDeviceId = previous;
+            return null;
+        }
+        
+        if (remember) {
+            this.preferredDeviceId = device.id;
+            settings.set('output.deviceId', device.id);
+        }
+        this.applyDeviceProfile();
+        
+        console.log('🔈 Output device:', device.label);
+        this.emit('output-device-changed', device);
+        this.emitMusicChanged();
+        return device;
+    }
+    
+    async setOutputDeviceByName(name) {
+        const device = this.outputDevices.find(name);
+        if (!device) {
+            console.warn('🔈 No output device matches:', name);
+            return null;
+        }
+        return this.setOutputDevice(device.id);
+    }
+    
+    async onOutputDevicesChanged() {
+        if (!this.outputDevices.get(this.outputDeviceId)) {
+            console.warn('🔈 Output device unplugged - switching to the system default');
+            await this.setOutputDevice('default', { remember: false });
+        } else if (this.preferredDeviceId !== this.outputDeviceId && this.outputDevices.get(this.preferredDeviceId)) {
+            console.log('🔈 Preferred output device is back');
+            await this.setOutputDevice(this.preferredDeviceId);
         }
     }
     
-    playDemoTrack(style) {
-        console.log('🎵 Playing demo track for:', style);
+    saveDeviceProfile() {
+        this.deviceProfiles[this.outputDeviceId] = { volume: this.volume, vadDuckingFactor: this.vadDuckingFactor };
+        settings.set('output.profiles', { ...this.deviceProfiles });
+    }
+    
+    applyDeviceProfile() {
+        const profile = this.deviceProfiles[this.outputDeviceId];
+        if (!profile) return;
         
-        // Simple fallback audio
-        const audioContext = new AudioContext();
-        const oscillator = audioContext.createOscillator();
-        const gainNode = audioContext.createGain();
+        this.volume = profile.volume;
+        this.vadDuckingFactor = profile.vadDuckingFactor;
+        if (this.mixer) {
+            this.mixer.setVolume(this.volume);
+            this.mixer.ducking.configure({ depth: this.duckingDepth() });
+        }
+    }
+    
+    async ensureMixer() {
+        const audioContext = this.getAudioContext();
+        await audioContext.resume();
+        return this.mixer;
+    }
+    
+    resolveLayerPreset(term) {
+        const text = (term || '').toLowerCase();
+        
+        for (const [name, preset] of Object.entries(LAYER_PRESETS)) {
+            if ([name, ...preset.aliases].some(alias => text.includes(alias))) {
+                return { name, ...preset };
+            }
+        }
         
-        const frequencies = {
-            'ambient': 220,
-            'piano': 261.63,
-            'nature': 110,
-            'focus': 40,
-            'electronic': 440
+        return null;
+    }
+    
+    // Add (or replace) a layer under the music, e.g. "add rain"
+    async addLayer(term) {
+        const preset = this.resolveLayerPreset(term);
+        const layerName = preset ? preset.name : term.toLowerCase().trim();
+        const options = {
+            category: preset ? preset.category : 'music',
+            gain: preset && preset.category === 'noise' ? this.layerGain * 0.6 : this.layerGain
         };
+        console.log('🎚️ Adding layer:', layerName);
+        
+        const mixer = await this.ensureMixer();
+        
+        if (preset && preset.localOnly) {
+            await mixer.playLayer(layerName, new NoiseSource(this.audioContext, preset.noise, layerName), options);
+            await this.afterLayerAdded();
+            return true;
+        }
+        
+        const searchQuery = preset
+            ? {
+                query: preset.query,
+                filter: `tag:${preset.tag} duration:[60 TO *] avg_rating:[3 TO *] license:"Creative Commons 0"`,
+                style: preset.category,
+                mood: 'calming'
+            }
+            : await this.interpretMusicRequest(term);
+        
+        const track = await this.searchTrack(searchQuery);
+        let started = true;
+        if (track) {
+            started = await this.playTrack(track, layerName, { ...options, searchQuery });
+        } else if (preset && preset.noise) {
+            await mixer.playLayer(layerName, new NoiseSource(this.audioContext, preset.noise, layerName), options);
+        } else {
+            started = !!await this.playGeneratedTrack(searchQuery, layerName, options);
+        }
+        if (!started) return false; // Already reported through 'playback-error'
+        
+        await this.afterLayerAdded();
+        return true;
+    }
+    
+    resolveBrainwaveBand(term) {
+        const text = (term || '').toLowerCase().trim();
+        for (const [band, preset] of Object.entries(BRAINWAVE_BANDS)) {
+            if (text === band || preset.aliases.includes(text)) {
+                return band;
+            }
+        }
+        return null;
+    }
+    
+    // Replace whatever brainwave layer is playing; the layer sits under the music
+    async addBrainwaves(term, mode = this.brainwaveMode) {
+        const band = this.resolveBrainwaveBand(term) || 'alpha';
+        const mixer = await this.ensureMixer();
+        const source = new BrainwaveSource(this.audioContext, { band, mode });
+        console.log(`🧠 Adding ${source.name}`);
+        if (source.mode === 'binaural') {
+            console.log('🧠 Binaural beats only work on headphones');
+        }
         
-        oscillator.frequency.value = frequencies[style] || 220;
-        oscillator.type = 'sine';
-        gainNode.gain.value = this.volume * 0.1;
+        await mixer.playLayer(this.brainwaveLayer, source, {
+            category: 'brainwave',
+            gain: this.brainwaveGain,
+            maxGain: this.brainwaveMaxGain
+        });
+        this.brainwaveMode = source.mode;
+        return this.afterLayerAdded();
+    }
+    
+    async afterLayerAdded() {
+        await this.resumeOtherLayers();
+    }
+    
+    removeLayer(term) {
+        const layer = this.mixer && this.mixer.findLayer(term);
+        if (!layer) {
+            console.warn('🎚️ No layer matching:', term);
+            return false;
+        }
         
-        oscillator.connect(gainNode);
-        gainNode.connect(audioContext.destination);
-        oscillator.start();
+        console.log('🎚️ Removing layer:', layer.name);
+        this.mixer.removeLayer(layer.name);
+        
+        if (!this.mixer.hasLayers()) {
+            this.playback.transition('idle');
+        }
+        return true;
+    }
+    
+    adjustLayer(term, delta = this.layerGainStep) {
+        const layer = this.mixer && this.mixer.findLayer(term);
+        if (!layer) {
+            console.warn('🎚️ No layer matching:', term);
+            return false;
+        }
         
-        // Store reference for cleanup
-        this.demoAudio = { oscillator, gainNode, audioContext };
+        this.mixer.setLayerGain(layer.name, layer.gain + delta);
+        console.log(`🎚️ Layer "${layer.name}" gain set to ${Math.round(layer.gain * 100)}%`);
+        return true;
+    }
+    
+    setLayerMuted(term, muted) {
+        const layer = this.mixer && this.mixer.findLayer(term);
+        if (!layer) {
+            console.warn('🎚️ No layer matching:', term);
+            return false;
+        }
         
-        return { name: `Demo ${style} tone`, username: 'system' };
+        this.mixer.setLayerMuted(layer.name, muted);
+        return true;
+    }
+    
+    // After a stop, starting something new brings the rest of the mix back too
+    async resumeOtherLayers() {
+        if (!this.mixer || !this.mixer.hasLayers()) return;
+        await this.mixer.resumeAll();
+        if (!this.playback.isActive) {
+            this.playback.transition('playing');
+        }
     }
     
     async switchToStyle(newStyle) {
@@ -302,22 +1499,31 @@ class AudioSystem extends EventEmitter {
         await this.executeCommand({ text: newStyle });
     }
     
-    adjustVolume(delta) {
-        this.volume = Math.max(0, Math.min(1, this.volume + delta));
+    setCrossfade({ duration, curve } = {}) {
+        if (typeof duration === 'number' && !isNaN(duration)) {
+            this.crossfadeDuration = Math.max(0, Math.min(30, duration));
+        }
+        if (curve === 'equal-power' || curve === 'linear') {
+            this.crossfadeCurve = curve;
+        }
         
-        if (this.currentAudio) {
-            this.currentAudio.volume = this.volume;
+        if (this.mixer) {
+            this.mixer.setCrossfade({ duration: this.crossfadeDuration, curve: this.crossfadeCurve });
         }
+        settings.set('playback.crossfadeDuration', this.crossfadeDuration);
+        settings.set('playback.crossfadeCurve', this.crossfadeCurve);
+        console.log(`🎚️ Crossfade set to ${this.crossfadeDuration}s (${this.crossfadeCurve})`);
+    }
+    
+    adjustVolume(delta) {
+        this.volume = Math.max(0, Math.min(1, this.volume + delta));
         
-        if (this.demoAudio && this.demoAudio.gainNode) {
-            this.demoAudio.gainNode.gain.value = this.volume * 0.1;
+        if (this.mixer) {
+            this.mixer.setVolume(this.volume);
         }
         
-        this.emit('music-changed', {
-            style: this.currentMusicStyle,
-            isPlaying: this.isPlaying,
-            volume: this.volume
-        });
+        this.saveDeviceProfile();
+        this.emitMusicChanged();
         
         console.log('🔊 Volume adjusted to:', Math.round(this.volume * 100) + '%');
     }
@@ -325,50 +1531,167 @@ class AudioSystem extends EventEmitter {
     stopMusic() {
         console.log('🎵 Stopping music...');
         
-        if (this.currentAudio) {
-            this.currentAudio.pause();
-            this.currentAudio = null;
+        if (this.mixer) {
+            this.mixer.pauseAll();
         }
         
-        if (this.demoAudio) {
-            this.demoAudio.oscillator.stop();
-            this.demoAudio.audioContext.close();
-            this.demoAudio = null;
+        if (this.playback.state !== 'idle') {
+            this.playback.transition('paused');
         }
+    }
+    
+    async resumeMusic() {
+        if (this.isPlaying) return;
         
-        this.isPlaying = false;
+        console.log('🎵 Resuming music...');
+        if (this.mixer && this.mixer.hasLayers()) {
+            await this.resumeOtherLayers();
+            this.emitMusicChanged();
+        } else {
+            await this.startBackgroundMusic(this.currentMusicStyle);
+        }
+    }
+    
+    emitMusicChanged(extra = {}) {
+        const layers = this.mixer ? this.mixer.getState() : [];
+        const music = layers.find(layer => layer.name === this.musicLayer);
         
         this.emit('music-changed', {
             style: this.currentMusicStyle,
-            isPlaying: false,
-            volume: this.volume
+            isPlaying: this.isPlaying,
+            state: this.playback.state,
+            error: this.playback.error,
+            volume: this.volume,
+            trackName: music ? music.trackName : null,
+            layers,
+            queue: this.queue.getState(),
+            playbackMode: this.playbackMode,
+            outputDevice: this.getOutputDevice().label,
+            timer: this.sleepTimer.getState(),
+            focus: this.focusSession.getState(),
+            schedule: this.schedule.getState(),
+            ...extra
         });
     }
     
-    async resumeMusic() {
-        if (!this.isPlaying) {
-            console.log('🎵 Resuming music...');
-            await this.startBackgroundMusic(this.currentMusicStyle);
+    startFocusSession({ rounds, workMinutes, breakMinutes } = {}) {
+        // Spoken overrides apply to this session only; saved defaults come from settings
+        this.focusSession.configure(settings.get('focus'));
+        this.focusSession.start({ rounds, workMinutes, shortBreakMinutes: breakMinutes });
+    }
+    
+    setFocusDefaults(options) {
+        this.focusSession.configure(options);
+        for (const key of ['workMinutes', 'shortBreakMinutes', 'longBreakMinutes', 'rounds']) {
+            settings.set(`focus.${key}`, this.focusSession[key]);
         }
     }
     
-    // VAD-triggered volume control methods
+    // Chime, then switch the music to suit the new phase
+    async onFocusPhase({ phase }) {
+        this.playChime(phase === 'work' ? 'start' : 'end');
+        const style = phase === 'work' ? this.focusWorkStyle : this.focusBreakStyle;
+        // Automatic, like the schedule - not a choice that should hold the schedule off
+        await this.executeCommand({ action: style, description: style, scheduled: true });
+    }
+    
+    onFocusSessionFinished() {
+        this.playChime('finish');
+        this.emit('focus-session-finished');
+    }
+    
+    getFocusState() {
+        return this.focusSession.getState();
+    }
+    
+    // A schedule boundary: crossfade to the rule's music and swap its layers.
+    // Nothing scheduled leaves whatever is playing alone.
+    async onScheduleRule(rule) {
+        if (!rule) return;
+        if (this.focusSession.isActive) {
+            console.log('🗓️ Focus session running - leaving the schedule for later');
+            return;
+        }
+        
+        for (const layer of this.scheduledLayers.filter(layer => !rule.layers.includes(layer))) {
+            this.removeLayer(layer);
+        }
+        
+        await this.executeCommand({ text: rule.style, description: rule.style, scheduled: true });
+        
+        for (const layer of rule.layers) {
+            await this.addLayer(layer);
+        }
+        this.scheduledLayers = rule.layers.slice();
+    }
+    
+    setSchedule(options) {
+        return this.schedule.update(options);
+    }
+    
+    getScheduleState() {
+        return this.schedule.getState();
+    }
+    
+    // Chimes go straight to the master stage so ducking and timer fades don't swallow them.
+    // The music ducks under them, timed by the lookahead to be down before they sound.
+    async playChime(kind) {
+        try {
+            const mixer = await this.ensureMixer();
+            const { attack, lookahead } = mixer.ducking;
+            const startTime = this.audioContext.currentTime + (attack + lookahead) / 1000 + 0.02;
+            
+            mixer.ducking.duck('chime', { at: startTime });
+            const length = playChime(this.audioContext, mixer.masterGain, kind, { startTime });
+            setTimeout(() => mixer.ducking.unduck('chime'), (startTime - this.audioContext.currentTime + length) * 1000);
+        } catch (error) {
+            console.error('🔔 Failed to play chime:', error);
+        }
+    }
+    
+    startSleepTimer(endsAt) {
+        this.sleepTimer.start(endsAt, { fadeDuration: this.sleepFadeDuration * 1000 });
+    }
+    
+    onSleepTimerExpired() {
+        this.stopMusic();
+        // Back to full level (while paused) so "play" resumes normally
+        if (this.mixer) {
+            this.mixer.restoreLevel(0);
+        }
+        this.emit('sleep-timer-finished');
+    }
+    
+    getTimerState() {
+        return this.sleepTimer.getState();
+    }
+    
+    // Wake word heard: the music stays ducked until the command that follows
+    // is done, so the user needn't talk over it
+    onWakeWord({ chime = true } = {}) {
+        if (this.mixer) {
+            this.mixer.ducking.duck('wake');
+        }
+        if (chime) {
+            this.playChime('wake');
+        }
+    }
+    
+    onCommandFinished() {
+        if (this.mixer) {
+            this.mixer.ducking.unduck('wake');
+        }
+    }
+    
+    // VAD-triggered volume control methods - each layer ducks by its own depth
     onSpeechDetected() {
         if (this.isVADMuted) return; // Already ducked
         
         console.log('🎤 Speech detected - ducking music volume');
         this.isVADMuted = true;
         
-        // Duck the current audio
-        if (this.currentAudio) {
-            this.originalVolume = this.currentAudio.volume;
-            this.fadeVolume(this.currentAudio, this.originalVolume * this.vadDuckingFactor, this.vadFadeTime);
-        }
-        
-        // Duck the demo audio
-        if (this.demoAudio && this.demoAudio.gainNode) {
-            this.originalGain = this.demoAudio.gainNode.gain.value;
-            this.fadeGain(this.demoAudio.gainNode, this.originalGain * this.vadDuckingFactor, this.vadFadeTime);
+        if (this.mixer) {
+            this.mixer.ducking.duck('speech');
         }
     }
     
@@ -378,56 +1701,48 @@ class AudioSystem extends EventEmitter {
         console.log('🎵 Speech ended - restoring music volume');
         this.isVADMuted = false;
         
-        // Restore the current audio volume
-        if (this.currentAudio && this.originalVolume !== null) {
-            this.fadeVolume(this.currentAudio, this.originalVolume, this.vadFadeTime);
-        }
-        
-        // Restore the demo audio gain
-        if (this.demoAudio && this.demoAudio.gainNode && this.originalGain !== null) {
-            this.fadeGain(this.demoAudio.gainNode, this.originalGain, this.vadFadeTime);
+        if (this.mixer) {
+            this.mixer.ducking.unduck('speech');
         }
     }
     
-    // Smooth volume fading for regular audio elements
-    fadeVolume(audioElement, targetVolume, duration) {
-        if (!audioElement) return;
-        
-        const startVolume = audioElement.volume;
-        const volumeDiff = targetVolume - startVolume;
-        const steps = 20; // Number of fade steps
-        const stepTime = duration / steps;
-        let currentStep = 0;
-        
-        const fadeInterval = setInterval(() => {
-            currentStep++;
-            const progress = currentStep / steps;
-            audioElement.volume = startVolume + (volumeDiff * progress);
-            
-            if (currentStep >= steps) {
-                clearInterval(fadeInterval);
-                audioElement.volume = targetVolume;
-            }
-        }, stepTime);
-    }
-    
-    // Smooth gain fading for Web Audio API nodes
-    fadeGain(gainNode, targetGain, duration) {
-        if (!gainNode) return;
-        
-        const audioContext = gainNode.context;
-        const currentTime = audioContext.currentTime;
-        const endTime = currentTime + (duration / 1000);
-        
-        gainNode.gain.setValueAtTime(gainNode.gain.value, currentTime);
-        gainNode.gain.linearRampToValueAtTime(targetGain, endTime);
+    // Default duck depth in dB, from the device's ducking factor
+    duckingDepth() {
+        return -20 * Math.log10(this.vadDuckingFactor);
     }
     
     // Method to adjust VAD ducking factor
     setVADDuckingFactor(factor) {
         this.vadDuckingFactor = Math.max(0.1, Math.min(1.0, factor));
+        if (this.mixer) {
+            this.mixer.ducking.configure({ depth: this.duckingDepth() });
+        }
+        this.saveDeviceProfile();
         console.log('VAD ducking factor set to:', this.vadDuckingFactor);
     }
+    
+    // Timing, curves and per-layer depths, e.g. { attack: 20, depths: { rain: 4 } }
+    setDucking(options = {}) {
+        this.getAudioContext(); // The mixer's engine validates the values
+        this.mixer.ducking.configure({ ...options, depth: this.duckingDepth() });
+        this.ducking = this.mixer.ducking.getSettings();
+        settings.set('ducking', { ...this.ducking });
+        console.log('🎚️ Ducking:', this.ducking);
+    }
+}
+
+// Merge per-provider result lists round-robin, keeping each provider's own order
+function interleave(lists) {
+    const merged = [];
+    const longest = Math.max(0, ...lists.map(list => list.length));
+    for (let i = 0; i < longest; i++) {
+        for (const list of lists) {
+            if (i < list.length) {
+                merged.push(list[i]);
+            }
+        }
+    }
+    return merged;
 }
 
-module.exports = AudioSystem; 
\ No newline at end of file
+module.exports = AudioSystem;
@@ -0,0 +1,274 @@
+// AudioWorklet side of microphone capture, loaded by VoiceProcessor with
+// audioWorklet.addModule(). Runs on the audio thread, so a busy UI can't delay
+// it: resamples the mic to 16 kHz mono, runs the VAD, and posts 16-bit PCM
+// frames and speech start/end events back over the port. No require() here -
+// the worklet scope has no Node.js.
+//
+// Messages out:
+//   { type: 'frame', pcm: ArrayBuffer (Int16 samples), energy, noiseFloor }
+//   { type: 'speechStart', energy } / { type: 'speechEnd' }
+//   { type: 'calibrated', noiseFloor, threshold, zcr }
+// Messages in:
+//   { type: 'configure', frameSize, vad: { active, threshold, ... } }
+//   { type: 'calibrate', duration }   measure room noise for `duration` ms
+//   { type: 'reset' }                 forget the speech in progress
+
+const VAD_WINDOW = 512; // Samples at the target rate (32 ms at 16 kHz)
+const SPEECH_BAND = [300, 3400]; // Hz, where most of a voice's energy is
+const LEVEL_SMOOTHING = 0.5; // Per window
+const FLOOR_FALL = 0.3; // Noise floor follows quieter rooms quickly...
+const FLOOR_RISE = 0.02; // ...and louder ones slowly (~1.6 s), so speech barely moves it
+const ONSET_GAP = 100; // ms of non-speech that restarts the minimum-duration count
+
+class VoiceCaptureProcessor extends AudioWorkletProcessor {
+    constructor(options) {
+        super();
+        const { targetRate = 16000, frameSize = 4096, vad = {} } = options.processorOptions || {};
+        
+        this.targetRate = targetRate;
+        this.ratio = sampleRate / targetRate; // Input samples per output sample
+        
+        // Resampler: each output sample is the average of the input it spans
+        this.acc = 0;
+        this.filled = 0;
+        
+        this.frame = null;
+        this.frameLength = 0;
+        this.setFrameSize(frameSize);
+        
+        // VAD, on fixed windows so it behaves the same whatever the frame size.
+        // Speech has to stand out from the noise floor in the speech band;
+        // starting takes more than carrying on (hysteresis), and speech only
+        // ends after a hangover.
+        this.vad = {
+            active: false, // Only while a speech-to-text session is open
+            threshold: 0.005, // Band level below which nothing counts as speech
+            startRatio: 3, // Band level over the noise floor to start (~10 dB)
+            stopRatio: 1.8, // ...and to carry on (~5 dB)
+            maxZcr: 0.25, // Zero crossings per sample; more is hiss or clatter, not a voice starting
+            minBandShare: 0.25, // Share of the level in the speech band; less is rumble or hiss
+            minSpeechDuration: 300, // ms
+            silenceTimeout: 1000, // ms of hangover before speech ends
+            noiseFloor: null // Seed, e.g. from calibration
+        };
+        this.bandFilters = [
+            biquad('highpass', SPEECH_BAND[0], targetRate),
+            biquad('lowpass', SPEECH_BAND[1], targetRate)
+        ];
+        this.windowLength = 0;
+        this.sumSquares = 0;
+        this.bandSquares = 0;
+        this.crossings = 0;
+        this.previous = 0;
+        this.samplesOut = 0;
+        this.currentEnergy = 0; // Smoothed speech band level
+        this.noiseFloor = null;
+        this.speechStartTime = null;
+        this.lastSpeechTime = null;
+        this.isSpeechActive = false;
+        this.calibration = null;
+        this.configureVAD(vad);
+        
+        this.port.onmessage = (event) => {
+            const { type, frameSize, vad, duration } = event.data;
+            if (type === 'reset') {
+                this.resetSpeech();
+                return;
+            }
+            if (type === 'calibrate') {
+                this.calibration = { levels: [], zcrs: [], until: this.samplesOut + duration / 1000 * this.targetRate };
+                return;
+            }
+            if (type !== 'configure') return;
+            if (frameSize) this.setFrameSize(frameSize);
+            if (vad) this.configureVAD(vad);
+        };
+    }
+    
+    setFrameSize(frameSize) {
+        // Send what's pending at the old size first
+        if (this.frameLength > 0) {
+            this.postFrame();
+        }
+        this.frame = new Float32Array(Math.max(128, Math.round(frameSize)));
+    }
+    
+    configureVAD(options) {
+        const wasActive = this.vad.active;
+        Object.assign(this.vad, options);
+        if (typeof options.noiseFloor === 'number') {
+            this.noiseFloor = options.noiseFloor;
+        }
+        if (wasActive && !this.vad.active) {
+            this.resetSpeech();
+        }
+    }
+    
+    resetSpeech() {
+        this.speechStartTime = null;
+        this.lastSpeechTime = null;
+        this.isSpeechActive = false;
+    }
+    
+    process(inputs) {
+        const channel = inputs[0] && inputs[0][0];
+        if (!channel) return true;
+        
+        for (let i = 0; i < channel.length; i++) {
+            let remaining = 1;
+            while (this.filled + remaining >= this.ratio) {
+                const take = this.ratio - this.filled;
+                this.acc += channel[i] * take;
+                this.push(this.acc / this.ratio);
+                remaining -= take;
+                this.acc = 0;
+                this.filled = 0;
+            }
+            this.acc += channel[i] * remaining;
+            this.filled += remaining;
+        }
+        return true;
+    }
+    
+    // One sample at the target rate
+    push(sample) {
+        this.frame[this.frameLength++] = sample;
+        if (this.frameLength === this.frame.length) {
+            this.postFrame();
+        }
+        
+        let band = sample;
+        for (const filter of this.bandFilters) {
+            band = filter(band);
+        }
+        this.sumSquares += sample * sample;
+        this.bandSquares += band * band;
+        if ((sample >= 0) !== (this.previous >= 0)) {
+            this.crossings++;
+        }
+        this.previous = sample;
+        
+        this.samplesOut++;
+        if (++this.windowLength === VAD_WINDOW) {
+            this.processWindow();
+            this.windowLength = 0;
+            this.sumSquares = 0;
+            this.bandSquares = 0;
+            this.crossings = 0;
+        }
+    }
+    
+    postFrame() {
+        const pcm = new Int16Array(this.frameLength);
+        for (let i = 0; i < this.frameLength; i++) {
+            pcm[i] = Math.max(-32768, Math.min(32767, this.frame[i] * 32768));
+        }
+        this.frameLength = 0;
+        this.port.postMessage({ type: 'frame', pcm: pcm.buffer, energy: this.currentEnergy, noiseFloor: this.noiseFloor }, [pcm.buffer]);
+    }
+    
+    processWindow() {
+        const energy = Math.sqrt(this.sumSquares / VAD_WINDOW);
+        const band = Math.sqrt(this.bandSquares / VAD_WINDOW);
+        const zcr = this.crossings / VAD_WINDOW;
+        const bandShare = energy > 0 ? band / energy : 0;
+        
+        this.currentEnergy = LEVEL_SMOOTHING * this.currentEnergy + (1 - LEVEL_SMOOTHING) * band;
+        const level = this.currentEnergy;
+        
+        if (this.calibration) {
+            this.calibrate(band, zcr);
+            return;
+        }
+        
+        // The floor only learns from what isn't (or might not be) speech, so a
+        // long utterance can't raise the bar and cut itself off
+        if (!this.isSpeechActive && this.speechStartTime === null) {
+            if (this.noiseFloor === null) {
+                this.noiseFloor = level;
+            } else {
+                this.noiseFloor += (level - this.noiseFloor) * (level < this.noiseFloor ? FLOOR_FALL : FLOOR_RISE);
+            }
+        }
+        
+        if (!this.vad.active) return;
+        
+        // Audio time, not wall-clock time
+        const now = this.samplesOut / this.targetRate * 1000;
+        const floor = this.noiseFloor || 0;
+        
+        if (!this.isSpeechActive) {
+            const speechLike = level > Math.max(this.vad.threshold, floor * this.vad.startRatio) &&
+                zcr <= this.vad.maxZcr && bandShare >= this.vad.minBandShare;
+            
+            if (speechLike) {
+                if (this.speechStartTime === null) {
+                    this.speechStartTime = now;
+                }
+                this.lastSpeechTime = now;
+                
+                // Check if we've had speech long enough to trigger
+                if (now - this.speechStartTime >= this.vad.minSpeechDuration) {
+                    this.isSpeechActive = true;
+                    this.port.postMessage({ type: 'speechStart', energy: level });
+                }
+            } else if (this.speechStartTime !== null && now - this.lastSpeechTime > ONSET_GAP) {
+                this.speechStartTime = null; // A click or a blip, too short to count
+            }
+        } else if (level > Math.max(this.vad.threshold, floor * this.vad.stopRatio)) {
+            this.lastSpeechTime = now;
+        } else if (now - this.lastSpeechTime >= this.vad.silenceTimeout) {
+            this.isSpeechActive = false;
+            this.speechStartTime = null;
+            this.port.postMessage({ type: 'speechEnd' });
+        }
+    }
+    
+    // Room noise only: the floor becomes its median level, and the threshold
+    // sits clear of its loudest moments
+    calibrate(band, zcr) {
+        const calibration = this.calibration;
+        calibration.levels.push(band);
+        calibration.zcrs.push(zcr);
+        if (this.samplesOut < calibration.until) return;
+        
+        this.calibration = null;
+        const levels = calibration.levels.slice().sort((a, b) => a - b);
+        const percentile = (p) => levels[Math.min(levels.length - 1, Math.floor(p * levels.length))];
+        
+        this.noiseFloor = percentile(0.5);
+        this.currentEnergy = this.noiseFloor;
+        this.vad.threshold = Math.max(0.001, percentile(0.95) * 2);
+        this.port.postMessage({
+            type: 'calibrated',
+            noiseFloor: this.noiseFloor,
+            threshold: this.vad.threshold,
+            zcr: calibration.zcrs.reduce((a, b) => a + b, 0) / calibration.zcrs.length
+        });
+    }
+}
+
+// Second-order filter (RBJ cookbook, Q = 0.707) as a per-sample function
+function biquad(type, frequency, rate) {
+    const w0 = 2 * Math.PI * frequency / rate;
+    const alpha = Math.sin(w0) / (2 * Math.SQRT1_2);
+    const cos = Math.cos(w0);
+    const a0 = 1 + alpha;
+    const b1 = (type === 'lowpass' ? 1 - cos : -(1 + cos)) / a0;
+    const b0 = (type === 'lowpass' ? 1 - cos : 1 + cos) / 2 / a0;
+    const b2 = b0;
+    const a1 = -2 * cos / a0;
+    const a2 = (1 - alpha) / a0;
+    
+    let x1 = 0, x2 = 0, y1 = 0, y2 = 0;
+    return (x) => {
+        const y = b0 * x + b1 * x1 + b2 * x2 - a1 * y1 - a2 * y2;
+        x2 = x1;
+        x1 = x;
+        y2 = y1;
+        y1 = y;
+        return y;
+    };
+}
+
+registerProcessor('voice-capture', VoiceCaptureProcessor);
@@ -0,0 +1,61 @@
+// Short synthesized bell cues for focus sessions and the wake word, so they need no network
+// and sound the same every time. Each note is a sine with one inharmonic
+// partial and a quick attack / long exponential decay.
+const CHIMES = {
+    start: [ // Rising: back to work
+        { frequency: 659.25, at: 0 },
+        { frequency: 987.77, at: 0.18 }
+    ],
+    end: [ // Falling: time for a break
+        { frequency: 987.77, at: 0 },
+        { frequency: 783.99, at: 0.2 },
+        { frequency: 659.25, at: 0.4 }
+    ],
+    finish: [ // Major arpeggio: session complete
+        { frequency: 523.25, at: 0 },
+        { frequency: 659.25, at: 0.15 },
+        { frequency: 783.99, at: 0.3 },
+        { frequency: 1046.5, at: 0.45 }
+    ],
+    wake: [ // Quick and quiet-sounding: listening now
+        { frequency: 1174.66, at: 0 },
+        { frequency: 1567.98, at: 0.08 }
+    ]
+};
+
+// Returns how many seconds the chime rings for
+function playChime(audioContext, destination, kind = 'start', { level = 0.3, startTime } = {}) {
+    const notes = CHIMES[kind] || CHIMES.start;
+    const now = Math.max(startTime || 0, audioContext.currentTime + 0.02);
+    const decay = 1.6;
+    
+    for (const { frequency, at } of notes) {
+        const start = now + at;
+        const envelope = audioContext.createGain();
+        envelope.gain.setValueAtTime(0.0001, start);
+        envelope.gain.exponentialRampToValueAtTime(level, start + 0.005);
+        envelope.gain.exponentialRampToValueAtTime(0.0001, start + decay);
+        envelope.connect(destination);
+        
+        for (const [ratio, amount] of [[1, 1], [2.76, 0.25]]) {
+            const partial = audioContext.createOscillator();
+            const partialGain = audioContext.createGain();
+            partial.frequency.value = frequency * ratio;
+            partialGain.gain.value = amount;
+            partial.connect(partialGain);
+            partialGain.connect(envelope);
+            partial.start(start);
+            partial.stop(start + decay + 0.05);
+            partial.onended = () => {
+                partialGain.disconnect();
+                partial.disconnect();
+            };
+        }
+        
+        setTimeout(() => envelope.disconnect(), (now - audioContext.currentTime + at + decay + 0.5) * 1000);
+    }
+    
+    return notes[notes.length - 1].at + decay;
+}
+
+module.exports = { playChime };
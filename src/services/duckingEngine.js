@@ -0,0 +1,171 @@
+// Sidechain-style ducking: while any trigger (the user speaking, a chime) is
+// active, each mixer layer is pulled down by its own depth, then brought back
+// once every trigger has ended and the hold time has passed.
+//
+// Depth is in dB of reduction. It's looked up by layer name, then source kind
+// ('track', 'loop', 'noise', 'brainwave'...), then layer category, falling back
+// to the default `depth` - so "duck the music hard but the rain only a little"
+// is { music: 18, rain: 4 }.
+//
+// Every move starts from wherever the gain is right now, so a new duck during a
+// release (or the other way round) retargets smoothly instead of jumping.
+const DEFAULT_DUCKING = {
+    attack: 40, // ms to reach the ducked level
+    hold: 250, // ms to stay down after the last trigger ends
+    release: 600, // ms to come back up
+    attackCurve: 'exponential', // 'linear', 'exponential' or 'smooth'
+    releaseCurve: 'smooth',
+    lookahead: 60, // ms the duck is finished before a scheduled sound starts
+    depths: {} // Layer name / source kind / category -> dB
+};
+
+const CURVES = ['linear', 'exponential', 'smooth'];
+
+class DuckingEngine {
+    constructor(audioContext, getLayers) {
+        this.audioContext = audioContext;
+        this.getLayers = getLayers; // () => iterable of mixer layers with a `duckNode`
+        this.depth = 14; // dB, for layers without their own depth
+        this.triggers = new Set();
+        this.pending = new Map(); // trigger -> timeout for ducks timed to a later sound
+        this.releaseTimer = null;
+        this.configure(DEFAULT_DUCKING);
+    }
+    
+    configure({ attack, hold, release, attackCurve, releaseCurve, lookahead, depth, depths } = {}) {
+        const ms = (value, fallback) => typeof value === 'number' && value >= 0 ? Math.min(value, 5000) : fallback;
+        this.attack = ms(attack, this.attack);
+        this.hold = ms(hold, this.hold);
+        this.release = ms(release, this.release);
+        this.lookahead = ms(lookahead, this.lookahead);
+        if (CURVES.includes(attackCurve)) this.attackCurve = attackCurve;
+        if (CURVES.includes(releaseCurve)) this.releaseCurve = releaseCurve;
+        if (typeof depth === 'number' && !isNaN(depth)) {
+            this.depth = clampDepth(depth);
+        }
+        if (depths && typeof depths === 'object') {
+            this.depths = {};
+            for (const [key, value] of Object.entries(depths)) {
+                if (typeof value === 'number' && !isNaN(value)) {
+                    this.depths[key.toLowerCase()] = clampDepth(value);
+                }
+            }
+        }
+        
+        // Depths may have changed under an active duck
+        if (this.isDucked) {
+            this.applyAll(this.attack, this.attackCurve);
+        }
+    }
+    
+    get isDucked() {
+        return this.triggers.size > 0;
+    }
+    
+    // Start (or keep) ducking for a trigger. With `at` (AudioContext time) the
+    // duck is timed to be fully down `lookahead` ms before that moment.
+    duck(trigger = 'speech', { at } = {}) {
+        const lead = typeof at === 'number'
+            ? (at - this.audioContext.currentTime) * 1000 - this.lookahead - this.attack
+            : 0;
+        
+        clearTimeout(this.pending.get(trigger));
+        this.pending.delete(trigger);
+        if (lead > 10) {
+            this.pending.set(trigger, setTimeout(() => {
+                this.pending.delete(trigger);
+                this.duck(trigger);
+            }, lead));
+            return;
+        }
+        
+        const wasDucked = this.isDucked;
+        this.triggers.add(trigger);
+        clearTimeout(this.releaseTimer);
+        this.releaseTimer = null;
+        
+        if (!wasDucked) {
+            this.applyAll(this.attack, this.attackCurve);
+        }
+    }
+    
+    // End a trigger; the mix comes back after `hold` once no triggers are left
+    unduck(trigger = 'speech') {
+        clearTimeout(this.pending.get(trigger));
+        this.pending.delete(trigger);
+        if (!this.triggers.delete(trigger) || this.isDucked) return;
+        
+        clearTimeout(this.releaseTimer);
+        this.releaseTimer = setTimeout(() => {
+            this.releaseTimer = null;
+            if (!this.isDucked) {
+                this.applyAll(this.release, this.releaseCurve);
+            }
+        }, this.hold);
+    }
+    
+    depthFor(layer) {
+        const keys = [layer.name, layer.source && layer.source.kind, layer.category]
+            .filter(Boolean)
+            .map(key => key.toLowerCase());
+        const key = keys.find(candidate => candidate in this.depths);
+        return key ? this.depths[key] : this.depth;
+    }
+    
+    // Gain a layer's duck node should be at right now
+    levelFor(layer) {
+        return this.isDucked ? Math.pow(10, -this.depthFor(layer) / 20) : 1;
+    }
+    
+    applyAll(duration, curve) {
+        for (const layer of this.getLayers()) {
+            this.rampTo(layer.duckNode.gain, this.levelFor(layer), duration, curve);
+        }
+    }
+    
+    rampTo(param, target, durationMs, curve) {
+        const now = this.audioContext.currentTime;
+        const duration = Math.max(durationMs, 1) / 1000;
+        
+        // Freeze any running ramp where it is, then head for the new target
+        if (param.cancelAndHoldAtTime) {
+            param.cancelAndHoldAtTime(now);
+        } else {
+            param.cancelScheduledValues(now);
+            param.setValueAtTime(param.value, now);
+        }
+        const start = param.value;
+        
+        if (curve === 'linear') {
+            param.linearRampToValueAtTime(target, now + duration);
+        } else if (curve === 'exponential') {
+            // ~98% of the way there after `duration`
+            param.setTargetAtTime(target, now, duration / 4);
+        } else {
+            const points = 64;
+            const values = new Float32Array(points);
+            for (let i = 0; i < points; i++) {
+                values[i] = start + (target - start) * (1 - Math.cos(Math.PI * i / (points - 1))) / 2;
+            }
+            param.setValueCurveAtTime(values, now, duration);
+        }
+    }
+    
+    getSettings() {
+        return {
+            attack: this.attack,
+            hold: this.hold,
+            release: this.release,
+            attackCurve: this.attackCurve,
+            releaseCurve: this.releaseCurve,
+            lookahead: this.lookahead,
+            depths: { ...this.depths }
+        };
+    }
+}
+
+function clampDepth(value) {
+    return Math.max(0, Math.min(40, value));
+}
+
+module.exports = { DuckingEngine, DEFAULT_DUCKING };
@@ -0,0 +1,171 @@
+// Tone and space effects on the whole mix: warmth (low shelf), brightness
+// (high shelf), a low-pass, reverb and stereo width. Sits between the timer
+// fade and the master volume, so everything that plays goes through it.
+//
+//   input → low shelf → high shelf → low-pass ─┬─ dry ────────┬→ width (M/S) → output
+//                                              └─ convolver ──┘
+const DEFAULT_EFFECTS = {
+    warmth: 0, // dB at the low shelf
+    brightness: 0, // dB at the high shelf
+    lowpass: 20000, // Hz
+    reverb: 0, // Wet level, 0 - 1
+    width: 1 // 0 = mono, 1 = as recorded, 2 = extra wide
+};
+
+const EFFECT_RANGES = {
+    warmth: [-12, 12],
+    brightness: [-12, 12],
+    lowpass: [500, 20000],
+    reverb: [0, 1],
+    width: [0, 2]
+};
+
+class EffectsChain {
+    constructor(audioContext) {
+        this.audioContext = audioContext;
+        this.rampTime = 0.4; // Seconds for parameter changes
+        this.settings = { ...DEFAULT_EFFECTS };
+        
+        // Mono sources are spread to both channels before the M/S split
+        this.input = audioContext.createGain();
+        this.input.channelCount = 2;
+        this.input.channelCountMode = 'explicit';
+        this.input.channelInterpretation = 'speakers';
+        
+        this.lowShelf = audioContext.createBiquadFilter();
+        this.lowShelf.type = 'lowshelf';
+        this.lowShelf.frequency.value = 250;
+        this.highShelf = audioContext.createBiquadFilter();
+        this.highShelf.type = 'highshelf';
+        this.highShelf.frequency.value = 3500;
+        this.lowpass = audioContext.createBiquadFilter();
+        this.lowpass.type = 'lowpass';
+        this.lowpass.Q.value = 0.7;
+        
+        this.dry = audioContext.createGain();
+        this.wet = audioContext.createGain();
+        this.convolver = audioContext.createConvolver();
+        this.convolver.buffer = EffectsChain.createImpulse(audioContext, 2.8);
+        
+        this.input.connect(this.lowShelf);
+        this.lowShelf.connect(this.highShelf);
+        this.highShelf.connect(this.lowpass);
+        this.lowpass.connect(this.dry);
+        this.lowpass.connect(this.convolver);
+        this.convolver.connect(this.wet);
+        
+        this.createWidthStage();
+        this.dry.connect(this.widthInput);
+        this.wet.connect(this.widthInput);
+        
+        this.apply(0);
+    }
+    
+    // Mid/side matrix: L' = M + w·S, R' = M - w·S with M = (L+R)/2, S = (L-R)/2
+    createWidthStage() {
+        const ctx = this.audioContext;
+        this.widthInput = ctx.createGain();
+        const splitter = ctx.createChannelSplitter(2);
+        const merger = ctx.createChannelMerger(2);
+        const gain = (value) => {
+            const node = ctx.createGain();
+            node.gain.value = value;
+            return node;
+        };
+        
+        const leftHalf = gain(0.5);
+        const rightHalf = gain(0.5);
+        const rightHalfInverted = gain(-0.5);
+        const mid = gain(1);
+        this.side = gain(1); // Gain here is the width
+        const sideInverted = gain(-1);
+        
+        this.widthInput.connect(splitter);
+        splitter.connect(leftHalf, 0);
+        splitter.connect(rightHalf, 1);
+        splitter.connect(rightHalfInverted, 1);
+        leftHalf.connect(mid);
+        rightHalf.connect(mid);
+        leftHalf.connect(this.side);
+        rightHalfInverted.connect(this.side);
+        this.side.connect(sideInverted);
+        
+        mid.connect(merger, 0, 0);
+        this.side.connect(merger, 0, 0);
+        mid.connect(merger, 0, 1);
+        sideInverted.connect(merger, 0, 1);
+        
+        this.output = merger;
+    }
+    
+    // Decaying stereo noise - a plain, roomy hall without shipping an IR file
+    static createImpulse(audioContext, seconds) {
+        const length = Math.round(audioContext.sampleRate * seconds);
+        const impulse = audioContext.createBuffer(2, length, audioContext.sampleRate);
+        
+        for (let channel = 0; channel < 2; channel++) {
+            const data = impulse.getChannelData(channel);
+            for (let i = 0; i < length; i++) {
+                data[i] = (Math.random() * 2 - 1) * Math.pow(1 - i / length, 3);
+            }
+        }
+        return impulse;
+    }
+    
+    connect(destination) {
+        this.output.connect(destination);
+    }
+    
+    disconnect() {
+        this.output.disconnect();
+    }
+    
+    set(changes = {}, rampTime = this.rampTime) {
+        for (const [key, value] of Object.entries(changes)) {
+            if (!(key in EFFECT_RANGES) || typeof value !== 'number' || isNaN(value)) continue;
+            const [min, max] = EFFECT_RANGES[key];
+            this.settings[key] = Math.max(min, Math.min(max, value));
+        }
+        this.apply(rampTime);
+        return this.getSettings();
+    }
+    
+    reset(rampTime = this.rampTime) {
+        return this.set(DEFAULT_EFFECTS, rampTime);
+    }
+    
+    apply(rampTime) {
+        const { warmth, brightness, lowpass, reverb, width } = this.settings;
+        this.ramp(this.lowShelf.gain, warmth, rampTime);
+        this.ramp(this.highShelf.gain, brightness, rampTime);
+        this.ramp(this.lowpass.frequency, lowpass, rampTime, true);
+        // Keep the overall level about the same as the reverb comes up
+        this.ramp(this.dry.gain, 1 - reverb * 0.4, rampTime);
+        this.ramp(this.wet.gain, reverb * 0.8, rampTime);
+        this.ramp(this.side.gain, width, rampTime);
+    }
+    
+    ramp(param, target, duration, exponential = false) {
+        const now = this.audioContext.currentTime;
+        param.cancelScheduledValues(now);
+        param.setValueAtTime(param.value, now);
+        if (duration <= 0) {
+            param.setValueAtTime(target, now);
+        } else if (exponential) {
+            // Frequency sweeps sound even on a log scale
+            param.exponentialRampToValueAtTime(target, now + duration);
+        } else {
+            param.linearRampToValueAtTime(target, now + duration);
+        }
+    }
+    
+    isFlat() {
+        return Object.keys(DEFAULT_EFFECTS).every(key => this.settings[key] === DEFAULT_EFFECTS[key]);
+    }
+    
+    getSettings() {
+        return { ...this.settings };
+    }
+}
+
+module.exports = { EffectsChain, DEFAULT_EFFECTS, EFFECT_RANGES };
@@ -0,0 +1,207 @@
+const EventEmitter = require('events');
+const fs = require('fs');
+const path = require('path');
+const { ipcRenderer } = require('electron');
+
+// Pomodoro-style focus sessions: `rounds` work phases separated by short
+// breaks, with a long break every `longBreakEvery` rounds. Only keeps time and
+// the log of completed rounds; AudioSystem reacts to 'phase' and 'finish'.
+class FocusSession extends EventEmitter {
+    constructor() {
+        super();
+        this.workMinutes = 25;
+        this.shortBreakMinutes = 5;
+        this.longBreakMinutes = 15;
+        this.rounds = 4;
+        this.longBreakEvery = 4;
+        
+        this.phase = null; // 'work', 'break', 'long-break' or null when idle
+        this.round = 0;
+        this.endsAt = null; // Epoch ms
+        this.pausedRemaining = null; // ms left when paused, null while running
+        this.timer = null;
+        
+        this.log = []; // Completed work rounds
+        this.logPath = null;
+        this.saveTimer = null;
+    }
+    
+    async initialize(options = {}) {
+        this.configure(options);
+        
+        const userDataPath = await ipcRenderer.invoke('get-user-data-path');
+        this.logPath = path.join(userDataPath, 'focus-log.json');
+        try {
+            const data = JSON.parse(await fs.promises.readFile(this.logPath, 'utf8'));
+            this.log = data.rounds || [];
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.error('🍅 Focus log unreadable, starting fresh:', error);
+            }
+        }
+    }
+    
+    configure({ workMinutes, shortBreakMinutes, longBreakMinutes, rounds, longBreakEvery } = {}) {
+        const minutes = (value, fallback) => typeof value === 'number' && value > 0 ? Math.min(value, 240) : fallback;
+        this.workMinutes = minutes(workMinutes, this.workMinutes);
+        this.shortBreakMinutes = minutes(shortBreakMinutes, this.shortBreakMinutes);
+        this.longBreakMinutes = minutes(longBreakMinutes, this.longBreakMinutes);
+        this.rounds = Math.round(minutes(rounds, this.rounds));
+        this.longBreakEvery = Math.round(minutes(longBreakEvery, this.longBreakEvery));
+    }
+    
+    get isActive() {
+        return this.phase !== null;
+    }
+    
+    get isPaused() {
+        return this.pausedRemaining !== null;
+    }
+    
+    start(options = {}) {
+        this.configure(options);
+        this.round = 1;
+        console.log(`🍅 Starting ${this.rounds}-round focus session (${this.workMinutes}/${this.shortBreakMinutes} min)`);
+        this.startPhase('work');
+    }
+    
+    startPhase(phase) {
+        const minutes = phase === 'work' ? this.workMinutes
+            : phase === 'long-break' ? this.longBreakMinutes : this.shortBreakMinutes;
+        
+        this.phase = phase;
+        this.pausedRemaining = null;
+        this.schedule(minutes * 60 * 1000);
+        
+        console.log(`🍅 Round ${this.round}/${this.rounds}: ${phase} for ${minutes} min`);
+        this.emit('phase', this.getState());
+        this.emit('change', this.getState());
+    }
+    
+    schedule(ms) {
+        clearTimeout(this.timer);
+        this.endsAt = Date.now() + ms;
+        this.timer = setTimeout(() => this.endPhase(true), ms);
+    }
+    
+    // Move on from the current phase; `completed` is false when it was skipped
+    endPhase(completed) {
+        clearTimeout(this.timer);
+        
+        if (this.phase === 'work') {
+            if (completed) {
+                this.recordRound();
+            }
+            if (this.round >= this.rounds) {
+                this.finish();
+                return;
+            }
+            this.startPhase(this.round % this.longBreakEvery === 0 ? 'long-break' : 'break');
+        } else {
+            this.round++;
+            this.startPhase('work');
+        }
+    }
+    
+    pause() {
+        if (!this.isActive || this.isPaused) return false;
+        
+        clearTimeout(this.timer);
+        this.pausedRemaining = Math.max(0, this.endsAt - Date.now());
+        console.log('🍅 Focus session paused');
+        this.emit('change', this.getState());
+        return true;
+    }
+    
+    resume() {
+        if (!this.isActive || !this.isPaused) return false;
+        
+        this.schedule(this.pausedRemaining);
+        this.pausedRemaining = null;
+        console.log('🍅 Focus session resumed');
+        this.emit('change', this.getState());
+        return true;
+    }
+    
+    skip() {
+        if (!this.isActive) return false;
+        console.log(`🍅 Skipping ${this.phase}`);
+        this.endPhase(false);
+        return true;
+    }
+    
+    stop() {
+        if (!this.isActive) return false;
+        
+        this.reset();
+        console.log('🍅 Focus session stopped');
+        this.emit('change', this.getState());
+        return true;
+    }
+    
+    finish() {
+        const rounds = this.rounds;
+        this.reset();
+        console.log('🍅 Focus session complete');
+        this.emit('finish', { rounds });
+        this.emit('change', this.getState());
+    }
+    
+    reset() {
+        clearTimeout(this.timer);
+        this.phase = null;
+        this.round = 0;
+        this.endsAt = null;
+        this.pausedRemaining = null;
+    }
+    
+    recordRound() {
+        this.log.push({
+            completedAt: new Date().toISOString(),
+            round: this.round,
+            rounds: this.rounds,
+            workMinutes: this.workMinutes
+        });
+        this.emit('round-complete', this.log[this.log.length - 1]);
+        
+        clearTimeout(this.saveTimer);
+        this.saveTimer = setTimeout(() => this.saveLog(), 500);
+    }
+    
+    async saveLog() {
+        if (!this.logPath) return;
+        
+        try {
+            await fs.promises.writeFile(this.logPath, JSON.stringify({ version: 1, rounds: this.log }, null, 2));
+        } catch (error) {
+            console.error('🍅 Failed to save focus log:', error);
+        }
+    }
+    
+    // Completed rounds since midnight
+    getTodaysRounds() {
+        const midnight = new Date();
+        midnight.setHours(0, 0, 0, 0);
+        return this.log.filter(entry => new Date(entry.completedAt) >= midnight);
+    }
+    
+    getRemaining() {
+        if (!this.isActive) return 0;
+        return this.isPaused ? this.pausedRemaining : Math.max(0, this.endsAt - Date.now());
+    }
+    
+    getState() {
+        return {
+            active: this.isActive,
+            phase: this.phase,
+            round: this.round,
+            rounds: this.rounds,
+            paused: this.isPaused,
+            endsAt: this.endsAt,
+            remaining: this.getRemaining(),
+            completedToday: this.getTodaysRounds().length
+        };
+    }
+}
+
+module.exports = FocusSession;
@@ -0,0 +1,354 @@
+// The package's ESM entry can't be required from the renderer, use the UMD build
+const Tone = require('tone/build/Tone.js');
+
+// Scale intervals (semitones from the root)
+const SCALES = {
+    major: [0, 2, 4, 5, 7, 9, 11],
+    minor: [0, 2, 3, 5, 7, 8, 10],
+    dorian: [0, 2, 3, 5, 7, 9, 10],
+    lydian: [0, 2, 4, 6, 7, 9, 11],
+    phrygian: [0, 1, 3, 5, 7, 8, 10]
+};
+
+// Mood profiles shape tonality, tempo, brightness and how busy the music gets
+const MOODS = {
+    peaceful: { scale: 'major', root: 48, bpm: 64, brightness: 0.4, density: 0.35 },
+    calming: { scale: 'lydian', root: 50, bpm: 58, brightness: 0.35, density: 0.3 },
+    concentrated: { scale: 'dorian', root: 45, bpm: 72, brightness: 0.3, density: 0.25 },
+    dark: { scale: 'phrygian', root: 40, bpm: 60, brightness: 0.2, density: 0.3 },
+    bright: { scale: 'lydian', root: 53, bpm: 84, brightness: 0.75, density: 0.5 },
+    energetic: { scale: 'dorian', root: 45, bpm: 112, brightness: 0.7, density: 0.6 },
+    aggressive: { scale: 'phrygian', root: 40, bpm: 124, brightness: 0.85, density: 0.7 }
+};
+
+// Which voices make up each style
+const STYLE_VOICES = {
+    ambient: ['pad', 'drone'],
+    piano: ['piano', 'pad'],
+    nature: ['texture', 'drone'],
+    focus: ['drone', 'piano'],
+    relax: ['pad', 'piano'],
+    electronic: ['pad', 'beat', 'piano'],
+    rock: ['drone', 'beat'],
+    metal: ['drone', 'beat']
+};
+
+// Chord roots (scale degrees) the progression wanders between
+const PROGRESSION_DEGREES = [0, 3, 4, 5, 1];
+
+const STEPS_PER_BAR = 8; // The clock ticks in eighth notes
+const BARS_PER_CHORD = 2;
+
+// Small, fast seeded PRNG (mulberry32) so a seed always yields the same piece
+function createRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+function resolveMood(mood) {
+    const text = (mood || '').toLowerCase();
+    const key = Object.keys(MOODS).find(name => text.includes(name));
+    return MOODS[key || 'peaceful'];
+}
+
+class GenerativeEngine {
+    constructor() {
+        this.isRunning = false;
+        this.isDisposed = false;
+        this.startToken = 0; // Bumped by every start and stop, so a stale start knows to give up
+        this.seed = null;
+        this.style = null;
+        this.mood = null;
+        
+        this.output = new Tone.Gain(0);
+        this.voices = [];
+        this.nodes = [];
+        this.clock = null;
+        this.step = 0;
+        this.chordDegree = 0;
+        this.lastMelodyIndex = 0;
+    }
+    
+    static randomSeed() {
+        return Math.floor(Math.random() * 1000000);
+    }
+    
+    static supportsStyle(style) {
+        return Object.prototype.hasOwnProperty.call(STYLE_VOICES, style);
+    }
+    
+    connect(destination) {
+        this.output.connect(destination);
+        return this;
+    }
+    
+    async start({ style = 'ambient', mood = 'peaceful', seed = GenerativeEngine.randomSeed(), fadeTime = 2 } = {}) {
+        // Also tears down the voices of a start still waiting on its samples
+        this.stop(0);
+        const token = ++this.startToken;
+        
+        this.style = STYLE_VOICES[style] ? style : 'ambient';
+        this.mood = mood;
+        this.seed = seed;
+        this.random = createRandom(seed);
+        this.profile = resolveMood(mood);
+        this.scale = SCALES[this.profile.scale];
+        // Slow intensity curve so the piece breathes instead of looping statically
+        this.intensityPeriod = 16 + Math.floor(this.random() * 16);
+        this.intensityPhase = this.random() * Math.PI * 2;
+        this.step = 0;
+        this.chordDegree = 0;
+        this.lastMelodyIndex = this.scale.length;
+        
+        console.log(`🎹 Generating ${this.style} (${mood}) with seed ${seed}`);
+        
+        this.buildVoices(STYLE_VOICES[this.style]);
+        await Promise.all(this.nodes.filter(node => node.ready).map(node => node.ready));
+        
+        // Stopped, disposed or restarted while loading
+        if (token !== this.startToken || this.isDisposed) return null;
+        
+        const stepsPerSecond = (this.profile.bpm / 60) * 2;
+        this.clock = new Tone.Clock((time) => this.tick(time), stepsPerSecond);
+        this.clock.start();
+        this.output.gain.rampTo(1, fadeTime);
+        this.isRunning = true;
+        
+        return {
+            name: `Generated ${this.style} · ${mood} · seed ${seed}`,
+            username: 'system',
+            generated: true,
+            style: this.style,
+            mood,
+            seed
+        };
+    }
+    
+    stop(fadeTime = 1) {
+        const wasRunning = this.isRunning;
+        this.isRunning = false;
+        this.startToken++;
+        if (!wasRunning && this.voices.length === 0 && this.nodes.length === 0) return;
+        
+        const clock = this.clock;
+        const voices = this.voices;
+        const nodes = this.nodes;
+        this.clock = null;
+        this.voices = [];
+        this.nodes = [];
+        
+        const teardown = () => {
+            if (clock) {
+                clock.stop();
+                clock.dispose();
+            }
+            voices.forEach(voice => voice.stop && voice.stop());
+            nodes.forEach(node => node.dispose());
+        };
+        
+        if (wasRunning && fadeTime > 0) {
+            this.output.gain.rampTo(0, fadeTime);
+            setTimeout(teardown, fadeTime * 1000 + 100);
+        } else {
+            this.output.gain.value = 0;
+            teardown();
+        }
+    }
+    
+    dispose() {
+        this.isDisposed = true;
+        this.stop(0);
+        this.output.dispose();
+    }
+    
+    // Keep track of every Tone node so stop() can dispose of them
+    track(node) {
+        this.nodes.push(node);
+        return node;
+    }
+    
+    buildVoices(kinds) {
+        const brightness = this.profile.brightness;
+        const reverb = this.track(new Tone.Reverb({ decay: 6 + this.random() * 6, wet: 0.45 }));
+        reverb.connect(this.output);
+        
+        kinds.forEach(kind => {
+            switch (kind) {
+                case 'pad':
+                    this.voices.push(this.createPad(reverb, brightness));
+                    break;
+                case 'piano':
+                    this.voices.push(this.createPiano(reverb, brightness));
+                    break;
+                case 'drone':
+                    this.voices.push(this.createDrone(reverb, brightness));
+                    break;
+                case 'texture':
+                    this.voices.push(this.createTexture(reverb));
+                    break;
+                case 'beat':
+                    this.voices.push(this.createBeat(brightness));
+                    break;
+            }
+        });
+    }
+    
+    createPad(destination, brightness) {
+        const filter = this.track(new Tone.Filter(400 + brightness * 2000, 'lowpass'));
+        const synth = this.track(new Tone.PolySynth(Tone.Synth, {
+            oscillator: { type: 'fatsawtooth', count: 3, spread: 18 + this.random() * 20 },
+            envelope: { attack: 2.5, decay: 1, sustain: 0.8, release: 5 },
+            volume: -22
+        }));
+        synth.chain(filter, destination);
+        
+        return {
+            onChord: (time, chord, barSeconds) => {
+                synth.triggerAttackRelease(chord.map(midiToFrequency), barSeconds * BARS_PER_CHORD, time, 0.5);
+            }
+        };
+    }
+    
+    createPiano(destination, brightness) {
+        const delay = this.track(new Tone.FeedbackDelay(0.375 + this.random() * 0.25, 0.25));
+        const synth = this.track(new Tone.PolySynth(Tone.FMSynth, {
+            harmonicity: 2,
+            modulationIndex: 1.5 + brightness * 2,
+            envelope: { attack: 0.005, decay: 1.4, sustain: 0.05, release: 1.6 },
+            modulationEnvelope: { attack: 0.01, decay: 0.6, sustain: 0, release: 0.5 },
+            volume: -16
+        }));
+        synth.connect(delay);
+        synth.connect(destination);
+        delay.connect(destination);
+        
+        return {
+            onStep: (time, step, intensity) => {
+                const chance = this.profile.density * (0.4 + intensity * 0.6);
+                if (this.random() > chance) return;
+                
+                // Random walk over the scale, two octaves above the root
+                const move = Math.floor(this.random() * 5) - 2;
+                this.lastMelodyIndex = Math.max(0, Math.min(this.scale.length * 2, this.lastMelodyIndex + move));
+                const note = this.scaleNote(this.lastMelodyIndex + this.chordDegree, 2);
+                const velocity = 0.3 + this.random() * 0.4;
+                synth.triggerAttackRelease(midiToFrequency(note), 0.8 + this.random() * 1.5, time, velocity);
+            }
+        };
+    }
+    
+    createDrone(destination, brightness) {
+        const filter = this.track(new Tone.Filter(200 + brightness * 600, 'lowpass', -24));
+        const lfo = this.track(new Tone.LFO(0.02 + this.random() * 0.05, 150, 300 + brightness * 1200));
+        const root = this.track(new Tone.FatOscillator(midiToFrequency(this.profile.root - 12), 'sawtooth', 25));
+        const fifth = this.track(new Tone.FatOscillator(midiToFrequency(this.profile.root - 5), 'triangle', 15));
+        root.volume.value = -26;
+        fifth.volume.value = -30;
+        root.connect(filter);
+        fifth.connect(filter);
+        filter.connect(destination);
+        lfo.connect(filter.frequency);
+        lfo.start();
+        root.start();
+        fifth.start();
+        
+        return {
+            onChord: (time, chord) => {
+                root.frequency.rampTo(midiToFrequency(chord[0] - 12), 4, time);
+                fifth.frequency.rampTo(midiToFrequency(chord[0] - 5), 4, time);
+            },
+            stop: () => {
+                root.stop();
+                fifth.stop();
+                lfo.stop();
+            }
+        };
+    }
+    
+    createTexture(destination) {
+        // Filtered brown noise that swells like wind or distant surf
+        const noise = this.track(new Tone.Noise('brown'));
+        const filter = this.track(new Tone.AutoFilter({
+            frequency: 0.03 + this.random() * 0.05,
+            baseFrequency: 200,
+            octaves: 3
+        }));
+        noise.volume.value = -20;
+        noise.chain(filter, destination);
+        filter.start();
+        noise.start();
+        
+        return {
+            stop: () => {
+                noise.stop();
+                filter.stop();
+            }
+        };
+    }
+    
+    createBeat(brightness) {
+        const kick = this.track(new Tone.MembraneSynth({
+            pitchDecay: 0.04,
+            octaves: 4,
+            envelope: { attack: 0.001, decay: 0.4, sustain: 0, release: 0.2 },
+            volume: -14
+        }));
+        const hatFilter = this.track(new Tone.Filter(6000 + brightness * 4000, 'highpass'));
+        const hat = this.track(new Tone.NoiseSynth({
+            noise: { type: 'pink' },
+            envelope: { attack: 0.001, decay: 0.04, sustain: 0 },
+            volume: -28
+        }));
+        kick.connect(this.output);
+        hat.chain(hatFilter, this.output);
+        
+        return {
+            onStep: (time, step, intensity) => {
+                const position = step % STEPS_PER_BAR;
+                if (position === 0 || (position === 4 && intensity > 0.4)) {
+                    kick.triggerAttackRelease(midiToFrequency(this.profile.root - 12), 0.3, time, 0.6);
+                }
+                if (position % 2 === 1 && this.random() < 0.5 + intensity * 0.4) {
+                    hat.triggerAttackRelease(0.03, time, 0.3 + this.random() * 0.3);
+                }
+            }
+        };
+    }
+    
+    // MIDI note for a (possibly out-of-range) scale index
+    scaleNote(index, octave = 0) {
+        const length = this.scale.length;
+        const wrapped = ((index % length) + length) % length;
+        const octaves = Math.floor(index / length) + octave;
+        return this.profile.root + this.scale[wrapped] + octaves * 12;
+    }
+    
+    tick(time) {
+        const step = this.step++;
+        const bar = Math.floor(step / STEPS_PER_BAR);
+        const intensity = 0.5 + 0.5 * Math.sin((bar / this.intensityPeriod) * Math.PI * 2 + this.intensityPhase);
+        
+        if (step % (STEPS_PER_BAR * BARS_PER_CHORD) === 0) {
+            if (step > 0) {
+                this.chordDegree = PROGRESSION_DEGREES[Math.floor(this.random() * PROGRESSION_DEGREES.length)];
+            }
+            const chord = [0, 2, 4].map(offset => this.scaleNote(this.chordDegree + offset, 1));
+            const barSeconds = (60 / this.profile.bpm) * 4;
+            this.voices.forEach(voice => voice.onChord && voice.onChord(time, chord, barSeconds));
+        }
+        
+        this.voices.forEach(voice => voice.onStep && voice.onStep(time, step, intensity));
+    }
+}
+
+function midiToFrequency(note) {
+    return 440 * Math.pow(2, (note - 69) / 12);
+}
+
+module.exports = GenerativeEngine;
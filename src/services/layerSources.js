@@ -0,0 +1,508 @@
+const EventEmitter = require('events');
+const fs = require('fs');
+const GenerativeEngine = require('./generativeEngine');
+const { createSeamlessLoop } = require('../utils/seamlessLoop');
+
+// Every layer source exposes the same small interface so the mixer can treat
+// Freesound previews, seamless loops, generated music, noise beds and
+// brainwave tones alike:
+//   connect(node), play(), pause(), dispose() and a display `name`.
+// Sources that need time to load also implement preload().
+
+// What the two ways of playing a track share: where its audio comes from, the
+// per-track gain that brings it to the target loudness, and the 'ending' lead -
+// when not looping, 'ending' fires `endingLead` seconds before the end so the
+// next track can be crossfaded in over the tail
+class BaseTrackSource extends EventEmitter {
+    constructor(audioContext, track, { endingLead = 0 } = {}) {
+        super();
+        this.kind = 'track';
+        this.audioContext = audioContext;
+        this.track = track;
+        this.name = track.name;
+        this.endingLead = endingLead;
+        
+        // Prefer a cached copy on disk, then the high-quality preview
+        this.url = track.localUrl ||
+            (track.previews && (track.previews['preview-hq-mp3'] || track.previews['preview-lq-mp3']));
+        if (!this.url) {
+            throw new Error(`No audio preview available for "${track.name}"`);
+        }
+        
+        this.gain = audioContext.createGain();
+    }
+    
+    connect(destination) {
+        this.gain.connect(destination);
+    }
+    
+    setGain(value, rampTime = 0) {
+        const now = this.audioContext.currentTime;
+        this.gain.gain.cancelScheduledValues(now);
+        this.gain.gain.setValueAtTime(this.gain.gain.value, now);
+        this.gain.gain.linearRampToValueAtTime(value, now + Math.max(rampTime, 0.01));
+    }
+    
+    dispose() {
+        this.removeAllListeners();
+        this.gain.disconnect();
+        
+        // Cached tracks play from blob URLs; local files from file:// ones
+        if (this.track.localUrl && this.track.localUrl.startsWith('blob:')) {
+            URL.revokeObjectURL(this.track.localUrl);
+        }
+    }
+}
+
+class TrackSource extends BaseTrackSource {
+    constructor(audioContext, track, { loop = true, endingLead = 0 } = {}) {
+        super(audioContext, track, { endingLead });
+        
+        this.audio = new Audio();
+        if (/^https?:/.test(this.url)) {
+            this.audio.crossOrigin = 'anonymous'; // Required to route the preview through Web Audio
+        }
+        this.audio.loop = loop;
+        this.audio.src = this.url;
+        this.hasSignalledEnding = false;
+        
+        this.audio.addEventListener('loadstart', () => {
+            console.log('🎵 Loading track...');
+        });
+        
+        this.audio.addEventListener('canplay', () => {
+            console.log('✅ Track ready to play');
+        });
+        
+        // 'buffering' when the stream runs dry, 'playing' once it flows again,
+        // 'failed' with an Error if the element gives up
+        this.audio.addEventListener('waiting', () => this.emit('buffering'));
+        this.audio.addEventListener('stalled', () => {
+            if (!this.audio.paused && this.audio.readyState < HTMLMediaElement.HAVE_FUTURE_DATA) {
+                this.emit('buffering');
+            }
+        });
+        this.audio.addEventListener('playing', () => this.emit('playing'));
+        this.audio.addEventListener('error', () => {
+            const error = this.audio.error;
+            console.error('🎵 Audio playback error:', error);
+            this.emit('failed', new Error(describeMediaError(error, this.name)));
+        });
+        
+        this.audio.addEventListener('timeupdate', () => this.checkEnding());
+        this.audio.addEventListener('ended', () => this.emit('ended'));
+        
+        this.node = audioContext.createMediaElementSource(this.audio);
+        this.node.connect(this.gain);
+    }
+    
+    setLoop(loop) {
+        this.audio.loop = loop;
+        this.hasSignalledEnding = false;
+    }
+    
+    checkEnding() {
+        if (this.audio.loop || this.hasSignalledEnding || !this.endingLead) return;
+        
+        const remaining = this.audio.duration - this.audio.currentTime;
+        if (isFinite(remaining) && remaining <= this.endingLead) {
+            this.hasSignalledEnding = true;
+            this.emit('ending');
+        }
+    }
+    
+    // Resolves once enough of the preview is buffered to play through
+    preload(timeout = 15000) {
+        if (this.audio.readyState >= HTMLMediaElement.HAVE_ENOUGH_DATA) {
+            return Promise.resolve();
+        }
+        
+        return new Promise((resolve, reject) => {
+            const done = (error) => {
+                clearTimeout(timer);
+                this.audio.removeEventListener('canplaythrough', onReady);
+                this.audio.removeEventListener('error', onError);
+                error ? reject(error) : resolve();
+            };
+            const onReady = () => done();
+            const onError = () => done(new Error(describeMediaError(this.audio.error, this.name)));
+            // Slow connections still get to start, they just buffer while playing
+            const timer = setTimeout(() => done(), timeout);
+            
+            this.audio.addEventListener('canplaythrough', onReady);
+            this.audio.addEventListener('error', onError);
+            this.audio.preload = 'auto';
+            this.audio.load();
+        });
+    }
+    
+    async play() {
+        await this.audio.play();
+        console.log('✅ Track playing:', this.name);
+    }
+    
+    // Re-open a stalled stream where it left off
+    async recover() {
+        const position = this.audio.currentTime;
+        console.log(`🎵 Reconnecting "${this.name}" at ${position.toFixed(1)}s`);
+        this.audio.load();
+        this.audio.currentTime = position;
+        await this.audio.play();
+    }
+    
+    pause() {
+        this.audio.pause();
+    }
+    
+    dispose() {
+        this.audio.pause();
+        this.audio.removeAttribute('src');
+        this.audio.load();
+        this.node.disconnect();
+        super.dispose();
+    }
+}
+
+function describeMediaError(error, name) {
+    const reasons = {
+        [MediaError.MEDIA_ERR_ABORTED]: 'loading was aborted',
+        [MediaError.MEDIA_ERR_NETWORK]: 'the network connection failed',
+        [MediaError.MEDIA_ERR_DECODE]: 'the audio could not be decoded',
+        [MediaError.MEDIA_ERR_SRC_NOT_SUPPORTED]: 'the audio format or URL is not supported'
+    };
+    return `Couldn't play "${name}": ${(error && reasons[error.code]) || 'unknown error'}`;
+}
+
+// Plays a track from a decoded AudioBuffer so it can loop seamlessly: the
+// loop region is trimmed and crossfaded once, then an AudioBufferSourceNode
+// loops it sample-accurately. Used for layers and the loop-one music bed.
+class LoopSource extends BaseTrackSource {
+    constructor(audioContext, track, { crossfade = 1.5, endingLead = 0 } = {}) {
+        super(audioContext, track, { endingLead });
+        this.crossfade = crossfade;
+        this.loop = true;
+        this.buffer = null;
+        this.loading = null;
+        this.bufferSource = null;
+        this.startedAt = 0; // Context time the buffer was (virtually) started from 0
+        this.offset = 0; // Position to resume from when paused
+        this.endingTimer = null;
+    }
+    
+    preload() {
+        if (!this.loading) {
+            this.loading = (async () => {
+                console.log('🎵 Loading track...');
+                const decoded = await this.audioContext.decodeAudioData(await this.download());
+                this.buffer = createSeamlessLoop(this.audioContext, decoded, { crossfade: this.crossfade });
+                console.log(`✅ Seamless loop ready: ${this.name} (${this.buffer.duration.toFixed(1)}s)`);
+            })();
+        }
+        return this.loading;
+    }
+    
+    // fetch() won't open file:// URLs, so local library files are read from disk
+    async download() {
+        if (this.track.filePath) {
+            const data = await fs.promises.readFile(this.track.filePath);
+            return data.buffer.slice(data.byteOffset, data.byteOffset + data.byteLength);
+        }
+        
+        const response = await fetch(this.url);
+        if (!response.ok) {
+            throw new Error(`Failed to load "${this.name}" (status ${response.status})`);
+        }
+        return response.arrayBuffer();
+    }
+    
+    position() {
+        if (!this.bufferSource) return this.offset;
+        const elapsed = this.audioContext.currentTime - this.startedAt;
+        return this.loop ? elapsed % this.buffer.duration : Math.min(elapsed, this.buffer.duration);
+    }
+    
+    async play() {
+        await this.preload();
+        if (this.bufferSource) return;
+        
+        const bufferSource = this.audioContext.createBufferSource();
+        bufferSource.buffer = this.buffer;
+        bufferSource.loop = this.loop;
+        bufferSource.connect(this.gain);
+        bufferSource.onended = () => {
+            // Only a natural end counts, not pause() or dispose()
+            if (this.bufferSource === bufferSource) {
+                this.bufferSource = null;
+                this.offset = 0;
+                this.emit('ended');
+            }
+        };
+        
+        bufferSource.start(0, this.offset);
+        this.startedAt = this.audioContext.currentTime - this.offset;
+        this.bufferSource = bufferSource;
+        this.scheduleEnding();
+        console.log('✅ Track playing:', this.name);
+    }
+    
+    setLoop(loop) {
+        if (this.bufferSource) {
+            this.startedAt = this.audioContext.currentTime - this.position();
+            this.bufferSource.loop = loop;
+        }
+        this.loop = loop;
+        this.scheduleEnding();
+    }
+    
+    scheduleEnding() {
+        clearTimeout(this.endingTimer);
+        if (this.loop || !this.bufferSource || !this.endingLead) return;
+        
+        const remaining = this.buffer.duration - this.position() - this.endingLead;
+        this.endingTimer = setTimeout(() => this.emit('ending'), Math.max(0, remaining) * 1000);
+    }
+    
+    pause() {
+        if (!this.bufferSource) return;
+        
+        this.offset = this.position();
+        const bufferSource = this.bufferSource;
+        this.bufferSource = null;
+        clearTimeout(this.endingTimer);
+        bufferSource.stop();
+        bufferSource.disconnect();
+    }
+    
+    dispose() {
+        this.pause();
+        this.buffer = null;
+        super.dispose();
+    }
+}
+
+class GeneratedSource {
+    constructor(audioContext, { style, mood, seed }, level = 0.6) {
+        this.kind = 'generated';
+        this.options = { style, mood, seed };
+        this.name = `Generated ${style}`;
+        this.track = null;
+        
+        // Generated music sits a little under previews
+        this.output = audioContext.createGain();
+        this.output.gain.value = level;
+        this.engine = new GenerativeEngine();
+        this.engine.connect(this.output);
+    }
+    
+    connect(destination) {
+        this.output.connect(destination);
+    }
+    
+    async play() {
+        // Restarting with the same seed reproduces the same piece
+        const track = await this.engine.start({ ...this.options, fadeTime: 0.1 }); // The mixer does the fading
+        if (!track) return; // Paused or disposed while the samples loaded
+        this.track = track;
+        this.name = track.name;
+    }
+    
+    pause() {
+        this.engine.stop(0.5);
+    }
+    
+    dispose() {
+        this.engine.dispose();
+        this.output.disconnect();
+    }
+}
+
+class NoiseSource {
+    constructor(audioContext, { color = 'pink', highpass = 20, lowpass = 12000, swell = 0 } = {}, name) {
+        this.kind = 'noise';
+        this.audioContext = audioContext;
+        this.name = name || `${color} noise`;
+        this.track = null;
+        this.buffer = NoiseSource.createBuffer(audioContext, color);
+        this.bufferSource = null;
+        
+        this.highpass = audioContext.createBiquadFilter();
+        this.highpass.type = 'highpass';
+        this.highpass.frequency.value = highpass;
+        this.lowpass = audioContext.createBiquadFilter();
+        this.lowpass.type = 'lowpass';
+        this.lowpass.frequency.value = lowpass;
+        this.output = audioContext.createGain();
+        this.highpass.connect(this.lowpass);
+        this.lowpass.connect(this.output);
+        
+        // Optional slow amplitude swell for waves and wind
+        if (swell > 0) {
+            this.lfo = audioContext.createOscillator();
+            this.lfo.frequency.value = swell;
+            this.lfoDepth = audioContext.createGain();
+            this.lfoDepth.gain.value = 0.4;
+            this.output.gain.value = 0.6;
+            this.lfo.connect(this.lfoDepth);
+            this.lfoDepth.connect(this.output.gain);
+            this.lfo.start();
+        }
+    }
+    
+    static createBuffer(audioContext, color) {
+        const length = audioContext.sampleRate * 4;
+        const buffer = audioContext.createBuffer(2, length, audioContext.sampleRate);
+        
+        for (let channel = 0; channel < buffer.numberOfChannels; channel++) {
+            const data = buffer.getChannelData(channel);
+            let b0 = 0, b1 = 0, b2 = 0, last = 0;
+            
+            for (let i = 0; i < length; i++) {
+                const white = Math.random() * 2 - 1;
+                if (color === 'brown') {
+                    last = (last + 0.02 * white) / 1.02;
+                    data[i] = last * 3.5;
+                } else if (color === 'pink') {
+                    // Paul Kellet's economy pink noise filter
+                    b0 = 0.99765 * b0 + white * 0.0990460;
+                    b1 = 0.96300 * b1 + white * 0.2965164;
+                    b2 = 0.57000 * b2 + white * 1.0526913;
+                    data[i] = (b0 + b1 + b2 + white * 0.1848) * 0.11;
+                } else {
+                    data[i] = white * 0.5;
+                }
+            }
+        }
+        
+        return buffer;
+    }
+    
+    connect(destination) {
+        this.output.connect(destination);
+    }
+    
+    async play() {
+        if (this.bufferSource) return;
+        this.bufferSource = this.audioContext.createBufferSource();
+        this.bufferSource.buffer = this.buffer;
+        this.bufferSource.loop = true;
+        this.bufferSource.connect(this.highpass);
+        this.bufferSource.start();
+    }
+    
+    pause() {
+        if (!this.bufferSource) return;
+        this.bufferSource.stop();
+        this.bufferSource.disconnect();
+        this.bufferSource = null;
+    }
+    
+    dispose() {
+        this.pause();
+        if (this.lfo) {
+            this.lfo.stop();
+            this.lfo.disconnect();
+        }
+        this.output.disconnect();
+    }
+}
+
+// Brainwave entrainment bands: `beat` is the pulse rate in Hz and `carrier`
+// the tone it rides on (kept low so it sits quietly under the music)
+const BRAINWAVE_BANDS = {
+    delta: { beat: 2, carrier: 140, aliases: ['sleep', 'deep sleep'] },
+    theta: { beat: 6, carrier: 160, aliases: ['meditation', 'meditate', 'dream'] },
+    alpha: { beat: 10, carrier: 200, aliases: ['relax', 'relaxing', 'relaxation', 'calm'] },
+    beta: { beat: 18, carrier: 220, aliases: ['alert', 'energy', 'study'] },
+    gamma: { beat: 40, carrier: 240, aliases: ['focus', 'concentration'] }
+};
+
+// Binaural beats (a slightly different tone in each ear, so needs headphones)
+// or isochronic tones (one tone pulsed on and off, works on speakers)
+class BrainwaveSource {
+    constructor(audioContext, { band = 'alpha', mode = 'binaural' } = {}, level = 0.15) {
+        const preset = BRAINWAVE_BANDS[band] || BRAINWAVE_BANDS.alpha;
+        this.kind = 'brainwave';
+        this.audioContext = audioContext;
+        this.band = band in BRAINWAVE_BANDS ? band : 'alpha';
+        this.mode = mode === 'isochronic' ? 'isochronic' : 'binaural';
+        this.beat = preset.beat;
+        this.carrier = preset.carrier;
+        this.name = `${this.band[0].toUpperCase()}${this.band.slice(1)} ${this.mode === 'binaural' ? 'binaural beats' : 'isochronic tones'} (${this.beat} Hz)`;
+        this.track = null;
+        this.nodes = null;
+        
+        // Pure tones are fatiguing well below music levels, so the source never
+        // goes above MAX_LEVEL whatever it's asked for
+        this.output = audioContext.createGain();
+        this.output.gain.value = Math.max(0, Math.min(level, BrainwaveSource.MAX_LEVEL));
+    }
+    
+    connect(destination) {
+        this.output.connect(destination);
+    }
+    
+    async play() {
+        if (this.nodes) return;
+        this.nodes = this.mode === 'binaural' ? this.createBinaural() : this.createIsochronic();
+        this.nodes.oscillators.forEach(oscillator => oscillator.start());
+    }
+    
+    createBinaural() {
+        const left = this.audioContext.createOscillator();
+        const right = this.audioContext.createOscillator();
+        left.frequency.value = this.carrier - this.beat / 2;
+        right.frequency.value = this.carrier + this.beat / 2;
+        
+        const merger = this.audioContext.createChannelMerger(2);
+        left.connect(merger, 0, 0);
+        right.connect(merger, 0, 1);
+        merger.connect(this.output);
+        
+        return { oscillators: [left, right], others: [merger] };
+    }
+    
+    createIsochronic() {
+        const tone = this.audioContext.createOscillator();
+        tone.frequency.value = this.carrier;
+        
+        // Square wave at the beat rate gates the tone between 0 and 1; the
+        // lowpass rounds its edges so the pulses don't click
+        const pulse = this.audioContext.createGain();
+        pulse.gain.value = 0.5;
+        const lfo = this.audioContext.createOscillator();
+        lfo.type = 'square';
+        lfo.frequency.value = this.beat;
+        const smoothing = this.audioContext.createBiquadFilter();
+        smoothing.type = 'lowpass';
+        smoothing.frequency.value = this.beat * 8;
+        const depth = this.audioContext.createGain();
+        depth.gain.value = 0.5;
+        
+        lfo.connect(smoothing);
+        smoothing.connect(depth);
+        depth.connect(pulse.gain);
+        tone.connect(pulse);
+        pulse.connect(this.output);
+        
+        return { oscillators: [tone, lfo], others: [pulse, smoothing, depth] };
+    }
+    
+    pause() {
+        if (!this.nodes) return;
+        for (const oscillator of this.nodes.oscillators) {
+            oscillator.stop();
+            oscillator.disconnect();
+        }
+        this.nodes.others.forEach(node => node.disconnect());
+        this.nodes = null;
+    }
+    
+    dispose() {
+        this.pause();
+        this.output.disconnect();
+    }
+}
+
+BrainwaveSource.MAX_LEVEL = 0.2;
+
+module.exports = { TrackSource, LoopSource, GeneratedSource, NoiseSource, BrainwaveSource, BRAINWAVE_BANDS };
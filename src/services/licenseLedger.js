@@ -0,0 +1,109 @@
+const fs = require('fs');
+const path = require('path');
+const { ipcRenderer } = require('electron');
+
+const CSV_COLUMNS = ['id', 'provider', 'name', 'username', 'license', 'url', 'firstPlayed', 'lastPlayed', 'playCount'];
+
+// Persistent record of every track the app has played, with its license and
+// source, so recordings made with the app can be attributed.
+// Lives in <userData>/license-ledger.json.
+class LicenseLedger {
+    constructor() {
+        this.filePath = null;
+        this.entries = new Map(); // provider:id -> entry
+        this.saveTimer = null;
+        this.isReady = false;
+    }
+    
+    async initialize() {
+        if (this.isReady) return;
+        
+        const userDataPath = await ipcRenderer.invoke('get-user-data-path');
+        this.filePath = path.join(userDataPath, 'license-ledger.json');
+        
+        try {
+            const ledger = JSON.parse(await fs.promises.readFile(this.filePath, 'utf8'));
+            for (const entry of ledger.entries || []) {
+                this.entries.set(LicenseLedger.keyFor(entry), entry);
+            }
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.error('📜 License ledger unreadable, starting fresh:', error);
+            }
+        }
+        
+        this.isReady = true;
+        console.log(`📜 License ledger ready: ${this.entries.size} tracks`);
+    }
+    
+    static keyFor({ provider, id }) {
+        return `${provider || 'freesound'}:${id}`;
+    }
+    
+    // Note a play of a track, given its provider metadata ({ id, provider, name, username, license, url })
+    record(metadata) {
+        if (!this.isReady || metadata.id == null) return null;
+        
+        const key = LicenseLedger.keyFor(metadata);
+        const now = new Date().toISOString();
+        const entry = this.entries.get(key) || { firstPlayed: now, playCount: 0 };
+        
+        Object.assign(entry, {
+            id: metadata.id,
+            provider: metadata.provider || 'freesound',
+            name: metadata.name,
+            username: metadata.username || null,
+            license: metadata.license || null,
+            url: metadata.url || null,
+            lastPlayed: now,
+            playCount: entry.playCount + 1
+        });
+        this.entries.set(key, entry);
+        this.scheduleSave();
+        return entry;
+    }
+    
+    // Most recently played first
+    getEntries() {
+        return Array.from(this.entries.values())
+            .sort((a, b) => b.lastPlayed.localeCompare(a.lastPlayed));
+    }
+    
+    toJSON() {
+        return JSON.stringify({ exported: new Date().toISOString(), entries: this.getEntries() }, null, 2);
+    }
+    
+    toCSV() {
+        const rows = this.getEntries().map(entry => CSV_COLUMNS.map(column => csvField(entry[column])).join(','));
+        return [CSV_COLUMNS.join(','), ...rows].join('\r\n') + '\r\n';
+    }
+    
+    // Write the ledger to disk; the format follows the extension (.csv or .json)
+    async exportTo(filePath) {
+        const format = path.extname(filePath).toLowerCase() === '.csv' ? 'csv' : 'json';
+        await fs.promises.writeFile(filePath, format === 'csv' ? this.toCSV() : this.toJSON());
+        console.log(`📜 Exported ${this.entries.size} ledger entries to`, filePath);
+        return format;
+    }
+    
+    scheduleSave() {
+        clearTimeout(this.saveTimer);
+        this.saveTimer = setTimeout(() => this.save(), 500);
+    }
+    
+    async save() {
+        try {
+            const ledger = { version: 1, entries: Array.from(this.entries.values()) };
+            await fs.promises.writeFile(this.filePath, JSON.stringify(ledger, null, 2));
+        } catch (error) {
+            console.error('📜 Failed to save license ledger:', error);
+        }
+    }
+}
+
+function csvField(value) {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+module.exports = LicenseLedger;
@@ -0,0 +1,72 @@
+const EventEmitter = require('events');
+
+// Spoken names for common kinds of outputs, and the device labels they mean
+const DEVICE_ALIASES = [
+    { names: /^(?:speakers?|laptop|computer|built-?in)/, labels: /speaker|built-?in|internal|hdmi|display audio/i },
+    { names: /^(?:headphones?|headset|earphones?|earbuds?|airpods|buds)/, labels: /headphone|headset|earphone|earbud|airpods|buds|bluetooth/i },
+    { names: /^(?:default|system default|normal)/, id: 'default' }
+];
+
+// Keeps track of the audio outputs the system has and tells us when they change
+class OutputDevices extends EventEmitter {
+    constructor() {
+        super();
+        this.devices = []; // [{ id, label }]
+        this.isWatching = false;
+    }
+    
+    async refresh() {
+        const all = await navigator.mediaDevices.enumerateDevices();
+        this.devices = all
+            .filter(device => device.kind === 'audiooutput')
+            .map(device => ({
+                id: device.deviceId,
+                label: device.label || (device.deviceId === 'default' ? 'System default' : 'Audio output')
+            }));
+        
+        if (!this.devices.some(device => device.id === 'default')) {
+            this.devices.unshift({ id: 'default', label: 'System default' });
+        }
+        return this.devices;
+    }
+    
+    // Emits 'change' with the new list whenever a device is plugged in or removed
+    watch() {
+        if (this.isWatching) return;
+        this.isWatching = true;
+        
+        navigator.mediaDevices.addEventListener('devicechange', async () => {
+            try {
+                this.emit('change', await this.refresh());
+            } catch (error) {
+                console.error('🔈 Failed to list output devices:', error);
+            }
+        });
+    }
+    
+    get(id) {
+        return this.devices.find(device => device.id === id) || null;
+    }
+    
+    // Match a spoken name ("speakers", "my airpods", "the dell monitor") to a device
+    find(term) {
+        const text = (term || '').toLowerCase().replace(/^(?:the|my)\s+/, '').trim();
+        if (!text) return null;
+        
+        // Chrome lists the default device twice ("Default - Speakers" and "Speakers");
+        // prefer the real one so the choice survives a change of system default
+        const candidates = this.devices.filter(device => device.id !== 'default' && device.id !== 'communications');
+        
+        const byLabel = candidates.find(device => device.label.toLowerCase().includes(text));
+        if (byLabel) return byLabel;
+        
+        const alias = DEVICE_ALIASES.find(({ names }) => names.test(text));
+        if (alias) {
+            return alias.id ? this.get(alias.id) : candidates.find(device => alias.labels.test(device.label)) || null;
+        }
+        
+        return null;
+    }
+}
+
+module.exports = OutputDevices;
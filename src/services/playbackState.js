@@ -0,0 +1,61 @@
+const EventEmitter = require('events');
+
+// Where the music bed is in its life cycle:
+//   idle → resolving (asking GPT, searching) → loading (fetching, decoding,
+//   buffering before start) → playing ⇄ buffering (stream stalled mid-track)
+// plus paused and error, which can be left by starting something new.
+const TRANSITIONS = {
+    idle: ['resolving', 'loading', 'playing', 'error'], // e.g. an unlicensed favorite refused before loading
+    resolving: ['resolving', 'loading', 'playing', 'paused', 'idle', 'error'],
+    loading: ['loading', 'resolving', 'playing', 'paused', 'idle', 'error'],
+    playing: ['buffering', 'resolving', 'loading', 'paused', 'idle', 'error'],
+    buffering: ['playing', 'resolving', 'loading', 'paused', 'idle', 'error'],
+    paused: ['resolving', 'loading', 'playing', 'idle', 'error'],
+    error: ['resolving', 'loading', 'playing', 'paused', 'idle']
+};
+
+class PlaybackState extends EventEmitter {
+    constructor() {
+        super();
+        this.state = 'idle';
+        this.error = null; // Message for the UI while in 'error'
+        this.since = Date.now();
+    }
+    
+    get isActive() {
+        return this.state === 'playing' || this.state === 'buffering';
+    }
+    
+    can(to) {
+        return TRANSITIONS[this.state].includes(to);
+    }
+    
+    // Emits 'change' with { state, previous, error }. Invalid transitions are
+    // refused (and logged) rather than thrown, so a late event from an old
+    // track can't break the current one.
+    transition(to, { error } = {}) {
+        if (!(to in TRANSITIONS)) {
+            throw new Error(`Unknown playback state "${to}"`);
+        }
+        if (to === this.state && to !== 'error') return true;
+        if (to !== this.state && !this.can(to)) {
+            console.warn(`▶️ Ignoring playback transition ${this.state} → ${to}`);
+            return false;
+        }
+        
+        const previous = this.state;
+        this.state = to;
+        this.error = to === 'error' ? (error && error.message) || String(error || 'Playback failed') : null;
+        this.since = Date.now();
+        
+        console.log(`▶️ Playback: ${previous} → ${to}${this.error ? ` (${this.error})` : ''}`);
+        this.emit('change', { ...this.getState(), previous });
+        return true;
+    }
+    
+    getState() {
+        return { state: this.state, error: this.error, since: this.since };
+    }
+}
+
+module.exports = PlaybackState;
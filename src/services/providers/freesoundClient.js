@@ -0,0 +1,236 @@
+// HTTP client for the Freesound API v2. Handles what every call needs:
+// token auth in the Authorization header, timeouts, retries with exponential
+// backoff on 429/5xx/network failures, staying under Freesound's request rate,
+// and sharing one request between identical calls made at the same time.
+// Failures come back as FreesoundError subclasses whose messages are written
+// for the user. No Electron dependencies, so it can be pointed at a local mock
+// server through `baseUrl` (and `fetch` can be swapped out entirely).
+const DEFAULT_BASE_URL = 'https://freesound.org/apiv2';
+
+class FreesoundError extends Error {
+    constructor(message, { code = 'unknown', status = null, retryable = false, retryAfter = null } = {}) {
+        super(message);
+        this.name = this.constructor.name;
+        this.code = code; // Stable identifier for the UI: 'auth', 'rate-limit', 'timeout'...
+        this.status = status; // HTTP status, when there was a response
+        this.retryable = retryable;
+        this.retryAfter = retryAfter; // Seconds, when Freesound says how long to wait
+    }
+}
+
+class FreesoundAuthError extends FreesoundError {
+    constructor(status) {
+        super('Freesound rejected the API key - check FREESOUND_API_KEY in .env', { code: 'auth', status });
+    }
+}
+
+class FreesoundRateLimitError extends FreesoundError {
+    constructor(retryAfter) {
+        // Waits longer than a minute mean the daily allowance is used up
+        const retryable = retryAfter === null || retryAfter <= 60;
+        super(retryable
+            ? 'Freesound is limiting requests - trying again shortly'
+            : `Freesound's request limit is used up for now (available again in about ${Math.ceil(retryAfter / 60)} minutes)`,
+        { code: 'rate-limit', status: 429, retryable, retryAfter });
+    }
+}
+
+class FreesoundTimeoutError extends FreesoundError {
+    constructor(timeout) {
+        super(`Freesound didn't respond within ${+(timeout / 1000).toFixed(1)} seconds`, { code: 'timeout', retryable: true });
+    }
+}
+
+class FreesoundNetworkError extends FreesoundError {
+    constructor(cause) {
+        super("Can't reach Freesound - check your internet connection", { code: 'network', retryable: true });
+        this.cause = cause;
+    }
+}
+
+class FreesoundServerError extends FreesoundError {
+    constructor(status) {
+        super(`Freesound is having problems (HTTP ${status})`, { code: 'server', status, retryable: true });
+    }
+}
+
+class FreesoundRequestError extends FreesoundError {
+    constructor(status, detail) {
+        super(`Freesound couldn't handle the request${detail ? `: ${detail}` : ` (HTTP ${status})`}`,
+            { code: status === 404 ? 'not-found' : 'bad-request', status });
+    }
+}
+
+class FreesoundClient {
+    constructor({
+        apiKey = null,
+        baseUrl = DEFAULT_BASE_URL,
+        timeout = 10000, // ms per attempt
+        maxRetries = 3,
+        backoff = 500, // ms before the first retry, doubled each time
+        maxBackoff = 8000,
+        requestsPerMinute = 55, // Freesound allows 60 per minute per key
+        fetch: fetchImpl = (...args) => fetch(...args)
+    } = {}) {
+        this.apiKey = apiKey;
+        this.baseUrl = (baseUrl || DEFAULT_BASE_URL).replace(/\/+$/, '');
+        this.timeout = timeout;
+        this.maxRetries = maxRetries;
+        this.backoff = backoff;
+        this.maxBackoff = maxBackoff;
+        this.requestsPerMinute = requestsPerMinute;
+        this.fetch = fetchImpl;
+        
+        this.requestTimes = []; // Start times of recent requests, for the rate window
+        this.inFlight = new Map(); // url -> Promise, so identical calls share one request
+    }
+    
+    // Text search; `params` are passed through as query parameters
+    search(params) {
+        return this.get('/search/text/', params);
+    }
+    
+    sound(id, params = {}) {
+        return this.get(`/sounds/${encodeURIComponent(id)}/`, params);
+    }
+    
+    // Sounds ranked by audio similarity to sound `id`
+    similar(id, params = {}) {
+        return this.get(`/sounds/${encodeURIComponent(id)}/similar/`, params);
+    }
+    
+    get(path, params = {}) {
+        const url = this.buildUrl(path, params);
+        if (this.inFlight.has(url)) {
+            return this.inFlight.get(url);
+        }
+        
+        const request = this.request(url).finally(() => this.inFlight.delete(url));
+        this.inFlight.set(url, request);
+        return request;
+    }
+    
+    buildUrl(path, params) {
+        const url = new URL(`${this.baseUrl}/${path.replace(/^\/+/, '')}`);
+        for (const [key, value] of Object.entries(params)) {
+            if (value !== undefined && value !== null) {
+                url.searchParams.set(key, value);
+            }
+        }
+        return url.toString();
+    }
+    
+    async request(url) {
+        for (let attempt = 0; ; attempt++) {
+            await this.throttle();
+            try {
+                return await this.fetchOnce(url);
+            } catch (error) {
+                if (!(error instanceof FreesoundError) || !error.retryable || attempt >= this.maxRetries) {
+                    throw error;
+                }
+                
+                // Honour Freesound's own wait when it gives one, otherwise back off with jitter
+                const delay = error.retryAfter !== null
+                    ? error.retryAfter * 1000
+                    : Math.min(this.maxBackoff, this.backoff * Math.pow(2, attempt)) * (0.5 + Math.random() / 2);
+                console.warn(`🔁 ${error.message} - retry ${attempt + 1}/${this.maxRetries} in ${Math.round(delay)}ms`);
+                await sleep(delay);
+            }
+        }
+    }
+    
+    async fetchOnce(url) {
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), this.timeout);
+        
+        let response;
+        try {
+            response = await this.fetch(url, {
+                headers: {
+                    Authorization: `Token ${this.apiKey}`,
+                    Accept: 'application/json'
+                },
+                signal: controller.signal
+            });
+        } catch (error) {
+            throw controller.signal.aborted ? new FreesoundTimeoutError(this.timeout) : new FreesoundNetworkError(error);
+        } finally {
+            clearTimeout(timer);
+        }
+        
+        if (!response.ok) {
+            throw await errorForResponse(response);
+        }
+        
+        try {
+            return await response.json();
+        } catch (error) {
+            throw new FreesoundError('Freesound sent a response that could not be read', { code: 'bad-response', status: response.status });
+        }
+    }
+    
+    // Sliding one-minute window: wait until a slot is free, then take it
+    async throttle() {
+        for (;;) {
+            const now = Date.now();
+            this.requestTimes = this.requestTimes.filter(time => now - time < 60000);
+            if (this.requestTimes.length < this.requestsPerMinute) {
+                this.requestTimes.push(now);
+                return;
+            }
+            
+            const wait = this.requestTimes[0] + 60000 - now;
+            console.log(`⏳ Freesound rate limit - waiting ${Math.ceil(wait / 1000)}s`);
+            await sleep(wait);
+        }
+    }
+}
+
+async function errorForResponse(response) {
+    let detail = null;
+    try {
+        const body = await response.json();
+        detail = body && (body.detail || body.error);
+    } catch (error) {
+        // Not JSON - the status code has to do
+    }
+    
+    const { status } = response;
+    if (status === 401 || status === 403) {
+        return new FreesoundAuthError(status);
+    }
+    if (status === 429) {
+        return new FreesoundRateLimitError(parseRetryAfter(response, detail));
+    }
+    if (status >= 500) {
+        return new FreesoundServerError(status);
+    }
+    return new FreesoundRequestError(status, typeof detail === 'string' ? detail : null);
+}
+
+// Seconds from a Retry-After header or Freesound's "Expected available in N seconds"
+function parseRetryAfter(response, detail) {
+    const header = response.headers && response.headers.get('retry-after');
+    if (header && !isNaN(header)) {
+        return parseFloat(header);
+    }
+    const match = typeof detail === 'string' && detail.match(/available in (\d+(?:\.\d+)?) seconds?/i);
+    return match ? parseFloat(match[1]) : null;
+}
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+module.exports = {
+    FreesoundClient,
+    FreesoundError,
+    FreesoundAuthError,
+    FreesoundRateLimitError,
+    FreesoundTimeoutError,
+    FreesoundNetworkError,
+    FreesoundServerError,
+    FreesoundRequestError,
+    DEFAULT_BASE_URL
+};
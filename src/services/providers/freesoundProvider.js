@@ -0,0 +1,134 @@
+const { ipcRenderer } = require('electron');
+const MusicProvider = require('./musicProvider');
+const { FreesoundClient } = require('./freesoundClient');
+
+// Freesound reports licenses as deed URLs, e.g. http://creativecommons.org/publicdomain/zero/1.0/
+const CC0_LICENSE = /creativecommons\.org\/publicdomain\/zero\/1\.0/i;
+
+// Text search against Freesound's API, playing the hosted MP3 previews
+class FreesoundProvider extends MusicProvider {
+    constructor() {
+        super('freesound', 'Freesound');
+        this.apiKey = null; // Will be set via IPC
+        this.pageSize = 10;
+        this.similarSize = 30; // Similar sounds fetched per track, before filtering
+        this.fields = 'id,name,previews,duration,tags,username,license,url';
+        this.pageCache = new Map();
+        this.client = null;
+    }
+    
+    async initialize() {
+        try {
+            // Get API key (and an optional API address, e.g. a local mock) from main process
+            this.apiKey = await ipcRenderer.invoke('get-freesound-api-key');
+            const baseUrl = await ipcRenderer.invoke('get-freesound-api-url');
+            this.client = new FreesoundClient({ apiKey: this.apiKey, baseUrl });
+            
+            if (!this.apiKey) {
+                console.warn('⚠️ FREESOUND_API_KEY not found - please add to .env file');
+            }
+            if (baseUrl) {
+                console.log('🔍 Using Freesound API at', baseUrl);
+            }
+        } catch (error) {
+            console.error('Failed to get Freesound API key:', error);
+        }
+    }
+    
+    isAvailable() {
+        return !!this.apiKey && !!this.client;
+    }
+    
+    async search(searchQuery, page = 1) {
+        console.log('🔍 Searching Freesound for:', searchQuery, 'page', page);
+        
+        // Check cache first
+        const cacheKey = `${searchQuery.query}-${searchQuery.filter}-${page}`;
+        if (this.pageCache.has(cacheKey)) {
+            console.log('🎵 Using cached results');
+            return this.pageCache.get(cacheKey);
+        }
+        
+        // Failures throw FreesoundErrors with user-facing messages
+        const data = await this.client.search({
+            query: searchQuery.query,
+            filter: searchQuery.filter,
+            fields: this.fields,
+            sort: 'rating_desc',
+            page,
+            page_size: this.pageSize
+        });
+        
+        // Results come back highest rated first
+        const result = {
+            results: (data.results || []).map(sound => ({ ...sound, provider: this.id })),
+            nextPage: data.next ? page + 1 : null
+        };
+        
+        if (result.results.length > 0) {
+            this.pageCache.set(cacheKey, result);
+            console.log(`🎵 Found ${result.results.length} Freesound tracks, starting with "${result.results[0].name}" by ${result.results[0].username}`);
+        }
+        return result;
+    }
+    
+    // Freesound's similarity search ranks sounds by how close their audio
+    // features are to the track. With a filter, the similar sounds are searched
+    // again restricted to their ids so Freesound applies the filter for us.
+    async similar(track, { filter = null, page = 1 } = {}) {
+        const cacheKey = `similar-${track.id}-${filter}-${page}`;
+        if (this.pageCache.has(cacheKey)) {
+            return this.pageCache.get(cacheKey);
+        }
+        
+        console.log('🔍 Finding sounds similar to:', track.name, filter ? `(${filter})` : '');
+        const data = await this.client.similar(track.id, {
+            fields: this.fields,
+            page,
+            page_size: this.similarSize
+        });
+        let results = (data.results || []).filter(sound => sound.id !== track.id);
+        
+        if (filter && results.length > 0) {
+            const filtered = await this.client.search({
+                filter: `${filter} id:(${results.map(sound => sound.id).join(' OR ')})`,
+                fields: this.fields,
+                page_size: this.similarSize
+            });
+            
+            // Keep the similarity order for what survives the filter
+            const kept = new Set((filtered.results || []).map(sound => sound.id));
+            results = results.filter(sound => kept.has(sound.id));
+        }
+        
+        const result = {
+            results: results.map(sound => ({ ...sound, provider: this.id })),
+            nextPage: data.next ? page + 1 : null
+        };
+        if (result.results.length > 0) {
+            this.pageCache.set(cacheKey, result);
+        }
+        console.log(`🔍 ${result.results.length} similar sounds`);
+        return result;
+    }
+    
+    // Only CC0 sounds, checked against the sound's own license rather than
+    // trusting the search filter
+    isLicensed(track) {
+        return CC0_LICENSE.test(track.license || '');
+    }
+    
+    async resolveStream(track) {
+        // Use high-quality preview
+        if (!track.previews || !(track.previews['preview-hq-mp3'] || track.previews['preview-lq-mp3'])) {
+            throw new Error(`No audio preview available for "${track.name}"`);
+        }
+        return track;
+    }
+    
+    clearCache() {
+        this.pageCache.clear();
+    }
+}
+
+module.exports = FreesoundProvider;
@@ -0,0 +1,204 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { pathToFileURL } = require('url');
+const { ipcRenderer } = require('electron');
+const MusicProvider = require('./musicProvider');
+const { readTags } = require('../../utils/audioTags');
+const { scoreTrack } = require('../../utils/trackMatch');
+
+// Bumped when indexFile() learns to read more, so older entries are read again
+const INDEX_VERSION = 2;
+
+const SUPPORTED_EXTENSIONS = {
+    '.mp3': 'audio/mpeg',
+    '.wav': 'audio/wav',
+    '.ogg': 'audio/ogg',
+    '.oga': 'audio/ogg',
+    '.opus': 'audio/ogg',
+    '.flac': 'audio/flac'
+};
+
+// Indexes a user-chosen folder of audio files and matches their tags (plus
+// file and folder names) against music requests. Works fully offline.
+class LocalLibraryProvider extends MusicProvider {
+    constructor() {
+        super('local', 'Local library');
+        this.requiresNetwork = false;
+        this.folder = null;
+        this.tracks = [];
+        this.indexPath = null;
+        this.indexIsCurrent = true;
+        this.isScanning = false;
+        this.pageSize = 10;
+        this.maxDepth = 8;
+    }
+    
+    async initialize({ folder } = {}) {
+        const userDataPath = await ipcRenderer.invoke('get-user-data-path');
+        this.indexPath = path.join(userDataPath, 'local-library.json');
+        
+        try {
+            const index = JSON.parse(await fs.promises.readFile(this.indexPath, 'utf8'));
+            if (index.folder === folder) {
+                this.tracks = index.tracks || [];
+                this.indexIsCurrent = index.version === INDEX_VERSION;
+            }
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.error('📁 Local library index unreadable:', error);
+            }
+        }
+        
+        this.folder = folder || null;
+        if (this.folder) {
+            // Pick up files added since last time without blocking startup
+            this.scan().catch(error => console.error('📁 Library scan failed:', error));
+        }
+    }
+    
+    isAvailable() {
+        return !!this.folder && this.tracks.length > 0;
+    }
+    
+    async setFolder(folder) {
+        this.folder = folder;
+        this.tracks = [];
+        return this.scan();
+    }
+    
+    async scan() {
+        if (!this.folder || this.isScanning) return this.tracks.length;
+        this.isScanning = true;
+        console.log('📁 Scanning music folder:', this.folder);
+        
+        try {
+            const known = new Map(this.tracks.map(track => [track.filePath, track]));
+            const files = await this.listAudioFiles(this.folder, 0);
+            const tracks = [];
+            
+            for (const { filePath, stats } of files) {
+                const existing = known.get(filePath);
+                if (existing && this.indexIsCurrent && existing.mtime === stats.mtimeMs && existing.size === stats.size) {
+                    tracks.push(existing);
+                    continue;
+                }
+                
+                try {
+                    tracks.push(await this.indexFile(filePath, stats));
+                } catch (error) {
+                    console.warn('📁 Skipping unreadable file:', filePath, error.message);
+                }
+            }
+            
+            this.tracks = tracks;
+            this.indexIsCurrent = true;
+            await this.saveIndex();
+            console.log(`📁 Local library has ${tracks.length} tracks`);
+            return tracks.length;
+        } finally {
+            this.isScanning = false;
+        }
+    }
+    
+    async listAudioFiles(directory, depth) {
+        if (depth > this.maxDepth) return [];
+        
+        let entries;
+        try {
+            entries = await fs.promises.readdir(directory, { withFileTypes: true });
+        } catch (error) {
+            console.warn('📁 Cannot read folder:', directory, error.message);
+            return [];
+        }
+        
+        const files = [];
+        for (const entry of entries) {
+            if (entry.name.startsWith('.')) continue;
+            
+            const fullPath = path.join(directory, entry.name);
+            if (entry.isDirectory()) {
+                files.push(...await this.listAudioFiles(fullPath, depth + 1));
+            } else if (SUPPORTED_EXTENSIONS[path.extname(entry.name).toLowerCase()]) {
+                files.push({ filePath: fullPath, stats: await fs.promises.stat(fullPath) });
+            }
+        }
+        return files;
+    }
+    
+    async indexFile(filePath, stats) {
+        const tags = await readTags(filePath);
+        // Folder names often carry the genre or mood ("Music/Ambient/Calm")
+        const folders = path.relative(this.folder, path.dirname(filePath)).split(path.sep).filter(Boolean);
+        
+        return {
+            id: `local:${crypto.createHash('sha1').update(filePath).digest('hex').slice(0, 16)}`,
+            provider: this.id,
+            name: tags.title,
+            username: tags.artist || 'Local library',
+            album: tags.album,
+            tags: [tags.genre, ...folders].filter(Boolean),
+            comment: tags.comment,
+            duration: tags.duration,
+            filePath,
+            mtime: stats.mtimeMs,
+            size: stats.size
+        };
+    }
+    
+    async search(searchQuery, page = 1) {
+        const ranked = this.tracks
+            .map(track => ({
+                track,
+                score: scoreTrack(searchQuery, {
+                    tags: track.tags,
+                    text: [track.name, track.username, track.album, track.comment, path.basename(track.filePath)].join(' ')
+                })
+            }))
+            .filter(({ score }) => score > 0)
+            .sort((a, b) => b.score - a.score);
+        
+        const start = (page - 1) * this.pageSize;
+        const results = ranked.slice(start, start + this.pageSize).map(({ track }) => track);
+        console.log(`📁 ${ranked.length} local tracks match`, searchQuery.query);
+        
+        return {
+            results,
+            nextPage: start + this.pageSize < ranked.length ? page + 1 : null
+        };
+    }
+    
+    // Streamed straight from disk, so long files don't have to fit in memory
+    async resolveStream(track) {
+        return { ...track, localUrl: pathToFileURL(track.filePath).href };
+    }
+    
+    setLoudness(track, loudness) {
+        const indexed = this.tracks.find(item => item.id === track.id);
+        if (!indexed) return;
+        
+        indexed.loudness = loudness;
+        this.saveIndex();
+    }
+    
+    getMetadata(track) {
+        return {
+            ...super.getMetadata(track),
+            album: track.album || null,
+            url: pathToFileURL(track.filePath).href,
+            filePath: track.filePath
+        };
+    }
+    
+    async saveIndex() {
+        if (!this.indexPath) return;
+        
+        try {
+            await fs.promises.writeFile(this.indexPath, JSON.stringify({ version: INDEX_VERSION, folder: this.folder, tracks: this.tracks }, null, 2));
+        } catch (error) {
+            console.error('📁 Failed to save local library index:', error);
+        }
+    }
+}
+
+module.exports = LocalLibraryProvider;
@@ -0,0 +1,58 @@
+// Base class for music sources. A provider turns a { query, filter, style, mood }
+// request into tracks, and a track into something a TrackSource can play.
+// Tracks are plain objects: { id, provider, name, username, tags, duration, ... }.
+class MusicProvider {
+    constructor(id, name) {
+        this.id = id;
+        this.name = name;
+        this.enabled = true;
+        this.requiresNetwork = true; // Skipped when offline
+    }
+    
+    async initialize() {}
+    
+    // Whether the provider can search right now (configured, has content...)
+    isAvailable() {
+        return true;
+    }
+    
+    // One page of results: { results, nextPage } with nextPage null at the end
+    async search(searchQuery, page = 1) {
+        throw new Error(`${this.name} does not implement search()`);
+    }
+    
+    // Tracks that sound like `track`, same shape as search(). `filter` narrows
+    // them further where the provider supports it. Empty if unsupported.
+    async similar(track, { filter = null, page = 1 } = {}) {
+        return { results: [], nextPage: null };
+    }
+    
+    // Whether the track's license allows the app to play it
+    isLicensed(track) {
+        return true;
+    }
+    
+    // A copy of the track with a `localUrl` or `previews` the TrackSource can play
+    async resolveStream(track) {
+        return track;
+    }
+    
+    // Keep a track's loudness analysis so it only runs once (if the provider has somewhere to put it)
+    setLoudness(track, loudness) {}
+    
+    // Descriptive metadata for display, ledgers and ranking
+    getMetadata(track) {
+        return {
+            id: track.id,
+            provider: this.id,
+            name: track.name,
+            username: track.username || null,
+            tags: track.tags || [],
+            duration: track.duration || null,
+            license: track.license || null,
+            url: track.url || null
+        };
+    }
+}
+
+module.exports = MusicProvider;
@@ -0,0 +1,161 @@
+const EventEmitter = require('events');
+const fs = require('fs');
+const path = require('path');
+const { ipcRenderer } = require('electron');
+
+// Defaults for every persisted setting, grouped by area
+const DEFAULTS = {
+    playback: {
+        mode: 'advance', // 'advance' through the queue or 'loop-one'
+        crossfadeDuration: 3,
+        crossfadeCurve: 'equal-power'
+    },
+    loudness: {
+        normalize: true, // Bring every track to the same loudness
+        target: -18, // LUFS
+        limiter: true,
+        limiterCeiling: -1 // dBFS
+    },
+    ducking: {
+        attack: 40, // ms
+        hold: 250, // ms after speech ends before coming back up
+        release: 600, // ms
+        attackCurve: 'exponential', // 'linear', 'exponential' or 'smooth'
+        releaseCurve: 'smooth',
+        lookahead: 60, // ms the duck leads scheduled sounds like chimes
+        depths: {} // dB per layer name, source kind or category; others use the VAD ducking level
+    },
+    effects: {
+        warmth: 0, // dB
+        brightness: 0, // dB
+        lowpass: 20000, // Hz
+        reverb: 0, // 0 - 1
+        width: 1 // 0 = mono, 2 = extra wide
+    },
+    focus: {
+        workMinutes: 25,
+        shortBreakMinutes: 5,
+        longBreakMinutes: 15,
+        rounds: 4,
+        longBreakEvery: 4, // Rounds between long breaks
+        workStyle: 'focus', // Music request during work
+        breakStyle: 'relax' // Music request during breaks
+    },
+    output: {
+        deviceId: 'default', // Preferred output device
+        profiles: {} // deviceId -> { volume, vadDuckingFactor }
+    },
+    cache: {
+        maxSizeMB: 500,
+        offlineOnly: false // Only play cached tracks, even when online
+    },
+    vad: {
+        threshold: 0.005, // Minimum speech band level (300-3400 Hz RMS)
+        noiseFloor: null, // Room noise in the same band, from calibration
+        calibratedAt: null // Epoch ms
+    },
+    listening: {
+        bargeIn: false // A new command (or talking over a reply) interrupts the current one
+    },
+    capture: {
+        frameMs: 256 // Microphone audio per frame sent to speech recognition
+    },
+    stt: {
+        backend: 'auto', // 'deepgram', 'vosk', or 'auto' (Deepgram when there's a key, otherwise Vosk)
+        voskModelPath: null // Folder of a Vosk model, for offline recognition
+    },
+    wakeWord: {
+        enabled: false, // Listen for the wake phrase instead of waiting for ⌘M
+        phrase: 'hey music',
+        sensitivity: 0.5, // 0 - 1; higher wakes more easily, and more often by mistake
+        chime: true, // Play a short chime on wake, as well as lighting up the bar
+        commandTimeout: 8000 // ms to wait for a command after the wake phrase
+    },
+    providers: {
+        strategy: 'merge', // 'merge' results or 'rank' (first provider with results wins)
+        order: ['local', 'freesound'],
+        enabled: { local: true, freesound: true },
+        localLibraryPath: null
+    }
+};
+
+// Persistent user settings, stored as JSON in Electron's userData directory
+class SettingsStore extends EventEmitter {
+    constructor() {
+        super();
+        this.filePath = null;
+        this.values = JSON.parse(JSON.stringify(DEFAULTS));
+        this.saveTimer = null;
+        this.saveDelay = 500; // Batch rapid changes into one write
+    }
+    
+    async initialize() {
+        if (this.filePath) return;
+        
+        try {
+            const userDataPath = await ipcRenderer.invoke('get-user-data-path');
+            this.filePath = path.join(userDataPath, 'settings.json');
+            
+            const contents = await fs.promises.readFile(this.filePath, 'utf8');
+            this.values = merge(JSON.parse(JSON.stringify(DEFAULTS)), JSON.parse(contents));
+            console.log('⚙️ Settings loaded from', this.filePath);
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.error('⚙️ Failed to load settings, using defaults:', error);
+            }
+        }
+    }
+    
+    // Read a value by dotted key, e.g. get('playback.mode')
+    get(key) {
+        return key.split('.').reduce((value, part) => (value == null ? undefined : value[part]), this.values);
+    }
+    
+    set(key, value) {
+        const parts = key.split('.');
+        const last = parts.pop();
+        const target = parts.reduce((object, part) => {
+            if (typeof object[part] !== 'object' || object[part] === null) {
+                object[part] = {};
+            }
+            return object[part];
+        }, this.values);
+        
+        if (target[last] === value) return;
+        target[last] = value;
+        
+        this.emit('change', key, value);
+        this.scheduleSave();
+    }
+    
+    scheduleSave() {
+        if (!this.filePath) return;
+        
+        clearTimeout(this.saveTimer);
+        this.saveTimer = setTimeout(() => this.save(), this.saveDelay);
+    }
+    
+    async save() {
+        try {
+            await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+            await fs.promises.writeFile(this.filePath, JSON.stringify(this.values, null, 2));
+        } catch (error) {
+            console.error('⚙️ Failed to save settings:', error);
+        }
+    }
+}
+
+// Deep-merge saved values over the defaults so new settings pick up defaults
+function merge(target, source) {
+    for (const [key, value] of Object.entries(source || {})) {
+        if (value && typeof value === 'object' && !Array.isArray(value) &&
+            target[key] && typeof target[key] === 'object' && !Array.isArray(target[key])) {
+            merge(target[key], value);
+        } else {
+            target[key] = value;
+        }
+    }
+    return target;
+}
+
+module.exports = new SettingsStore();
@@ -0,0 +1,98 @@
+const EventEmitter = require('events');
+
+// Countdown for timed playback ("play rain for 25 minutes", "stop at 6pm").
+// It only keeps time: 'fade' fires `fadeDuration` before the end, 'expire'
+// at the end and 'fade-cancel' when a fade is called off by a cancel or an
+// extension. AudioSystem decides what those do to the audio.
+// Nothing here is tied to a track, so the timer carries on across track changes.
+class SleepTimer extends EventEmitter {
+    constructor() {
+        super();
+        this.endsAt = null; // Epoch ms
+        this.fadeDuration = 60000; // ms of graceful fade before the end
+        this.isFading = false;
+        this.fadeTimer = null;
+        this.expireTimer = null;
+    }
+    
+    get isActive() {
+        return this.endsAt !== null;
+    }
+    
+    getRemaining() {
+        return this.isActive ? Math.max(0, this.endsAt - Date.now()) : 0;
+    }
+    
+    start(endsAt, { fadeDuration } = {}) {
+        if (typeof fadeDuration === 'number') {
+            this.fadeDuration = fadeDuration;
+        }
+        this.endsAt = endsAt instanceof Date ? endsAt.getTime() : endsAt;
+        this.schedule();
+        console.log(`⏲️ Sleep timer set for ${new Date(this.endsAt).toLocaleTimeString()}`);
+        this.emit('change', this.getState());
+    }
+    
+    // Push the end back (or start a new timer from now if none is running)
+    extend(ms) {
+        const base = this.isActive ? this.endsAt : Date.now();
+        this.start(base + ms);
+    }
+    
+    cancel() {
+        if (!this.isActive) return false;
+        
+        this.clearTimers();
+        this.endsAt = null;
+        if (this.isFading) {
+            this.isFading = false;
+            this.emit('fade-cancel');
+        }
+        console.log('⏲️ Sleep timer cancelled');
+        this.emit('change', this.getState());
+        return true;
+    }
+    
+    schedule() {
+        this.clearTimers();
+        const remaining = this.getRemaining();
+        
+        // Short timers fade over their last half rather than the full fade length
+        const fadeDuration = Math.min(this.fadeDuration, remaining / 2);
+        if (this.isFading) {
+            // Extended mid-fade: come back up now and fade again later
+            this.isFading = false;
+            this.emit('fade-cancel');
+        }
+        
+        this.fadeTimer = setTimeout(() => {
+            this.isFading = true;
+            this.emit('fade', this.getRemaining() / 1000);
+            this.emit('change', this.getState());
+        }, remaining - fadeDuration);
+        
+        this.expireTimer = setTimeout(() => {
+            this.endsAt = null;
+            this.isFading = false;
+            console.log('⏲️ Sleep timer finished');
+            this.emit('expire');
+            this.emit('change', this.getState());
+        }, remaining);
+    }
+    
+    clearTimers() {
+        clearTimeout(this.fadeTimer);
+        clearTimeout(this.expireTimer);
+    }
+    
+    getState() {
+        return {
+            active: this.isActive,
+            endsAt: this.endsAt,
+            remaining: this.getRemaining(),
+            fading: this.isFading
+        };
+    }
+}
+
+module.exports = SleepTimer;
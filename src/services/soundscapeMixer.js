@@ -0,0 +1,383 @@
+const EventEmitter = require('events');
+const { EffectsChain } = require('./effectsChain');
+const { DuckingEngine } = require('./duckingEngine');
+
+// Holds the named layers of the soundscape (music bed, nature, noise...).
+// Each layer has its own gain, mute and ducking stage; everything is summed
+// into the tone/space effects, a timer fade stage, a master volume stage and a
+// peak limiter before reaching the output. Brainwave layers skip the effects.
+// Replacing a layer's source crossfades: every source plays through its own
+// "slot" gain so the outgoing and incoming sources can overlap.
+class SoundscapeMixer extends EventEmitter {
+    constructor(audioContext) {
+        super();
+        this.audioContext = audioContext;
+        this.layers = new Map();
+        this.rampTime = 0.3; // Seconds for gain changes
+        this.removeFadeTime = 1.5; // Seconds to fade a removed layer out
+        this.crossfadeDuration = 3; // Seconds
+        this.crossfadeCurve = 'equal-power'; // 'equal-power' or 'linear'
+        this.interruptFadeTime = 0.25; // Seconds to clear stale fades when a new one starts
+        
+        this.ducking = new DuckingEngine(audioContext, () => this.layers.values());
+        this.timerGain = audioContext.createGain(); // Sleep timer fade-outs, independent of volume and ducking
+        this.masterGain = audioContext.createGain();
+        this.effects = new EffectsChain(audioContext);
+        this.effects.connect(this.timerGain);
+        this.timerGain.connect(this.masterGain);
+        
+        // Brickwall-style limiter so normalized tracks can't clip the output
+        this.limiter = audioContext.createDynamicsCompressor();
+        this.limiter.knee.value = 0;
+        this.limiter.ratio.value = 20;
+        this.limiter.attack.value = 0.003;
+        this.limiter.release.value = 0.25;
+        this.limiterEnabled = null;
+        this.setLimiter({ enabled: true, ceiling: -1 });
+    }
+    
+    // Ceiling in dBFS; a disabled limiter is bypassed entirely
+    setLimiter({ enabled, ceiling } = {}) {
+        if (typeof ceiling === 'number' && !isNaN(ceiling)) {
+            this.limiter.threshold.value = Math.max(-24, Math.min(0, ceiling));
+        }
+        if (typeof enabled !== 'boolean' || enabled === this.limiterEnabled) return;
+        
+        this.limiterEnabled = enabled;
+        this.masterGain.disconnect();
+        this.limiter.disconnect();
+        if (enabled) {
+            this.masterGain.connect(this.limiter);
+            this.limiter.connect(this.audioContext.destination);
+        } else {
+            this.masterGain.connect(this.audioContext.destination);
+        }
+    }
+    
+    hasLayers() {
+        return this.layers.size > 0;
+    }
+    
+    getLayer(name) {
+        return this.layers.get(name) || null;
+    }
+    
+    // Match a spoken term ("rain", "the noise") against layer names, categories and track names
+    findLayer(term) {
+        const text = (term || '').toLowerCase().trim();
+        if (!text) return null;
+        
+        if (this.layers.has(text)) {
+            return this.layers.get(text);
+        }
+        
+        for (const layer of this.layers.values()) {
+            const names = [layer.name, layer.category, layer.source && layer.source.name]
+                .filter(Boolean)
+                .map(name => name.toLowerCase());
+            if (names.some(name => name.includes(text) || text.includes(name))) {
+                return layer;
+            }
+        }
+        
+        return null;
+    }
+    
+    // `maxGain` caps the layer no matter how often it's turned up
+    createLayer(name, { category = name, gain = 1, maxGain = 1 } = {}) {
+        gain = Math.min(gain, maxGain);
+        const gainNode = this.audioContext.createGain();
+        gainNode.gain.value = gain;
+        const duckNode = this.audioContext.createGain();
+        gainNode.connect(duckNode);
+        // Width 0 would fold a binaural beat to mono, reverb smears isochronic
+        // pulses and EQ could lift the tones past their level cap
+        duckNode.connect(category === 'brainwave' ? this.timerGain : this.effects.input);
+        
+        const layer = {
+            name,
+            category,
+            gain,
+            maxGain,
+            muted: false,
+            isPlaying: false,
+            source: null,
+            slot: null,
+            outgoing: new Set(), // Sources still fading out
+            transition: 0, // Bumped on every playLayer() so stale requests can bail out
+            gainNode,
+            duckNode
+        };
+        duckNode.gain.value = this.ducking.levelFor(layer); // Layers added mid-duck start ducked
+        this.layers.set(name, layer);
+        return layer;
+    }
+    
+    setCrossfade({ duration, curve } = {}) {
+        if (typeof duration === 'number' && !isNaN(duration)) {
+            this.crossfadeDuration = Math.max(0, Math.min(30, duration));
+        }
+        if (curve === 'equal-power' || curve === 'linear') {
+            this.crossfadeCurve = curve;
+        }
+    }
+    
+    // Put a source on a layer (creating the layer if needed), preload it and
+    // crossfade it in over whatever the layer was playing
+    async playLayer(name, source, options = {}) {
+        let layer = this.layers.get(name);
+        if (!layer) {
+            layer = this.createLayer(name, options);
+        }
+        
+        const transition = ++layer.transition;
+        const entry = { source, slot: this.audioContext.createGain(), disposed: false };
+        entry.slot.gain.value = 0;
+        source.connect(entry.slot);
+        
+        const isCurrent = () => layer.transition === transition && this.layers.get(name) === layer;
+        
+        try {
+            // Preload before touching what's currently playing
+            if (source.preload) {
+                await source.preload();
+            }
+            if (!isCurrent()) {
+                console.log(`🎚️ Dropping superseded source for "${name}"`);
+                this.disposeEntry(entry);
+                return layer;
+            }
+            
+            entry.slot.connect(layer.gainNode);
+            await source.play();
+        } catch (error) {
+            this.disposeEntry(entry);
+            if (isCurrent() && !layer.source) {
+                this.layers.delete(name);
+                layer.gainNode.disconnect();
+                layer.duckNode.disconnect();
+            }
+            this.emit('change', this.getState());
+            throw error;
+        }
+        
+        if (!isCurrent()) {
+            this.disposeEntry(entry);
+            return layer;
+        }
+        
+        this.crossfade(layer, entry, options.fadeTime ?? this.crossfadeDuration);
+        layer.isPlaying = true;
+        this.emit('change', this.getState());
+        return layer;
+    }
+    
+    crossfade(layer, incoming, duration) {
+        // Anything still fading out from an earlier change is cleared quickly
+        for (const entry of layer.outgoing) {
+            this.retireEntry(layer, entry, Math.min(duration, this.interruptFadeTime));
+        }
+        
+        // The current source (possibly still mid fade-in) fades out from where it is
+        if (layer.source) {
+            this.retireEntry(layer, { source: layer.source, slot: layer.slot, disposed: false }, duration);
+        }
+        
+        layer.source = incoming.source;
+        layer.slot = incoming.slot;
+        this.fadeParam(incoming.slot.gain, 1, duration);
+    }
+    
+    retireEntry(layer, entry, duration) {
+        layer.outgoing.delete(entry);
+        
+        const existing = Array.from(layer.outgoing).find(item => item.source === entry.source);
+        const target = existing || entry;
+        layer.outgoing.add(target);
+        this.fadeParam(target.slot.gain, 0, duration);
+        
+        clearTimeout(target.timer);
+        target.timer = setTimeout(() => {
+            layer.outgoing.delete(target);
+            this.disposeEntry(target);
+        }, duration * 1000 + 100);
+    }
+    
+    disposeEntry(entry) {
+        if (entry.disposed) return;
+        entry.disposed = true;
+        clearTimeout(entry.timer);
+        entry.source.dispose();
+        entry.slot.disconnect();
+    }
+    
+    // Fade an AudioParam from its current value using the configured curve
+    fadeParam(param, target, duration) {
+        const now = this.audioContext.currentTime;
+        const start = param.value;
+        param.cancelScheduledValues(now);
+        
+        if (duration <= 0.01 || start === target) {
+            param.setValueAtTime(target, now);
+            return;
+        }
+        
+        if (this.crossfadeCurve === 'linear') {
+            param.setValueAtTime(start, now);
+            param.linearRampToValueAtTime(target, now + duration);
+            return;
+        }
+        
+        // Equal-power: sine-shaped rise, cosine-shaped fall, so the summed
+        // power of the two sources stays constant through the overlap
+        const points = 64;
+        const curve = new Float32Array(points);
+        for (let i = 0; i < points; i++) {
+            const t = i / (points - 1);
+            curve[i] = target > start
+                ? start + (target - start) * Math.sin(t * Math.PI / 2)
+                : target + (start - target) * Math.cos(t * Math.PI / 2);
+        }
+        param.setValueCurveAtTime(curve, now, duration);
+    }
+    
+    removeLayer(name, fadeTime = this.removeFadeTime) {
+        const layer = this.layers.get(name);
+        if (!layer) return false;
+        
+        this.layers.delete(name);
+        layer.transition++;
+        this.rampGain(layer.gainNode.gain, 0, fadeTime);
+        
+        setTimeout(() => {
+            this.disposeLayerSources(layer);
+            layer.gainNode.disconnect();
+            layer.duckNode.disconnect();
+        }, fadeTime * 1000 + 100);
+        
+        this.emit('change', this.getState());
+        return true;
+    }
+    
+    disposeLayerSources(layer) {
+        for (const entry of layer.outgoing) {
+            this.disposeEntry(entry);
+        }
+        layer.outgoing.clear();
+        
+        if (layer.source) {
+            this.disposeEntry({ source: layer.source, slot: layer.slot, disposed: false });
+            layer.source = null;
+            layer.slot = null;
+        }
+    }
+    
+    setLayerGain(name, gain) {
+        const layer = this.layers.get(name);
+        if (!layer) return null;
+        
+        layer.gain = Math.max(0, Math.min(layer.maxGain, gain));
+        if (!layer.muted) {
+            this.rampGain(layer.gainNode.gain, layer.gain, this.rampTime);
+        }
+        
+        this.emit('change', this.getState());
+        return layer;
+    }
+    
+    setLayerMuted(name, muted) {
+        const layer = this.layers.get(name);
+        if (!layer) return null;
+        
+        layer.muted = muted;
+        this.rampGain(layer.gainNode.gain, muted ? 0 : layer.gain, this.rampTime);
+        
+        this.emit('change', this.getState());
+        return layer;
+    }
+    
+    pauseAll() {
+        for (const layer of this.layers.values()) {
+            // Nothing left mid-fade when playback stops
+            for (const entry of layer.outgoing) {
+                this.disposeEntry(entry);
+            }
+            layer.outgoing.clear();
+            
+            if (layer.source && layer.isPlaying) {
+                layer.source.pause();
+                layer.isPlaying = false;
+            }
+        }
+        this.emit('change', this.getState());
+    }
+    
+    async resumeAll() {
+        for (const layer of this.layers.values()) {
+            if (layer.source && !layer.isPlaying) {
+                try {
+                    await layer.source.play();
+                    layer.isPlaying = true;
+                } catch (error) {
+                    console.error(`🎚️ Failed to resume layer "${layer.name}":`, error);
+                }
+            }
+        }
+        this.emit('change', this.getState());
+    }
+    
+    clear() {
+        for (const name of Array.from(this.layers.keys())) {
+            this.removeLayer(name, 0);
+        }
+    }
+    
+    setVolume(volume) {
+        this.rampGain(this.masterGain.gain, volume, this.rampTime);
+    }
+    
+    // Long fade of the whole mix to silence, shaped so it sounds even to the ear
+    fadeOutAll(duration) {
+        const param = this.timerGain.gain;
+        const now = this.audioContext.currentTime;
+        const start = param.value;
+        param.cancelScheduledValues(now);
+        
+        if (duration <= 0.01) {
+            param.setValueAtTime(0, now);
+            return;
+        }
+        
+        const points = 256;
+        const curve = new Float32Array(points);
+        for (let i = 0; i < points; i++) {
+            curve[i] = start * Math.pow(1 - i / (points - 1), 3);
+        }
+        param.setValueCurveAtTime(curve, now, duration);
+    }
+    
+    restoreLevel(duration = this.rampTime) {
+        this.rampGain(this.timerGain.gain, 1, duration);
+    }
+    
+    rampGain(param, target, duration) {
+        const now = this.audioContext.currentTime;
+        param.cancelScheduledValues(now);
+        param.setValueAtTime(param.value, now);
+        param.linearRampToValueAtTime(target, now + Math.max(duration, 0.01));
+    }
+    
+    getState() {
+        return Array.from(this.layers.values()).map(layer => ({
+            name: layer.name,
+            category: layer.category,
+            gain: layer.gain,
+            muted: layer.muted,
+            isPlaying: layer.isPlaying,
+            kind: layer.source ? layer.source.kind : null,
+            trackName: layer.source ? layer.source.name : null
+        }));
+    }
+}
+
+module.exports = SoundscapeMixer;
@@ -0,0 +1,301 @@
+const EventEmitter = require('events');
+const fs = require('fs');
+const path = require('path');
+const { ipcRenderer } = require('electron');
+
+const DAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const DAY_GROUPS = {
+    daily: DAYS,
+    weekdays: ['mon', 'tue', 'wed', 'thu', 'fri'],
+    weekends: ['sat', 'sun']
+};
+
+// Written to schedule.json the first time, switched off, as a starting point
+const EXAMPLE_RULES = [
+    { days: DAY_GROUPS.weekdays, start: '09:00', end: '12:00', style: 'focus piano' },
+    { days: DAY_GROUPS.weekdays, start: '12:00', end: '13:00', style: 'nature', layers: ['birds'] },
+    { start: '17:00', end: null, style: 'relax' }
+];
+
+// Time-of-day routine: rules map weekdays and clock ranges to a music request
+// (and optional layer presets), e.g. 9-12 "focus piano" on weekdays. Only
+// keeps time; 'rule' fires with the rule that applies (or null) whenever that
+// changes at a boundary, and AudioSystem does the switching. A manual choice
+// holds the schedule off until the next boundary.
+// Rules live in <userData>/schedule.json so they can be edited by hand.
+class SoundscapeSchedule extends EventEmitter {
+    constructor() {
+        super();
+        this.filePath = null;
+        this.enabled = false;
+        this.rules = [];
+        this.activeKey = null; // Rule last announced, so boundaries that change nothing stay quiet
+        this.overrideUntil = null; // Epoch ms
+        this.timer = null;
+        this.maxWait = 60 * 60 * 1000; // Re-check at least hourly, in case the machine slept
+    }
+    
+    async initialize() {
+        const userDataPath = await ipcRenderer.invoke('get-user-data-path');
+        this.filePath = path.join(userDataPath, 'schedule.json');
+        
+        try {
+            const data = JSON.parse(await fs.promises.readFile(this.filePath, 'utf8'));
+            this.enabled = !!data.enabled;
+            this.rules = normalizeRules(data.rules);
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                this.rules = normalizeRules(EXAMPLE_RULES);
+                await this.save();
+            } else {
+                console.error('🗓️ Schedule file unreadable, schedule off:', error);
+            }
+        }
+        console.log(`🗓️ Schedule ${this.enabled ? 'on' : 'off'} with ${this.rules.length} rules (${this.filePath})`);
+    }
+    
+    // Announce whatever applies now, then follow the boundaries
+    start() {
+        this.activeKey = null;
+        this.evaluate();
+    }
+    
+    stop() {
+        clearTimeout(this.timer);
+        this.timer = null;
+    }
+    
+    setEnabled(enabled) {
+        this.update({ enabled });
+    }
+    
+    // Change the rules and/or switch the schedule on or off. The music only
+    // changes if a different rule applies afterwards.
+    update({ enabled, rules } = {}) {
+        if (typeof enabled === 'boolean') {
+            this.enabled = enabled;
+        }
+        if (rules) {
+            this.rules = normalizeRules(rules);
+        }
+        this.overrideUntil = null;
+        console.log(`🗓️ Schedule ${this.enabled ? 'on' : 'off'} with ${this.rules.length} rules`);
+        this.save();
+        this.evaluate();
+        return this.rules;
+    }
+    
+    // Something was picked by hand: leave it alone until the next boundary
+    override(now = new Date()) {
+        if (!this.enabled || this.rules.length === 0) return;
+        
+        const until = this.nextBoundary(now);
+        this.overrideUntil = until ? until.getTime() : null;
+        console.log(`🗓️ Schedule overridden${until ? ` until ${until.toLocaleTimeString()}` : ''}`);
+        this.emit('change', this.getState());
+    }
+    
+    // Drop an override and go back to what the schedule says now
+    resume() {
+        this.overrideUntil = null;
+        this.start();
+    }
+    
+    get isOverridden() {
+        return this.overrideUntil !== null && Date.now() < this.overrideUntil;
+    }
+    
+    evaluate() {
+        this.stop();
+        const now = new Date();
+        
+        // The boundary ending an override re-announces the current rule even if it hasn't changed
+        const overrideEnded = this.overrideUntil !== null && now.getTime() >= this.overrideUntil;
+        if (overrideEnded) {
+            this.overrideUntil = null;
+        }
+        
+        const rule = this.enabled ? this.ruleAt(now) : null;
+        const key = rule ? JSON.stringify(rule) : null;
+        if (key !== this.activeKey || (overrideEnded && rule)) {
+            this.activeKey = key;
+            if (!this.isOverridden) {
+                console.log('🗓️ Schedule:', rule ? describeRule(rule) : 'nothing scheduled');
+                this.emit('rule', rule);
+            }
+        }
+        this.emit('change', this.getState());
+        
+        const next = this.enabled ? this.nextBoundary(now) : null;
+        if (next) {
+            // A second past the boundary, so the new rule is the one in range
+            const wait = Math.min(next.getTime() - now.getTime() + 1000, this.maxWait);
+            this.timer = setTimeout(() => this.evaluate(), wait);
+        }
+    }
+    
+    // First rule covering `date`; overnight ranges belong to the day they start on
+    ruleAt(date) {
+        const minute = date.getHours() * 60 + date.getMinutes();
+        const today = DAYS[date.getDay()];
+        const yesterday = DAYS[(date.getDay() + 6) % 7];
+        
+        return this.rules.find(rule => {
+            const start = toMinutes(rule.start);
+            const end = rule.end === null ? 24 * 60 : toMinutes(rule.end);
+            if (end > start) {
+                return rule.days.includes(today) && minute >= start && minute < end;
+            }
+            return (rule.days.includes(today) && minute >= start) || (rule.days.includes(yesterday) && minute < end);
+        }) || null;
+    }
+    
+    // Next time any rule starts or ends after `now` (checked every day; a
+    // boundary on a day the rule doesn't run just changes nothing)
+    nextBoundary(now = new Date()) {
+        const minutes = new Set();
+        for (const rule of this.rules) {
+            minutes.add(toMinutes(rule.start));
+            minutes.add(rule.end === null ? 0 : toMinutes(rule.end));
+        }
+        
+        let next = null;
+        for (let day = 0; day <= 1; day++) {
+            for (const minute of minutes) {
+                const date = new Date(now);
+                date.setDate(date.getDate() + day);
+                date.setHours(Math.floor(minute / 60), minute % 60, 0, 0);
+                if (date > now && (!next || date < next)) {
+                    next = date;
+                }
+            }
+        }
+        return next;
+    }
+    
+    getState() {
+        const now = new Date();
+        const rule = this.enabled ? this.ruleAt(now) : null;
+        const next = this.enabled ? this.nextBoundary(now) : null;
+        return {
+            enabled: this.enabled,
+            rule,
+            overridden: this.isOverridden,
+            overrideUntil: this.isOverridden ? this.overrideUntil : null,
+            nextBoundary: next ? next.getTime() : null
+        };
+    }
+    
+    async save() {
+        if (!this.filePath) return;
+        
+        try {
+            const data = { enabled: this.enabled, rules: this.rules };
+            await fs.promises.writeFile(this.filePath, JSON.stringify(data, null, 2));
+        } catch (error) {
+            console.error('🗓️ Failed to save schedule:', error);
+        }
+    }
+}
+
+// Valid rules only, with days expanded and times as "HH:MM"
+function normalizeRules(rules) {
+    if (!Array.isArray(rules)) return [];
+    
+    const normalized = [];
+    for (const rule of rules) {
+        if (!rule || typeof rule.style !== 'string' || !rule.style.trim()) {
+            console.warn('🗓️ Ignoring invalid schedule rule:', rule);
+            continue;
+        }
+        const start = parseTime(rule.start);
+        const end = rule.end === null || rule.end === undefined || rule.end === '' ? null : parseTime(rule.end);
+        if (start === undefined || end === undefined) {
+            console.warn('🗓️ Ignoring invalid schedule rule:', rule);
+            continue;
+        }
+        
+        normalized.push({
+            days: parseDays(rule.days),
+            start: formatTime(start),
+            end: end === null ? null : formatTime(end),
+            style: rule.style.trim(),
+            layers: Array.isArray(rule.layers) ? rule.layers.map(layer => String(layer).toLowerCase().trim()).filter(Boolean) : []
+        });
+    }
+    return normalized;
+}
+
+// ["mon", "tue"], "weekdays", "sat,sun" or nothing (every day)
+function parseDays(days) {
+    if (!days || days.length === 0) return DAYS.slice();
+    
+    const words = Array.isArray(days) ? days : String(days).split(/[\s,]+/);
+    const result = new Set();
+    for (const word of words.map(day => String(day).toLowerCase().trim())) {
+        if (word in DAY_GROUPS) {
+            DAY_GROUPS[word].forEach(day => result.add(day));
+        } else if (DAYS.includes(word.slice(0, 3))) {
+            result.add(word.slice(0, 3));
+        }
+    }
+    return result.size > 0 ? DAYS.filter(day => result.has(day)) : DAYS.slice();
+}
+
+// Minutes since midnight from "9", "09:30", "17:00", "5pm"; undefined if unreadable
+function parseTime(value) {
+    const match = String(value === undefined || value === null ? '' : value).toLowerCase().trim()
+        .match(/^(\d{1,2})(?::(\d{2}))?\s*(am|pm)?$/);
+    if (!match) return undefined;
+    
+    let hours = parseInt(match[1]);
+    const minutes = match[2] ? parseInt(match[2]) : 0;
+    if (match[3] === 'pm' && hours < 12) hours += 12;
+    if (match[3] === 'am' && hours === 12) hours = 0;
+    if (hours > 24 || minutes > 59 || (hours === 24 && minutes > 0)) return undefined;
+    return (hours * 60 + minutes) % (24 * 60);
+}
+
+function toMinutes(time) {
+    const [hours, minutes] = time.split(':').map(Number);
+    return hours * 60 + minutes;
+}
+
+function formatTime(minutes) {
+    const pad = (value) => value.toString().padStart(2, '0');
+    return `${pad(Math.floor(minutes / 60))}:${pad(minutes % 60)}`;
+}
+
+// "weekdays 09:00-12:00 focus piano + birds"
+function describeRule(rule) {
+    const days = Object.keys(DAY_GROUPS).find(group =>
+        DAY_GROUPS[group].length === rule.days.length && DAY_GROUPS[group].every(day => rule.days.includes(day)));
+    const range = `${rule.start}-${rule.end || ''}`;
+    const layers = rule.layers.length > 0 ? ` + ${rule.layers.join(', ')}` : '';
+    return `${days === 'daily' ? '' : `${days || rule.days.join(',')} `}${range} ${rule.style}${layers}`;
+}
+
+// Rules from the text form used in settings, one per ";" or line:
+// "weekdays 9-12 focus piano; 12-13 nature + birds; 17- relax"
+function parseRules(text) {
+    const rules = [];
+    for (const line of String(text || '').split(/[;\n]+/).map(part => part.trim()).filter(Boolean)) {
+        const match = line.match(/^(?:([a-z,\s]+?)\s+)?(\d{1,2}(?::\d{2})?\s*(?:am|pm)?)\s*-\s*(\d{1,2}(?::\d{2})?\s*(?:am|pm)?)?\s+(.+)$/i);
+        if (!match) {
+            console.warn('🗓️ Ignoring unreadable schedule line:', line);
+            continue;
+        }
+        
+        const [style, layers] = match[4].split('+').map(part => part.trim());
+        rules.push({
+            days: match[1] ? match[1] : null,
+            start: match[2],
+            end: match[3] || null,
+            style,
+            layers: layers ? layers.split(',').map(layer => layer.trim()) : []
+        });
+    }
+    return normalizeRules(rules);
+}
+
+module.exports = { SoundscapeSchedule, parseRules, describeRule };
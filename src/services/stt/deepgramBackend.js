@@ -0,0 +1,124 @@
+const { createClient } = require('@deepgram/sdk');
+const SttBackend = require('./sttBackend');
+
+// Deepgram Nova-3 over a live websocket
+class DeepgramBackend extends SttBackend {
+    constructor() {
+        super('deepgram', 'Deepgram');
+        this.apiKey = process.env.DEEPGRAM_API_KEY;
+        this.client = null;
+        this.connection = null;
+        this.segments = []; // Finalized parts of the utterance in progress
+    }
+    
+    async initialize() {
+        console.log('API Key status:', this.apiKey ? 'Set' : 'Not set');
+        
+        if (!this.apiKey) {
+            throw new Error('Please set your Deepgram API key in the .env file: DEEPGRAM_API_KEY=your_key_here');
+        }
+        
+        this.client = createClient(this.apiKey);
+        console.log('✅ Deepgram client ready');
+    }
+    
+    isAvailable() {
+        return !!this.client;
+    }
+    
+    get isReady() {
+        return !!this.connection && this.connection.getReadyState() === 1;
+    }
+    
+    async start() {
+        if (!this.client) {
+            throw new Error('Deepgram client not initialized');
+        }
+        
+        // Create live transcription connection with Nova-3 model
+        const connection = this.client.listen.live({
+            model: 'nova-3', // Updated to Nova-3 as preferred
+            language: 'en-US',
+            smart_format: true,
+            punctuate: true,
+            interim_results: true, // Words as they come, for the status bar
+            endpointing: 300, // End utterance after 300ms of silence
+            utterance_end_ms: 1000, // ...or 1s after the last word, when noise keeps endpointing from firing
+            vad_events: true, // SpeechStarted
+            channels: 1,
+            sample_rate: this.sampleRate,
+            encoding: 'linear16'
+        });
+        this.connection = connection;
+        this.segments = [];
+        // Results still in flight when a session is closed belong to no one
+        const isCurrent = () => this.connection === connection;
+        
+        connection.on('open', () => {
+            console.log('Deepgram connection opened');
+            this.emit('open');
+        });
+        
+        // Long utterances arrive as several final segments; the utterance is
+        // complete at speech_final (endpointing) or UtteranceEnd
+        connection.on('Results', (data) => {
+            if (!isCurrent()) return;
+            const result = data.channel?.alternatives?.[0];
+            const text = result && result.transcript ? result.transcript.trim() : '';
+            
+            if (data.is_final) {
+                if (text) this.segments.push(text);
+                if (data.speech_final) this.flush();
+            } else if (text) {
+                this.emit('transcript', { text: [...this.segments, text].join(' '), isFinal: false });
+            }
+        });
+        
+        connection.on('SpeechStarted', () => {
+            if (isCurrent()) this.emit('speech-started');
+        });
+        
+        connection.on('UtteranceEnd', () => {
+            if (!isCurrent()) return;
+            this.flush();
+            this.emit('utterance-end');
+        });
+        
+        connection.on('error', (error) => {
+            console.error('Deepgram error:', error);
+            this.emit('error', error);
+        });
+        
+        connection.on('close', () => {
+            console.log('Deepgram connection closed');
+            // Dropped by the server mid-utterance: keep what was said
+            if (isCurrent()) {
+                this.connection = null;
+                this.flush();
+            }
+            this.emit('close');
+        });
+    }
+    
+    flush() {
+        if (this.segments.length === 0) return;
+        this.emit('transcript', { text: this.segments.join(' '), isFinal: true });
+        this.segments = [];
+    }
+    
+    send(pcm) {
+        if (this.isReady) {
+            this.connection.send(pcm.buffer);
+        }
+    }
+    
+    async close() {
+        if (this.connection) {
+            this.connection.finish();
+            this.connection = null;
+        }
+        this.segments = []; // The session is over; a partial utterance isn't a command
+    }
+}
+
+module.exports = DeepgramBackend;
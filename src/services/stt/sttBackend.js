@@ -0,0 +1,50 @@
+const EventEmitter = require('events');
+
+// Base class for speech-to-text engines. VoiceProcessor owns the microphone
+// and VAD; a backend only turns 16 kHz mono PCM into text.
+//
+// A session runs from start() to close(). While `isReady`, send() takes
+// Int16Array chunks. Events:
+//   'open'                            session ready for audio
+//   'transcript' { text, isFinal }    interim (isFinal false) or final text
+//   'error' (error)                   something failed; the session may close
+//   'close'                           session over
+// Backends with their own voice activity detection may also emit:
+//   'speech-started'                  someone started talking
+//   'utterance-end'                   the words have stopped
+// A final transcript is a whole utterance; interim ones are its text so far.
+class SttBackend extends EventEmitter {
+    constructor(id, name) {
+        super();
+        this.id = id;
+        this.name = name;
+        this.sampleRate = 16000;
+        this.requiresNetwork = true;
+    }
+    
+    // Load models, create clients... Throws with a message for the user if the
+    // backend can't be used
+    async initialize(options = {}) {}
+    
+    // Whether initialize() succeeded
+    isAvailable() {
+        return false;
+    }
+    
+    get isReady() {
+        return false;
+    }
+    
+    async start() {
+        throw new Error(`${this.name} does not implement start()`);
+    }
+    
+    send(pcm) {
+        throw new Error(`${this.name} does not implement send()`);
+    }
+    
+    // Finish the session, flushing any last transcript first
+    async close() {}
+}
+
+module.exports = SttBackend;
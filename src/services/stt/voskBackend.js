@@ -0,0 +1,123 @@
+const fs = require('fs');
+const SttBackend = require('./sttBackend');
+
+// Loaded models by folder, shared with the wake word detector
+const models = new Map();
+
+// The vosk module and a model, loaded once per folder. Throws with a message
+// for the user if either is missing.
+function loadModel(modelPath) {
+    modelPath = modelPath || process.env.VOSK_MODEL_PATH;
+    if (!modelPath) {
+        throw new Error('Set a Vosk model folder under Settings → Speech recognition (or VOSK_MODEL_PATH in .env)');
+    }
+    if (!fs.existsSync(modelPath)) {
+        throw new Error(`Vosk model not found at ${modelPath}`);
+    }
+    
+    let vosk;
+    try {
+        vosk = require('vosk');
+    } catch (error) {
+        throw new Error('Offline recognition needs the vosk package: npm install vosk');
+    }
+    
+    if (!models.has(modelPath)) {
+        vosk.setLogLevel(-1);
+        console.log('🧠 Loading Vosk model from', modelPath);
+        models.set(modelPath, new vosk.Model(modelPath));
+        console.log('✅ Vosk model loaded');
+    }
+    return { vosk, model: models.get(modelPath) };
+}
+
+// Offline recognition with a Vosk model on disk (https://alphacephei.com/vosk/models),
+// e.g. vosk-model-small-en-us-0.15. Needs the optional `vosk` package, which
+// is native and has to be built for Electron. The model loads once and is kept
+// between sessions; each session gets its own recognizer.
+class VoskBackend extends SttBackend {
+    constructor() {
+        super('vosk', 'Vosk (offline)');
+        this.requiresNetwork = false;
+        this.vosk = null;
+        this.model = null;
+        this.recognizer = null;
+        this.pending = Promise.resolve(); // Chunks are recognized one after another
+        this.lastPartial = '';
+    }
+    
+    async initialize({ modelPath } = {}) {
+        const { vosk, model } = loadModel(modelPath);
+        this.vosk = vosk;
+        this.model = model;
+    }
+    
+    isAvailable() {
+        return !!this.model;
+    }
+    
+    get isReady() {
+        return !!this.recognizer;
+    }
+    
+    async start() {
+        if (!this.model) {
+            throw new Error('Vosk model not loaded');
+        }
+        
+        this.recognizer = new this.vosk.Recognizer({ model: this.model, sampleRate: this.sampleRate });
+        this.pending = Promise.resolve();
+        this.lastPartial = '';
+        // Nothing to connect to - ready straight away, but let the caller finish setting up first
+        setTimeout(() => this.emit('open'), 0);
+    }
+    
+    send(pcm) {
+        const recognizer = this.recognizer;
+        if (!recognizer) return;
+        
+        const chunk = Buffer.from(pcm.buffer, pcm.byteOffset, pcm.byteLength);
+        this.pending = this.pending
+            .then(() => recognizer.acceptWaveformAsync(chunk))
+            .then((endOfUtterance) => {
+                if (recognizer !== this.recognizer) return;
+                if (endOfUtterance) {
+                    this.emitFinal(recognizer.result().text);
+                } else {
+                    this.emitPartial(recognizer.partialResult().partial);
+                }
+            })
+            .catch((error) => {
+                console.error('Vosk error:', error);
+                this.emit('error', error);
+            });
+    }
+    
+    emitPartial(text) {
+        if (!text || text === this.lastPartial) return;
+        this.lastPartial = text;
+        this.emit('transcript', { text, isFinal: false });
+    }
+    
+    emitFinal(text) {
+        this.lastPartial = '';
+        if (text && text.trim().length > 0) {
+            this.emit('transcript', { text, isFinal: true });
+        }
+    }
+    
+    async close() {
+        const recognizer = this.recognizer;
+        if (!recognizer) return;
+        
+        this.recognizer = null;
+        await this.pending;
+        this.emitFinal(recognizer.finalResult().text);
+        recognizer.free();
+        this.emit('close');
+    }
+}
+
+VoskBackend.loadModel = loadModel;
+
+module.exports = VoskBackend;
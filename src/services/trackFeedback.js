@@ -0,0 +1,224 @@
+const fs = require('fs');
+const path = require('path');
+const { ipcRenderer } = require('electron');
+
+// How much each kind of feedback counts towards the tags and uploader of a track
+const SIGNALS = {
+    favorite: 3,
+    completion: 0.5, // Played to the end
+    skip: -1,
+    ban: -4
+};
+
+// Weights of the parts of a track's score when ranking results. A result's
+// place in the search order is worth `position` per step, so learned
+// preferences reorder results gradually rather than overriding the search.
+const RANKING = {
+    position: 0.15,
+    favorite: 2,
+    skip: -0.4, // Per skip of this exact track, up to maxCounted
+    tags: 1.5,
+    uploader: 1,
+    maxCounted: 5
+};
+
+// Per-track feedback - favorites, bans, skips and plays to the end - and the
+// tag and uploader preferences learned from it, used to rank search results.
+// Lives in <userData>/track-feedback.json.
+class TrackFeedback {
+    constructor() {
+        this.filePath = null;
+        this.entries = new Map(); // provider:id -> entry
+        this.profile = null; // Learned { tags, uploaders } weights, rebuilt after changes
+        this.saveTimer = null;
+        this.isReady = false;
+    }
+    
+    async initialize() {
+        if (this.isReady) return;
+        
+        const userDataPath = await ipcRenderer.invoke('get-user-data-path');
+        this.filePath = path.join(userDataPath, 'track-feedback.json');
+        
+        try {
+            const data = JSON.parse(await fs.promises.readFile(this.filePath, 'utf8'));
+            for (const entry of data.entries || []) {
+                this.entries.set(TrackFeedback.keyFor(entry), entry);
+            }
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.error('❤️ Track feedback unreadable, starting fresh:', error);
+            }
+        }
+        
+        this.isReady = true;
+        console.log(`❤️ Track feedback ready: ${this.getFavorites().length} favorites, ${this.countBanned()} banned`);
+    }
+    
+    static keyFor({ provider, id }) {
+        return `${provider || 'freesound'}:${id}`;
+    }
+    
+    get(track) {
+        return this.entries.get(TrackFeedback.keyFor(track)) || null;
+    }
+    
+    // Entry for a track, created on first feedback. The track itself is kept
+    // so favorites can be played without searching for them again.
+    entryFor(track) {
+        const key = TrackFeedback.keyFor(track);
+        let entry = this.entries.get(key);
+        if (!entry) {
+            entry = { favorite: false, banned: false, skips: 0, completions: 0 };
+            this.entries.set(key, entry);
+        }
+        
+        Object.assign(entry, {
+            id: track.id,
+            provider: track.provider || 'freesound',
+            name: track.name,
+            username: track.username || null,
+            tags: (track.tags || []).map(tag => String(tag).toLowerCase()),
+            track: { ...track },
+            updated: new Date().toISOString()
+        });
+        return entry;
+    }
+    
+    setFavorite(track, favorite = true) {
+        const entry = this.entryFor(track);
+        entry.favorite = !!favorite;
+        if (favorite) entry.banned = false;
+        this.changed();
+        console.log(`❤️ ${favorite ? 'Favorited' : 'Unfavorited'}:`, track.name);
+        return entry;
+    }
+    
+    setBanned(track, banned = true) {
+        const entry = this.entryFor(track);
+        entry.banned = !!banned;
+        if (banned) entry.favorite = false;
+        this.changed();
+        console.log(`🚫 ${banned ? 'Banned' : 'Unbanned'}:`, track.name);
+        return entry;
+    }
+    
+    recordSkip(track) {
+        this.entryFor(track).skips++;
+        this.changed();
+    }
+    
+    recordCompletion(track) {
+        this.entryFor(track).completions++;
+        this.changed();
+    }
+    
+    isBanned(track) {
+        const entry = this.get(track);
+        return !!entry && entry.banned;
+    }
+    
+    isFavorite(track) {
+        const entry = this.get(track);
+        return !!entry && entry.favorite;
+    }
+    
+    // Favorite tracks, most recently favorited first
+    getFavorites() {
+        return Array.from(this.entries.values())
+            .filter(entry => entry.favorite && entry.track)
+            .sort((a, b) => b.updated.localeCompare(a.updated))
+            .map(entry => entry.track);
+    }
+    
+    countBanned() {
+        return Array.from(this.entries.values()).filter(entry => entry.banned).length;
+    }
+    
+    // Drop banned tracks and reorder the rest by learned preference, keeping
+    // the original order where nothing is known
+    rank(tracks) {
+        const allowed = tracks.filter(track => !this.isBanned(track));
+        if (allowed.length < tracks.length) {
+            console.log(`🚫 Left out ${tracks.length - allowed.length} banned tracks`);
+        }
+        if (this.entries.size === 0) return allowed;
+        
+        return allowed
+            .map((track, index) => ({ track, score: this.score(track) - index * RANKING.position }))
+            .sort((a, b) => b.score - a.score)
+            .map(({ track }) => track);
+    }
+    
+    // How much the user is likely to want this track, roughly -3 to +4.5
+    score(track) {
+        const profile = this.getProfile();
+        const entry = this.get(track);
+        let score = 0;
+        
+        if (entry) {
+            if (entry.favorite) score += RANKING.favorite;
+            score += Math.min(entry.skips, RANKING.maxCounted) * RANKING.skip;
+        }
+        
+        const tags = (track.tags || []).map(tag => String(tag).toLowerCase()).filter(tag => tag in profile.tags);
+        if (tags.length > 0) {
+            const total = tags.reduce((sum, tag) => sum + profile.tags[tag], 0);
+            score += RANKING.tags * Math.tanh(total / Math.sqrt(tags.length) / 4);
+        }
+        if (track.username && track.username in profile.uploaders) {
+            score += RANKING.uploader * Math.tanh(profile.uploaders[track.username] / 4);
+        }
+        return score;
+    }
+    
+    // Tag and uploader weights summed over every track with feedback; a track's
+    // signal is spread over its tags so heavily tagged sounds don't dominate
+    getProfile() {
+        if (this.profile) return this.profile;
+        
+        // No prototype, so tags like "constructor" don't find inherited properties
+        const tags = Object.create(null);
+        const uploaders = Object.create(null);
+        for (const entry of this.entries.values()) {
+            const signal = (entry.favorite ? SIGNALS.favorite : 0)
+                + (entry.banned ? SIGNALS.ban : 0)
+                + Math.min(entry.completions, RANKING.maxCounted) * SIGNALS.completion
+                + Math.min(entry.skips, RANKING.maxCounted) * SIGNALS.skip;
+            if (signal === 0) continue;
+            
+            for (const tag of entry.tags || []) {
+                tags[tag] = (tags[tag] || 0) + signal / entry.tags.length;
+            }
+            if (entry.username) {
+                uploaders[entry.username] = (uploaders[entry.username] || 0) + signal;
+            }
+        }
+        
+        this.profile = { tags, uploaders };
+        return this.profile;
+    }
+    
+    changed() {
+        this.profile = null;
+        this.scheduleSave();
+    }
+    
+    scheduleSave() {
+        if (!this.isReady) return;
+        
+        clearTimeout(this.saveTimer);
+        this.saveTimer = setTimeout(() => this.save(), 500);
+    }
+    
+    async save() {
+        try {
+            const data = { version: 1, entries: Array.from(this.entries.values()) };
+            await fs.promises.writeFile(this.filePath, JSON.stringify(data, null, 2));
+        } catch (error) {
+            console.error('❤️ Failed to save track feedback:', error);
+        }
+    }
+}
+
+module.exports = TrackFeedback;
@@ -0,0 +1,106 @@
+// Ordered list of tracks from a search, with a play position, history and
+// the information needed to fetch further result pages when it runs low.
+class TrackQueue {
+    constructor() {
+        this.tracks = [];
+        this.index = -1;
+        this.searchQuery = null;
+        this.nextPage = null;
+        this.isLoading = false;
+        this.isShuffled = false;
+        this.lowWaterMark = 2; // Fetch more when this few tracks are left
+    }
+    
+    load(tracks, { searchQuery = null, nextPage = null } = {}) {
+        this.tracks = [];
+        this.index = -1;
+        this.searchQuery = searchQuery;
+        this.nextPage = nextPage;
+        this.isShuffled = false;
+        this.append(tracks, nextPage);
+        this.index = this.tracks.length > 0 ? 0 : -1;
+    }
+    
+    clear() {
+        this.load([]);
+    }
+    
+    append(tracks, nextPage = null) {
+        const known = new Set(this.tracks.map(trackKey));
+        const fresh = tracks.filter(track => !known.has(trackKey(track)));
+        
+        if (this.isShuffled) {
+            shuffleInPlace(fresh);
+        }
+        
+        this.tracks.push(...fresh);
+        this.nextPage = nextPage;
+        return fresh.length;
+    }
+    
+    get length() {
+        return this.tracks.length;
+    }
+    
+    current() {
+        return this.tracks[this.index] || null;
+    }
+    
+    remaining() {
+        return Math.max(0, this.tracks.length - this.index - 1);
+    }
+    
+    needsMore() {
+        return !this.isLoading && this.nextPage !== null && this.remaining() < this.lowWaterMark;
+    }
+    
+    next() {
+        if (this.index >= this.tracks.length - 1) return null;
+        this.index++;
+        return this.current();
+    }
+    
+    previous() {
+        if (this.index <= 0) return null;
+        this.index--;
+        return this.current();
+    }
+    
+    // Back to the top once everything has been played
+    restart() {
+        if (this.tracks.length === 0) return null;
+        this.index = 0;
+        return this.current();
+    }
+    
+    // Shuffle what hasn't been played yet; history stays in order
+    shuffle() {
+        const upcoming = this.tracks.slice(this.index + 1);
+        shuffleInPlace(upcoming);
+        this.tracks.splice(this.index + 1, upcoming.length, ...upcoming);
+        this.isShuffled = true;
+    }
+    
+    getState() {
+        return {
+            position: this.index + 1,
+            length: this.tracks.length,
+            shuffled: this.isShuffled,
+            hasMore: this.nextPage !== null
+        };
+    }
+}
+
+function trackKey(track) {
+    return track.id != null ? `id:${track.id}` : `${track.username}/${track.name}`;
+}
+
+function shuffleInPlace(items) {
+    for (let i = items.length - 1; i > 0; i--) {
+        const j = Math.floor(Math.random() * (i + 1));
+        [items[i], items[j]] = [items[j], items[i]];
+    }
+    return items;
+}
+
+module.exports = TrackQueue;
@@ -1,54 +1,473 @@
 // Load environment variables
 require('dotenv').config();
 
-const { createClient } = require('@deepgram/sdk');
 const EventEmitter = require('events');
+const path = require('path');
+const { pathToFileURL } = require('url');
+const DeepgramBackend = require('./stt/deepgramBackend');
+const VoskBackend = require('./stt/voskBackend');
+const WakeWordDetector = require('./wakeWordDetector');
+const settings = require('./settingsStore');
+const { DURATION_PATTERN, CLOCK_PATTERN, parseNumber, parseDuration, parseClockTime } = require('../utils/timeParse');
 
 // We'll handle microphone differently in Electron
 const mic = null;
 
+// Words that refer to the whole mix rather than a named layer
+const MIX_WORDS = ['it', 'this', 'that', 'everything', 'all'];
+
+// Layer sounds and their aliases (see LAYER_PRESETS in audioSystem), and the
+// brainwave layer - the only things a bare "stop ..." removes
+const LAYER_WORDS = [
+    'rain', 'rainfall', 'raindrops', 'thunder', 'storm', 'thunderstorm', 'ocean', 'waves', 'sea', 'surf',
+    'wind', 'breeze', 'birds', 'birdsong', 'forest', 'fire', 'fireplace', 'campfire', 'crackling',
+    'cafe', 'café', 'coffee shop', 'chatter', 'noise', 'white noise', 'brown noise', 'brownian noise', 'pink noise', 'static',
+    'beats', 'binaural beats', 'isochronic tones', 'tones', 'brainwaves'
+];
+
+// Tone and space words and the effect they push: [effect, direction]
+const TONE_WORDS = {
+    warm: ['warmth', 1], warmer: ['warmth', 1], warmth: ['warmth', 1], bass: ['warmth', 1], bassier: ['warmth', 1], fuller: ['warmth', 1],
+    cold: ['warmth', -1], colder: ['warmth', -1], cooler: ['warmth', -1], thinner: ['warmth', -1],
+    bright: ['brightness', 1], brighter: ['brightness', 1], brightness: ['brightness', 1], treble: ['brightness', 1], crisp: ['brightness', 1], crisper: ['brightness', 1],
+    dark: ['brightness', -1], darker: ['brightness', -1], duller: ['brightness', -1], mellow: ['brightness', -1], mellower: ['brightness', -1],
+    muffled: ['lowpass', 1], clear: ['lowpass', -1], clearer: ['lowpass', -1],
+    reverb: ['reverb', 1], echo: ['reverb', 1], echoey: ['reverb', 1], space: ['reverb', 1], spacious: ['reverb', 1], roomier: ['reverb', 1], wetter: ['reverb', 1],
+    dry: ['reverb', -1], drier: ['reverb', -1],
+    wide: ['width', 1], wider: ['width', 1], stereo: ['width', 1],
+    narrow: ['width', -1], narrower: ['width', -1], mono: ['width', -1]
+};
+
+// Brainwave bands and the goals that pick them (see BRAINWAVE_BANDS in layerSources)
+const BRAINWAVE_WORDS = [
+    'delta', 'theta', 'alpha', 'beta', 'gamma',
+    'sleep', 'deep sleep', 'meditation', 'meditate', 'dream', 'relax', 'relaxing', 'relaxation', 'calm',
+    'alert', 'energy', 'study', 'focus', 'concentration'
+];
+
+// Structured control commands, matched against the whole utterance before
+// anything is sent to GPT. Each entry turns a regex match into a command.
+const CONTROL_PATTERNS = [
+    // Queue: "next", "skip this", "previous", "shuffle", "loop this one"
+    {
+        pattern: /^(?:next|next (?:track|song|one)|skip(?: (?:this|it))?(?: (?:one|track|song))?)$/,
+        toCommand: () => ({ action: 'next_track', description: 'next track' })
+    },
+    {
+        pattern: /^(?:previous|previous (?:track|song|one)|go back|back|last (?:track|song|one))$/,
+        toCommand: () => ({ action: 'previous_track', description: 'previous track' })
+    },
+    {
+        pattern: /^shuffle(?: (?:it|them|this|the queue|the playlist))?$/,
+        toCommand: () => ({ action: 'shuffle_queue', description: 'shuffle' })
+    },
+    {
+        pattern: /^(?:loop|repeat) (?:this|it|this one|this track|this song)$/,
+        toCommand: () => ({ action: 'set_playback_mode', mode: 'loop-one', description: 'loop this track' })
+    },
+    {
+        pattern: /^(?:keep playing|play through|autoplay|auto advance|stop looping|don'?t loop(?: this)?)$/,
+        toCommand: () => ({ action: 'set_playback_mode', mode: 'advance', description: 'advance through the queue' })
+    },
+    
+    // Similarity: "more like this", "similar but calmer", "something different"
+    {
+        pattern: /^(?:(?:play|give me|find|i want)\s+)?(?:(?:more|some more|others?|another one|songs?|sounds?|tracks?|something)\s+(?:like|similar to)\s+(?:this|that|it)(?:\s+(?:one|track|song|sound))?|(?:something|anything)?\s*similar|same (?:vibe|feel|thing))(?:\s*,?\s*but\s+(.+))?$/,
+        toCommand: (match) => ({
+            action: 'more_like_this',
+            modifier: match[1] || null,
+            description: match[1] ? `similar but ${match[1]}` : 'more like this'
+        })
+    },
+    {
+        pattern: /^(?:(?:play|give me|find|i want)\s+)?(?:less like (?:this|that|it)|(?:something|anything) (?:different|else)|(?:something|anything) (?:completely|totally|very) different|not (?:this|that) (?:kind|sort) of (?:thing|music|sound))(?:\s*,?\s*(?:maybe\s+)?(?:something\s+)?(.+))?$/,
+        toCommand: (match) => ({
+            action: 'less_like_this',
+            modifier: match[1] || null,
+            description: 'something different'
+        })
+    },
+    
+    // Feedback: "I love this", "never play this again", "play my favorites"
+    {
+        pattern: /^(?:i (?:really )?(?:love|like) (?:this|that|it)(?: one| track| song| sound)?|(?:favou?rite|save|star|heart) (?:this|that|it)(?: one| track| song| sound)?|add (?:this|that|it) to (?:my )?favou?rites)$/,
+        toCommand: () => ({ action: 'favorite_track', favorite: true, description: 'favorite' })
+    },
+    {
+        pattern: /^(?:unfavou?rite|unstar|unsave) (?:this|that|it)(?: one| track| song| sound)?$|^remove (?:this|that|it) from (?:my )?favou?rites$/,
+        toCommand: () => ({ action: 'favorite_track', favorite: false, description: 'unfavorite' })
+    },
+    {
+        pattern: /^(?:never play (?:this|that|it) again|don'?t (?:ever )?play (?:this|that|it) (?:ever )?again|(?:ban|block) (?:this|that|it)(?: one| track| song| sound)?|i hate (?:this|that|it)(?: one| track| song| sound)?)$/,
+        toCommand: () => ({ action: 'ban_track', description: 'never play this again' })
+    },
+    {
+        pattern: /^(?:i )?(?:don'?t|do not) like (?:this|that|it)(?: one| track| song| sound)?$|^(?:i )?dislike (?:this|that|it)(?: one| track| song| sound)?$|^not (?:this|that) one$/,
+        toCommand: () => ({ action: 'dislike_track', description: 'dislike' })
+    },
+    {
+        pattern: /^(?:play|shuffle|put on) (?:my |the )?(?:favou?rites|(?:favou?rite|liked|saved) (?:tracks|songs|sounds|music))$/,
+        toCommand: () => ({ action: 'play_favorites', description: 'favorites' })
+    },
+    
+    // Schedule: "back to the schedule", "turn off the schedule"
+    {
+        pattern: /^(?:(?:go )?back to|resume|follow|continue|stick to) (?:the |my )?(?:schedule|routine)$/,
+        toCommand: () => ({ action: 'resume_schedule', description: 'back to the schedule' })
+    },
+    {
+        pattern: /^(?:turn|switch) (on|off) (?:the |my )?(?:schedule|routine)$|^(?:turn|switch) (?:the |my )?(?:schedule|routine) (on|off)$|^(enable|disable|stop|start) (?:the |my )?(?:schedule|routine)$/,
+        toCommand: (match) => {
+            const word = match[1] || match[2] || match[3];
+            const enabled = word === 'on' || word === 'enable' || word === 'start';
+            return { action: 'set_schedule', enabled, description: `schedule ${enabled ? 'on' : 'off'}` };
+        }
+    },
+    
+    // Output device: "play on speakers", "switch output to my headphones"
+    {
+        pattern: /^(?:play(?: (?:it|this|the music|music))?|put (?:it|this|the music|music))\s+(?:on|through|over|out of)\s+(?:the\s+|my\s+)?(.+)$/,
+        toCommand: (match) => ({ action: 'set_output_device', device: match[1], description: `playing on ${match[1]}` })
+    },
+    {
+        pattern: /^(?:switch|change|set|move)\s+(?:the\s+)?(?:output|audio|sound|music)(?:\s+device)?\s+to\s+(?:the\s+|my\s+)?(.+)$/,
+        toCommand: (match) => ({ action: 'set_output_device', device: match[1], description: `playing on ${match[1]}` })
+    },
+    {
+        pattern: /^(?:use|switch to)\s+(?:the\s+|my\s+)?(speakers?|headphones?|headset|earbuds|airpods)$/,
+        toCommand: (match) => ({ action: 'set_output_device', device: match[1], description: `playing on ${match[1]}` })
+    },
+    
+    // Focus sessions: "start a 4-round pomodoro", "pause the pomodoro", "skip the break"
+    {
+        pattern: /^(?:start|begin)\s+(?:a\s+|an\s+|my\s+)?(?:(\S+?)(?:[- ]rounds?)?\s+)?(?:pomodoro|focus session)s?(?:\s+(?:with|of)\s+(\S+?)[- ]minutes?(?:\s+(?:work|focus))?(?:\s+(?:and|with)\s+(\S+?)[- ]minutes?\s+breaks?)?)?$/,
+        toCommand: (match) => {
+            const [rounds, workMinutes, breakMinutes] = match.slice(1).map(value => value ? parseNumber(value) : undefined);
+            if (rounds === null || workMinutes === null || breakMinutes === null) return null;
+            return { action: 'start_focus', rounds, workMinutes, breakMinutes, description: 'focus session' };
+        }
+    },
+    {
+        pattern: /^pause\s+(?:the\s+|my\s+)?(?:pomodoro|focus session|session|focus timer)$/,
+        toCommand: () => ({ action: 'pause_focus', description: 'pause the focus session' })
+    },
+    {
+        pattern: /^(?:resume|continue|unpause)\s+(?:the\s+|my\s+)?(?:pomodoro|focus session|session|focus timer)$/,
+        toCommand: () => ({ action: 'resume_focus', description: 'resume the focus session' })
+    },
+    {
+        pattern: /^(?:skip\s+(?:the\s+|this\s+)?(?:break|round|phase|pomodoro|work(?: block)?|focus(?: block)?)|skip to (?:the\s+)?(?:break|next round))$/,
+        toCommand: () => ({ action: 'skip_focus', description: 'skip ahead' })
+    },
+    {
+        pattern: /^(?:stop|end|cancel|quit)\s+(?:the\s+|my\s+)?(?:pomodoro|focus session|session)$/,
+        toCommand: () => ({ action: 'stop_focus', description: 'stop the focus session' })
+    },
+    {
+        pattern: /^(?:(?:pomodoro|focus|session) status|how many rounds(?: are)? left|how long until (?:my |the )?(?:next )?break|what round (?:is it|am i on)|how(?:'s| is) my (?:pomodoro|focus session)(?: going)?)$/,
+        toCommand: () => ({ action: 'focus_status', description: 'focus status' })
+    },
+    
+    // Sleep timer: "fade out in 10 minutes", "stop at 6pm", "add 10 minutes", "cancel the timer"
+    {
+        pattern: new RegExp(`^(?:fade out|stop(?: the music| playing)?|turn (?:it|the music) off)\\s+(?:in|after)\\s+(${DURATION_PATTERN})$`),
+        toCommand: (match) => timerCommand(parseDuration(match[1]))
+    },
+    {
+        pattern: new RegExp(`^(?:fade out|stop(?: the music| playing)?|turn (?:it|the music) off)\\s+at\\s+(${CLOCK_PATTERN})$`),
+        toCommand: (match) => {
+            const endsAt = parseClockTime(match[1]);
+            return endsAt ? { action: 'start_timer', endsAt: endsAt.getTime(), description: `stopping at ${match[1]}` } : null;
+        }
+    },
+    {
+        pattern: new RegExp(`^(?:set\\s+)?(?:a\\s+|the\\s+)?sleep timer(?:\\s+for)?\\s+(${DURATION_PATTERN})$`),
+        toCommand: (match) => timerCommand(parseDuration(match[1]))
+    },
+    {
+        pattern: new RegExp(`^(?:add|give me|another|extend(?: it| the(?: sleep)? timer)?(?: by)?)\\s+(${DURATION_PATTERN})(?:\\s+more)?(?:\\s+to the(?: sleep)? timer)?$`),
+        toCommand: (match) => extendTimerCommand(parseDuration(match[1]))
+    },
+    {
+        // "ten more minutes", "an hour more"
+        pattern: new RegExp(`^(${DURATION_PATTERN})(?:\\s+more)?$`),
+        toCommand: (match) => /\bmore\b/.test(match[0]) ? extendTimerCommand(parseDuration(match[1])) : null
+    },
+    {
+        pattern: /^(?:(?:cancel|stop|turn off|clear|remove)\s+(?:the\s+)?(?:sleep\s+)?timer|don'?t stop(?: the music)?|no timer)$/,
+        toCommand: () => ({ action: 'cancel_timer', description: 'cancel the sleep timer' })
+    },
+    {
+        pattern: /^(?:how (?:much time|long)(?: is)? (?:left|remaining)(?: on the timer)?|time left|how long until (?:it|the music) stops|when (?:does|will) (?:it|the music) stop|(?:sleep )?timer)$/,
+        toCommand: () => ({ action: 'query_timer', description: 'time left' })
+    },
+    {
+        // "play rain for 25 minutes" - run the request, then stop after the duration
+        pattern: new RegExp(`^(.+?)\\s+for\\s+(${DURATION_PATTERN})$`),
+        toCommand: (match) => {
+            const command = timerCommand(parseDuration(match[2]));
+            if (!command) return null;
+            command.command = matchPatterns(match[1]) || { text: match[1], category: 'music' };
+            return command;
+        }
+    },
+    
+    // Effects: "make it warmer", "a bit less bright", "more reverb", "reset sound"
+    {
+        pattern: /^(?:reset|flatten|clear)\s+(?:the\s+)?(?:sound|eq|effects|tone|audio)$|^(?:flat|normal|original)\s+sound$|^(?:remove|turn off)\s+(?:all\s+)?(?:the\s+)?effects$/,
+        toCommand: () => ({ action: 'reset_effects', description: 'reset sound' })
+    },
+    {
+        pattern: /^(?:remove|no|turn off|drop|get rid of)\s+(?:the\s+)?(reverb|echo)$/,
+        toCommand: () => ({ action: 'set_effects', changes: { reverb: 0 }, description: 'no reverb' })
+    },
+    {
+        pattern: /^(?:(?:please|can you)\s+)?(?:(?:make|turn)\s+(?:it|this|the\s+(?:music|sound|mix))\s+(?:sound\s+)?|(?:add|give it|use)\s+(?:some\s+)?)?(?:(a\s+(?:bit|little|touch|lot)|slightly|much|way|lots)\s+)?(?:(more|less)\s+)?([a-z]+)(?:\s+please)?$/,
+        toCommand: (match) => {
+            const tone = TONE_WORDS[match[3]];
+            if (!tone) return null;
+            const [effect, direction] = tone;
+            const amount = /lot|much|way/.test(match[1] || '') ? 2 : 1;
+            return {
+                action: 'adjust_effects',
+                changes: { [effect]: direction * amount * (match[2] === 'less' ? -1 : 1) },
+                description: match[0]
+            };
+        }
+    },
+    
+    // Brainwave tones: "add gamma beats", "play isochronic alpha tones", "add focus beats"
+    {
+        pattern: /^(?:please\s+)?(?:add|play|start|put on|layer in|bring in)\s+(?:some\s+|the\s+)?(?:(binaural|isochronic)\s+)?(?:([a-z]+(?: sleep)?)\s+)?(?:(binaural|isochronic)\s+)?(beats?|tones?|pulses?|waves?|brainwaves?)(?:\s+layer)?$/,
+        toCommand: (match) => {
+            const band = match[2] && BRAINWAVE_WORDS.includes(match[2]) ? match[2] : null;
+            const mode = match[1] || match[3] || (/^pulse/.test(match[4]) ? 'isochronic' : null);
+            if ((match[2] && !band) || (!band && !mode)) return null;
+            return {
+                action: 'add_brainwave',
+                band: band || 'alpha',
+                mode: mode || undefined, // AudioSystem keeps the last mode used
+                description: `${band || 'alpha'} ${mode ? `${mode} ` : ''}${match[4]}`
+            };
+        }
+    },
+    
+    // Stopping the music itself: "stop playing", "turn off the music" - before
+    // the layer patterns, which would take "the music" for a layer to remove
+    {
+        pattern: /^(?:please\s+)?(?:stop|turn off|switch off|pause)\s+(?:(?:the|this|my)\s+)?(?:music|playing|playback|song|track|everything|it)(?:\s+(?:now|please))?$|^stop playing(?:\s+(?:the\s+)?music)?$/,
+        toCommand: () => ({ action: 'stop', description: 'stop' })
+    },
+    
+    // Mixer layers: "add rain", "remove the rain", "rain louder", "mute the noise"
+    {
+        pattern: /^(?:please\s+)?(?:add|layer in|bring in|put on)\s+(?:some\s+|a\s+little\s+|the\s+)?(.+?)(?:\s+sounds?|\s+layer)?$/,
+        toCommand: (match) => ({ action: 'add_layer', layer: match[1], description: `adding ${match[1]}` })
+    },
+    {
+        pattern: /^(?:please\s+)?(remove|drop|get rid of|turn off|stop)\s+(?:the\s+)?(.+?)(?:\s+sounds?|\s+layer)?$/,
+        toCommand: (match) => {
+            // Otherwise "stop now", "stop all" and "stop listening" are the stop intent
+            if (MIX_WORDS.includes(match[2]) || (match[1] === 'stop' && !LAYER_WORDS.includes(match[2]))) return null;
+            return { action: 'remove_layer', layer: match[2], description: `removing ${match[2]}` };
+        }
+    },
+    {
+        // Master volume: "volume up", "turn the volume down", "turn up the volume" -
+        // before the layer pattern, which would take "volume" for a layer
+        pattern: /^(?:(?:make|turn)\s+)?(?:the\s+)?(?:master\s+)?(?:volume|master|everything)\s+(louder|quieter|softer|up|down)$|^turn\s+(up|down)\s+(?:the\s+)?(?:master\s+)?(?:volume|everything)$/,
+        toCommand: (match) => {
+            const louder = ['louder', 'up'].includes(match[1] || match[2]);
+            return louder ? { action: 'volume_up', description: 'volume up' } : { action: 'volume_down', description: 'volume down' };
+        }
+    },
+    {
+        pattern: /^(?:make\s+|turn\s+)?(?:the\s+)?(.+?)\s+(louder|quieter|softer|up|down)$/,
+        toCommand: (match) => {
+            if (MIX_WORDS.includes(match[1])) return null;
+            const louder = match[2] === 'louder' || match[2] === 'up';
+            return {
+                action: 'adjust_layer',
+                layer: match[1],
+                delta: louder ? 0.15 : -0.15,
+                description: `${match[1]} ${louder ? 'louder' : 'quieter'}`
+            };
+        }
+    },
+    {
+        pattern: /^(un)?mute\s+(?:the\s+)?(.+?)(?:\s+sounds?|\s+layer)?$/,
+        toCommand: (match) => ({
+            action: 'mute_layer',
+            layer: match[2],
+            muted: !match[1],
+            description: `${match[1] ? 'unmuting' : 'muting'} ${match[2]}`
+        })
+    }
+];
+
+function timerCommand(duration) {
+    return duration ? { action: 'start_timer', duration, description: 'sleep timer' } : null;
+}
+
+function extendTimerCommand(duration) {
+    return duration ? { action: 'extend_timer', duration, description: 'extend the sleep timer' } : null;
+}
+
+// First structured command matching already-normalized text, or null
+function matchPatterns(text) {
+    for (const { pattern, toCommand } of CONTROL_PATTERNS) {
+        const match = text.match(pattern);
+        if (match) {
+            const command = toCommand(match);
+            if (command) return command;
+        }
+    }
+    return null;
+}
+
 class VoiceProcessor extends EventEmitter {
     constructor() {
         super();
-        this.deepgram = null;
-        this.liveTranscription = null;
+        this.backends = [new DeepgramBackend(), new VoskBackend()];
+        this.backend = null; // The speech-to-text engine in use
         this.microphone = null;
-        this.isListening = false;
-        this.apiKey = process.env.DEEPGRAM_API_KEY;
+        this.isListening = false; // A speech-to-text session is open
+        this.captureNode = null;
+        this.frameMs = 256; // PCM frame length from the capture worklet (settings: capture.frameMs)
+        this.pendingAudio = []; // Audio waiting for the backend to be ready
+        this.maxPendingMs = 5000;
+        
+        // Hands-free mode: the mic stays on and the wake phrase opens a session
+        this.wakeWord = new WakeWordDetector();
+        this.wakeWordEnabled = false;
+        this.isAwake = false; // Between a wake and the end of the command that follows
+        this.preRoll = []; // Recent audio, sent ahead of the command after a wake
+        this.preRollMs = 3000;
+        this.commandTimer = null;
+        this.wakeWord.on('wake', () => this.onWake());
+        
+        for (const backend of this.backends) {
+            backend.on('open', () => {
+                if (backend === this.backend) this.emit('listening');
+            });
+            backend.on('transcript', ({ text, isFinal }) => {
+                if (backend !== this.backend) return;
+                
+                // After a wake the pre-roll usually carries the phrase itself
+                if (this.isAwake) {
+                    text = this.wakeWord.stripPhrase(text);
+                    if (!text || !isFinal) {
+                        this.resetCommandTimer(); // Just the phrase, or still talking - keep waiting
+                    } else {
+                        // The command is in; whoever handles it calls endCommand()
+                        clearTimeout(this.commandTimer);
+                    }
+                    if (!text) return;
+                }
+                
+                if (!isFinal) {
+                    this.emit('interim', text);
+                    return;
+                }
+                console.log('Transcription:', text);
+                this.emit('transcription', text);
+            });
+            // The backend's own speech detection, alongside ours
+            backend.on('speech-started', () => {
+                if (backend === this.backend && this.isListening && this.vadEnabled) {
+                    this.setSpeechActive(true, backend.name);
+                }
+            });
+            backend.on('utterance-end', () => {
+                if (backend !== this.backend || !this.isSpeechActive) return;
+                this.setSpeechActive(false, backend.name);
+                // The worklet may still be in its hangover (or hearing noise); start it afresh
+                if (this.captureNode) {
+                    this.captureNode.port.postMessage({ type: 'reset' });
+                }
+            });
+            backend.on('close', () => {
+                if (backend === this.backend) this.emit('stopped');
+            });
+            backend.on('error', (error) => {
+                if (backend === this.backend) this.emit('recognition-error', error);
+            });
+        }
         
         // Voice Activity Detection properties
         this.vadEnabled = true;
-        this.vadThreshold = 0.01; // Minimum energy threshold for speech
-        this.vadSmoothingFactor = 0.8; // Smoothing for energy calculation
+        this.vadThreshold = 0.005; // Minimum speech band level, whatever the noise floor (settings: vad.threshold)
         this.vadMinSpeechDuration = 300; // Minimum ms of speech to trigger
-        this.vadSilenceTimeout = 1000; // Ms of silence before ending speech
+        this.vadSilenceTimeout = 1000; // Ms of hangover after speech before ending it
         
-        // VAD state tracking
+        // VAD state, as reported by the capture worklet
         this.currentEnergy = 0;
-        this.speechStartTime = null;
-        this.lastSpeechTime = null;
+        this.noiseFloor = null; // Tracked separately from speech; seeded by calibration
         this.isSpeechActive = false;
-        this.energyHistory = [];
-        this.maxHistoryLength = 10;
+        this.calibration = null; // { resolve, reject, timer } while calibrating
+        
+        // Barge-in: speaking over a reply cuts it off, and a new command can
+        // replace one still being processed (settings: listening.bargeIn)
+        this.bargeIn = false;
+        this.isSpeaking = false;
+        this.speakingTimer = null;
     }
     
     async initialize() {
         console.log('Initializing VoiceProcessor...');
-        console.log('API Key status:', this.apiKey ? 'Set' : 'Not set');
-        console.log('API Key (first 10 chars):', this.apiKey ? this.apiKey.substring(0, 10) + '...' : 'undefined');
+        await settings.initialize();
+        this.frameMs = settings.get('capture.frameMs');
+        this.vadThreshold = settings.get('vad.threshold');
+        this.noiseFloor = settings.get('vad.noiseFloor');
+        this.bargeIn = settings.get('listening.bargeIn');
         
-        if (!this.apiKey) {
-            throw new Error('Please set your Deepgram API key in the .env file: DEEPGRAM_API_KEY=your_key_here');
+        const choice = settings.get('stt.backend');
+        const candidates = choice === 'auto'
+            ? this.backends
+            : this.backends.filter(backend => backend.id === choice);
+        if (candidates.length === 0) {
+            throw new Error(`Unknown speech recognition backend "${choice}"`);
         }
         
-        try {
-            // Initialize Deepgram client
-            this.deepgram = createClient(this.apiKey);
-            console.log('✅ VoiceProcessor initialized with Deepgram');
-        } catch (error) {
-            console.error('❌ Failed to initialize Deepgram client:', error);
-            throw error;
+        // With 'auto', the first backend that initializes wins
+        const errors = [];
+        for (const backend of candidates) {
+            try {
+                await backend.initialize(this.backendOptions(backend));
+                this.backend = backend;
+                console.log(`✅ VoiceProcessor initialized with ${backend.name}`);
+                return;
+            } catch (error) {
+                console.warn(`🎙️ ${backend.name} unavailable:`, error.message);
+                errors.push(error);
+            }
+        }
+        throw errors[errors.length - 1];
+    }
+    
+    backendOptions(backend) {
+        return backend.id === 'vosk' ? { modelPath: settings.get('stt.voskModelPath') } : {};
+    }
+    
+    getBackend(id) {
+        return this.backends.find(backend => backend.id === id) || null;
+    }
+    
+    // Switch engines ('deepgram', 'vosk' or 'auto'); listening restarts if it was on
+    async setBackend(id, { voskModelPath } = {}) {
+        if (voskModelPath !== undefined) {
+            settings.set('stt.voskModelPath', voskModelPath || null);
+        }
+        settings.set('stt.backend', id);
+        
+        const wasListening = this.isListening;
+        this.stopListening();
+        this.backend = null;
+        await this.initialize();
+        if (wasListening) {
+            await this.startListening();
         }
+        return this.backend;
     }
     
     async startListening() {
@@ -58,111 +477,177 @@ class VoiceProcessor extends EventEmitter {
             return;
         }
         
-        if (!this.deepgram) {
-            throw new Error('Deepgram client not initialized');
+        if (!this.backend) {
+            throw new Error('Speech recognition not initialized');
         }
         
         try {
-            // Create live transcription connection with Nova-3 model
-            this.liveTranscription = this.deepgram.listen.live({
-                model: 'nova-3', // Updated to Nova-3 as preferred
-                language: 'en-US',
-                smart_format: true,
-                punctuate: true,
-                interim_results: false,
-                endpointing: 300, // End utterance after 300ms of silence
-                vad_events: true,
-                channels: 1,
-                sample_rate: 16000,
-                encoding: 'linear16'
-            });
-            
-            // Set up event listeners
-            this.liveTranscription.on('open', () => {
-                console.log('Deepgram connection opened');
-                this.emit('listening');
-            });
-            
-            this.liveTranscription.on('Results', (data) => {
-                const result = data.channel?.alternatives?.[0];
-                if (result && result.transcript && result.transcript.trim().length > 0) {
-                    console.log('Transcription:', result.transcript);
-                    this.emit('transcription', result.transcript);
-                }
-            });
-            
-            this.liveTranscription.on('error', (error) => {
-                console.error('Deepgram error:', error);
-            });
-            
-            this.liveTranscription.on('close', () => {
-                console.log('Deepgram connection closed');
-                this.emit('stopped');
-            });
-            
-            // Use Web Audio API for microphone access in Electron
-            console.log('🎤 Starting Web Audio API microphone...');
-            
-            const stream = await navigator.mediaDevices.getUserMedia({
-                audio: {
-                    sampleRate: 16000,
-                    channelCount: 1,
-                    echoCancellation: true,
-                    noiseSuppression: true
-                }
-            });
-            
-            console.log('✅ Microphone stream acquired');
-            
-            // Create audio context and connect to Deepgram
-            const audioContext = new AudioContext({ sampleRate: 16000 });
-            const source = audioContext.createMediaStreamSource(stream);
-            const processor = audioContext.createScriptProcessor(4096, 1, 1);
-            
-            processor.onaudioprocess = (event) => {
-                if (this.liveTranscription && this.liveTranscription.getReadyState() === 1) {
-                    const inputData = event.inputBuffer.getChannelData(0);
-                    
-                    // Process Voice Activity Detection
-                    this.processVAD(inputData);
-                    
-                    // Convert float32 to int16
-                    const int16Data = new Int16Array(inputData.length);
-                    for (let i = 0; i < inputData.length; i++) {
-                        int16Data[i] = Math.max(-32768, Math.min(32767, inputData[i] * 32768));
-                    }
-                    this.liveTranscription.send(int16Data.buffer);
-                }
-            };
-            
-            source.connect(processor);
-            processor.connect(audioContext.destination);
-            
-            // Store references for cleanup
-            this.audioContext = audioContext;
-            this.mediaStream = stream;
-            this.processor = processor;
-            
-            this.isListening = true;
-            console.log('✅ Deepgram listening started successfully');
-            
+            await this.startCapture();
+            await this.openSession();
+            console.log(`✅ ${this.backend.name} listening started successfully`);
         } catch (error) {
             console.error('❌ Failed to start listening:', error);
+            if (!this.wakeWordEnabled) {
+                this.stopCapture();
+            }
             throw error;
         }
     }
     
-
+    // Start a speech-to-text session. Audio that arrives before the backend is
+    // ready (a websocket still connecting) is held and sent once it is.
+    async openSession(preRoll = []) {
+        this.pendingAudio = preRoll.slice();
+        this.isListening = true;
+        this.updateCaptureVAD();
+        await this.backend.start();
+    }
+    
+    // Microphone capture. Runs for as long as something needs the mic: a
+    // listening session, or wake word spotting in between. Resampling, PCM
+    // conversion and VAD happen in captureWorklet.js on the audio thread; only
+    // finished frames and speech start/end come back here.
+    async startCapture() {
+        if (this.captureNode) return;
+        
+        // Use Web Audio API for microphone access in Electron
+        console.log('🎤 Starting Web Audio API microphone...');
+        
+        const stream = await navigator.mediaDevices.getUserMedia({
+            audio: {
+                channelCount: 1,
+                echoCancellation: true,
+                noiseSuppression: true
+            }
+        });
+        
+        console.log('✅ Microphone stream acquired');
+        
+        // The device's own rate; the worklet resamples to the 16 kHz the
+        // speech-to-text backends and the wake word model expect
+        const audioContext = new AudioContext({ latencyHint: 'interactive' });
+        try {
+            await audioContext.audioWorklet.addModule(pathToFileURL(path.join(__dirname, 'captureWorklet.js')).href);
+        } catch (error) {
+            stream.getTracks().forEach(track => track.stop());
+            audioContext.close();
+            throw error;
+        }
+        
+        const source = audioContext.createMediaStreamSource(stream);
+        const captureNode = new AudioWorkletNode(audioContext, 'voice-capture', {
+            numberOfInputs: 1,
+            numberOfOutputs: 0, // Nothing to play - no connection to the speakers needed
+            channelCount: 1,
+            channelCountMode: 'explicit', // Mix stereo mics down to mono
+            processorOptions: {
+                targetRate: 16000,
+                frameSize: this.frameSamples(),
+                vad: { ...this.vadOptions(), noiseFloor: this.noiseFloor }
+            }
+        });
+        captureNode.port.onmessage = (event) => this.onCaptureMessage(event.data);
+        source.connect(captureNode);
+        
+        // Store references for cleanup
+        this.audioContext = audioContext;
+        this.mediaStream = stream;
+        this.microphone = source;
+        this.captureNode = captureNode;
+        console.log(`✅ Capturing at ${audioContext.sampleRate} Hz, ${this.frameMs} ms frames`);
+    }
+    
+    onCaptureMessage(message) {
+        const { type, pcm, energy } = message;
+        switch (type) {
+            case 'frame':
+                this.currentEnergy = energy;
+                this.noiseFloor = message.noiseFloor;
+                this.onAudio(new Int16Array(pcm));
+                break;
+            case 'calibrated':
+                this.onCalibrated(message);
+                break;
+            case 'speechStart':
+                if (!this.isListening) return;
+                this.setSpeechActive(true, `local VAD, energy ${energy.toFixed(4)}`);
+                break;
+            case 'speechEnd':
+                this.setSpeechActive(false, 'local VAD');
+                break;
+        }
+    }
+    
+    onAudio(pcm) {
+        if (this.isListening) {
+            this.sendToBackend(pcm);
+        } else if (this.wakeWordEnabled) {
+            this.preRoll.push(pcm);
+            while (this.preRoll.length > this.framesIn(this.preRollMs)) {
+                this.preRoll.shift();
+            }
+            this.wakeWord.process(pcm);
+        }
+    }
     
+    sendToBackend(pcm) {
+        if (!this.backend.isReady) {
+            this.pendingAudio.push(pcm);
+            // Keep the last few seconds if the backend is slow to connect
+            if (this.pendingAudio.length > this.framesIn(this.maxPendingMs)) {
+                this.pendingAudio.shift();
+            }
+            return;
+        }
+        
+        for (const chunk of this.pendingAudio.splice(0)) {
+            this.backend.send(chunk);
+        }
+        this.backend.send(pcm);
+    }
+    
+    // Wake word spotting keeps the mic open; setWakeWord({ enabled: false }) turns it off
     stopListening() {
-        if (!this.isListening) return;
+        this.endCommand();
+        if (!this.wakeWordEnabled) {
+            this.stopCapture();
+        }
+        this.emit('stopped');
+    }
+    
+    // Close the speech-to-text session; wake word spotting (if on) carries on
+    endCommand() {
+        clearTimeout(this.commandTimer);
+        this.commandTimer = null;
         
-        this.isListening = false;
+        if (this.isListening) {
+            this.isListening = false;
+            this.updateCaptureVAD();
+            this.pendingAudio = [];
+            if (this.backend) {
+                this.backend.close().catch(error => console.error('🎙️ Failed to close speech recognition:', error));
+            }
+            // Let go of the duck without waiting for silence
+            this.setSpeechActive(false, 'session closed');
+        }
         
+        if (this.isAwake) {
+            this.isAwake = false;
+            this.emit('command-end');
+        }
+        if (this.wakeWordEnabled) {
+            this.preRoll = [];
+            this.wakeWord.reset();
+        }
+    }
+    
+    stopCapture() {
         // Clean up Web Audio API resources
-        if (this.processor) {
-            this.processor.disconnect();
-            this.processor = null;
+        if (this.captureNode) {
+            this.captureNode.port.onmessage = null;
+            this.microphone.disconnect();
+            this.captureNode = null;
+            this.microphone = null;
         }
         
         if (this.audioContext) {
@@ -174,18 +659,112 @@ class VoiceProcessor extends EventEmitter {
             this.mediaStream.getTracks().forEach(track => track.stop());
             this.mediaStream = null;
         }
+    }
+    
+    // Length of each PCM frame sent to speech recognition, in ms. Shorter gets
+    // words to the backend sooner at the cost of more messages.
+    setFrameLength(ms) {
+        this.frameMs = Math.max(16, Math.min(1000, Math.round(ms)));
+        settings.set('capture.frameMs', this.frameMs);
+        if (this.captureNode) {
+            this.captureNode.port.postMessage({ type: 'configure', frameSize: this.frameSamples() });
+        }
+        console.log('🎤 Capture frame length set to:', this.frameMs, 'ms');
+    }
+    
+    frameSamples() {
+        return Math.round(this.frameMs * 16);
+    }
+    
+    // How many frames cover `ms` of audio
+    framesIn(ms) {
+        return Math.ceil(ms / this.frameMs);
+    }
+    
+    // Hands-free mode: spot the wake phrase on-device, then open a session
+    // for the command that follows. Needs a Vosk model (see Settings → Speech recognition).
+    async setWakeWord({ enabled, phrase, sensitivity, chime } = {}) {
+        for (const [key, value] of Object.entries({ enabled, phrase, sensitivity, chime })) {
+            if (value !== undefined) {
+                settings.set(`wakeWord.${key}`, value);
+            }
+        }
         
-        if (this.liveTranscription) {
-            this.liveTranscription.finish();
-            this.liveTranscription = null;
+        const options = settings.get('wakeWord');
+        if (!options.enabled) {
+            this.setWakeWordActive(false);
+            if (!this.isListening) {
+                this.stopCapture();
+            }
+            return false;
         }
         
-        this.emit('stopped');
+        if (!this.wakeWord.model) {
+            await this.wakeWord.initialize({ modelPath: settings.get('stt.voskModelPath'), ...options });
+        } else {
+            this.wakeWord.configure(options);
+        }
+        await this.startCapture();
+        this.setWakeWordActive(true);
+        return true;
+    }
+    
+    setWakeWordActive(active) {
+        if (active === this.wakeWordEnabled) return;
+        
+        this.wakeWordEnabled = active;
+        this.preRoll = [];
+        if (!active) {
+            this.wakeWord.stop();
+        } else if (!this.wakeWord.isReady) {
+            this.wakeWord.reset();
+        }
+        console.log(`👂 Wake word ${active ? `on - say "${this.wakeWord.phrase}"` : 'off'}`);
+        this.emit('wake-word', { enabled: active, phrase: this.wakeWord.phrase });
+    }
+    
+    // The wake phrase was heard: open a session for the command, starting with
+    // the audio just before the wake so a command said in one breath isn't clipped
+    async onWake() {
+        if (this.isListening || !this.backend) return;
+        
+        this.isAwake = true;
+        this.emit('wake');
+        this.resetCommandTimer();
+        
+        try {
+            await this.openSession(this.preRoll);
+        } catch (error) {
+            console.error('👂 Failed to start listening after wake word:', error);
+            this.emit('recognition-error', error);
+            this.endCommand();
+        }
+        this.preRoll = [];
+    }
+    
+    // Give up on a wake that isn't followed by a command
+    resetCommandTimer() {
+        clearTimeout(this.commandTimer);
+        this.commandTimer = setTimeout(() => {
+            console.log('👂 No command after the wake word');
+            this.endCommand();
+        }, settings.get('wakeWord.commandTimeout'));
+    }
+    
+    // Match an utterance against the structured control patterns, or null
+    matchControlCommand(transcription) {
+        const text = transcription.toLowerCase().trim().replace(/[.!?,]+$/g, '');
+        return matchPatterns(text);
     }
     
     async parseIntent(transcription) {
         const text = transcription.toLowerCase().trim();
         
+        const controlCommand = this.matchControlCommand(transcription);
+        if (controlCommand) {
+            return controlCommand;
+        }
+        
         // Simple intent parsing - can be replaced with GPT-based parsing
         const intents = {
             // Music style commands
@@ -231,12 +810,31 @@ class VoiceProcessor extends EventEmitter {
         
         // Skip TTS due to CORS restrictions in browser
         // Just log what would be spoken and immediately complete
+        this.isSpeaking = true;
         this.emit('speaking');
-        setTimeout(() => {
+        clearTimeout(this.speakingTimer);
+        this.speakingTimer = setTimeout(() => {
+            this.isSpeaking = false;
             this.emit('speaking-complete');
         }, 100);
     }
     
+    // Cut a reply short, e.g. because the user started talking over it
+    stopSpeaking() {
+        if (!this.isSpeaking) return;
+        
+        clearTimeout(this.speakingTimer);
+        this.isSpeaking = false;
+        console.log('🔇 Reply interrupted');
+        this.emit('speaking-complete', { interrupted: true });
+    }
+    
+    setBargeIn(enabled) {
+        this.bargeIn = !!enabled;
+        settings.set('listening.bargeIn', this.bargeIn);
+        console.log('⏭️ Barge-in', this.bargeIn ? 'on' : 'off');
+    }
+    
     async getAudioBuffer(stream) {
         const chunks = [];
         const reader = stream.getReader();
@@ -271,93 +869,100 @@ class VoiceProcessor extends EventEmitter {
         });
     }
     
-    // Voice Activity Detection Methods
-    calculateAudioEnergy(audioData) {
-        let sum = 0;
-        for (let i = 0; i < audioData.length; i++) {
-            sum += audioData[i] * audioData[i];
-        }
-        return Math.sqrt(sum / audioData.length);
+    // Voice Activity Detection Methods. Detection itself runs in the capture
+    // worklet, and only while a session is open.
+    vadOptions() {
+        return {
+            active: this.isListening && this.vadEnabled,
+            threshold: this.vadThreshold,
+            minSpeechDuration: this.vadMinSpeechDuration,
+            silenceTimeout: this.vadSilenceTimeout
+        };
     }
     
-    updateEnergyHistory(energy) {
-        this.energyHistory.push(energy);
-        if (this.energyHistory.length > this.maxHistoryLength) {
-            this.energyHistory.shift();
+    updateCaptureVAD() {
+        if (this.captureNode) {
+            this.captureNode.port.postMessage({ type: 'configure', vad: this.vadOptions() });
         }
     }
     
-    getAverageEnergy() {
-        if (this.energyHistory.length === 0) return 0;
-        const sum = this.energyHistory.reduce((a, b) => a + b, 0);
-        return sum / this.energyHistory.length;
-    }
-    
-    processVAD(audioData) {
-        if (!this.vadEnabled) return false;
-        
-        // Calculate current audio energy
-        const instantEnergy = this.calculateAudioEnergy(audioData);
-        
-        // Smooth the energy using exponential moving average
-        this.currentEnergy = (this.vadSmoothingFactor * this.currentEnergy) + 
-                            ((1 - this.vadSmoothingFactor) * instantEnergy);
+    // Speech starts when either our VAD or the backend's hears it, and ends
+    // with whichever notices the silence first
+    setSpeechActive(active, source) {
+        if (active === this.isSpeechActive) return;
         
-        // Update energy history for adaptive thresholding
-        this.updateEnergyHistory(this.currentEnergy);
-        
-        // Adaptive threshold based on recent energy history
-        const avgEnergy = this.getAverageEnergy();
-        const adaptiveThreshold = Math.max(this.vadThreshold, avgEnergy * 1.5);
-        
-        const currentTime = Date.now();
-        const isSpeechDetected = this.currentEnergy > adaptiveThreshold;
-        
-        if (isSpeechDetected) {
-            if (!this.speechStartTime) {
-                this.speechStartTime = currentTime;
-                console.log('🎤 Speech detected, energy:', this.currentEnergy.toFixed(4));
-            }
-            this.lastSpeechTime = currentTime;
-            
-            // Check if we've had speech long enough to trigger
-            const speechDuration = currentTime - this.speechStartTime;
-            if (speechDuration >= this.vadMinSpeechDuration && !this.isSpeechActive) {
-                this.isSpeechActive = true;
-                console.log('🗣️ Speech activity started');
-                this.emit('speechStart');
+        this.isSpeechActive = active;
+        if (active) {
+            console.log(`🗣️ Speech activity started (${source})`);
+            if (this.bargeIn) {
+                this.stopSpeaking();
             }
+            this.emit('speechStart');
         } else {
-            // Check if we should end speech activity
-            if (this.isSpeechActive && this.lastSpeechTime) {
-                const silenceDuration = currentTime - this.lastSpeechTime;
-                if (silenceDuration >= this.vadSilenceTimeout) {
-                    this.isSpeechActive = false;
-                    this.speechStartTime = null;
-                    console.log('🤫 Speech activity ended');
-                    this.emit('speechEnd');
-                }
-            }
+            console.log(`🤫 Speech activity ended (${source})`);
+            this.emit('speechEnd');
         }
-        
-        return this.isSpeechActive;
     }
     
     // Method to enable/disable VAD
     setVADEnabled(enabled) {
         this.vadEnabled = enabled;
-        if (!enabled && this.isSpeechActive) {
-            this.isSpeechActive = false;
-            this.speechStartTime = null;
-            this.emit('speechEnd');
+        this.updateCaptureVAD();
+        if (!enabled) {
+            this.setSpeechActive(false, 'VAD disabled');
         }
     }
     
-    // Method to adjust VAD sensitivity
+    // Method to adjust VAD sensitivity by hand; calibrateVAD() usually does better
     setVADThreshold(threshold) {
         this.vadThreshold = Math.max(0.001, Math.min(0.1, threshold));
+        settings.set('vad.threshold', this.vadThreshold);
+        this.updateCaptureVAD();
         console.log('VAD threshold set to:', this.vadThreshold);
     }
+    
+    // Listen to a few seconds of the room (the user staying quiet) and set the
+    // noise floor and threshold from it. Resolves with { noiseFloor, threshold }.
+    async calibrateVAD(seconds = 3) {
+        if (this.calibration) {
+            throw new Error('Already calibrating');
+        }
+        
+        const hadCapture = !!this.captureNode;
+        await this.startCapture();
+        console.log(`🤫 Calibrating VAD for ${seconds}s - stay quiet...`);
+        
+        try {
+            return await new Promise((resolve, reject) => {
+                const timer = setTimeout(() => {
+                    this.calibration = null;
+                    reject(new Error('Calibration timed out - is the microphone working?'));
+                }, (seconds + 2) * 1000);
+                this.calibration = { resolve, reject, timer };
+                this.captureNode.port.postMessage({ type: 'calibrate', duration: seconds * 1000 });
+            });
+        } finally {
+            // Leave the mic as it was, unless something started using it meanwhile
+            if (!hadCapture && !this.isListening && !this.wakeWordEnabled) {
+                this.stopCapture();
+            }
+        }
+    }
+    
+    onCalibrated({ noiseFloor, threshold, zcr }) {
+        if (!this.calibration) return;
+        
+        const { resolve, timer } = this.calibration;
+        clearTimeout(timer);
+        this.calibration = null;
+        
+        this.noiseFloor = noiseFloor;
+        this.vadThreshold = Math.max(0.001, Math.min(0.1, threshold));
+        settings.set('vad', { threshold: this.vadThreshold, noiseFloor, calibratedAt: Date.now() });
+        this.updateCaptureVAD();
+        console.log(`✅ VAD calibrated: noise floor ${noiseFloor.toFixed(4)}, threshold ${this.vadThreshold.toFixed(4)}, ZCR ${zcr.toFixed(3)}`);
+        resolve({ noiseFloor, threshold: this.vadThreshold });
+    }
 }
 
 module.exports = VoiceProcessor; 
\ No newline at end of file
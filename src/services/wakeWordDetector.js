@@ -0,0 +1,133 @@
+const EventEmitter = require('events');
+const VoskBackend = require('./stt/voskBackend');
+
+// On-device keyword spotting for hands-free use. A Vosk recognizer limited to
+// the wake phrase (everything else comes out as "[unk]") listens to the mic
+// stream and emits 'wake' when it hears the phrase with enough confidence.
+// Nothing leaves the machine until then.
+class WakeWordDetector extends EventEmitter {
+    constructor() {
+        super();
+        this.phrase = 'hey music';
+        this.sensitivity = 0.5; // 0 - 1; higher wakes more easily (and more falsely)
+        this.vosk = null;
+        this.model = null;
+        this.recognizer = null;
+        this.pending = Promise.resolve();
+        this.cooldown = 1500; // ms after a wake before another can fire
+        this.lastWake = 0;
+    }
+    
+    async initialize({ modelPath, phrase, sensitivity } = {}) {
+        const { vosk, model } = VoskBackend.loadModel(modelPath);
+        this.vosk = vosk;
+        this.model = model;
+        this.configure({ phrase, sensitivity });
+    }
+    
+    get isReady() {
+        return !!this.recognizer;
+    }
+    
+    configure({ phrase, sensitivity } = {}) {
+        if (typeof phrase === 'string' && phrase.trim()) {
+            this.phrase = normalize(phrase);
+        }
+        if (typeof sensitivity === 'number' && !isNaN(sensitivity)) {
+            this.sensitivity = Math.max(0, Math.min(1, sensitivity));
+        }
+        if (this.model) {
+            this.reset();
+        }
+    }
+    
+    // Word confidence needed to wake: 0.9 at sensitivity 0, 0.3 at 1
+    get minConfidence() {
+        return 0.9 - this.sensitivity * 0.6;
+    }
+    
+    // Fresh recognizer, dropping anything half-heard
+    reset() {
+        if (this.recognizer) {
+            const old = this.recognizer;
+            this.pending.then(() => old.free());
+        }
+        this.recognizer = new this.vosk.Recognizer({
+            model: this.model,
+            sampleRate: 16000,
+            grammar: [this.phrase, '[unk]']
+        });
+        this.recognizer.setWords(true);
+    }
+    
+    // Feed 16 kHz Int16Array audio
+    process(pcm) {
+        const recognizer = this.recognizer;
+        if (!recognizer) return;
+        
+        const chunk = Buffer.from(pcm.buffer, pcm.byteOffset, pcm.byteLength);
+        this.pending = this.pending
+            .then(() => recognizer.acceptWaveformAsync(chunk))
+            .then((endOfUtterance) => {
+                if (endOfUtterance && recognizer === this.recognizer) {
+                    this.check(recognizer.result());
+                }
+            })
+            .catch(error => console.error('👂 Wake word detection failed:', error));
+    }
+    
+    // A finished utterance: wake if the phrase's words are in it, in order,
+    // each heard confidently enough
+    check(result) {
+        const words = (result && result.result) || [];
+        const target = this.phrase.split(' ');
+        
+        for (let i = 0; i + target.length <= words.length; i++) {
+            const run = words.slice(i, i + target.length);
+            if (!run.every((word, j) => word.word === target[j])) continue;
+            
+            const confidence = Math.min(...run.map(word => word.conf));
+            if (confidence < this.minConfidence) {
+                console.log(`👂 Heard "${this.phrase}" but not clearly enough (${confidence.toFixed(2)})`);
+                return false;
+            }
+            
+            const now = Date.now();
+            if (now - this.lastWake < this.cooldown) return false;
+            this.lastWake = now;
+            
+            console.log(`👂 Wake word (${confidence.toFixed(2)})`);
+            this.emit('wake', { confidence });
+            return true;
+        }
+        return false;
+    }
+    
+    // Text after the wake phrase, for transcripts that include it
+    stripPhrase(text) {
+        const original = text.trim().split(/\s+/);
+        const words = original.map(normalize);
+        const target = this.phrase.split(' ');
+        for (let i = 0; i + target.length <= words.length; i++) {
+            if (target.every((word, j) => words[i + j] === word)) {
+                return original.slice(i + target.length).join(' ').replace(/^[,.!?\s]+/, '');
+            }
+        }
+        return text;
+    }
+    
+    stop() {
+        if (this.recognizer) {
+            const old = this.recognizer;
+            this.recognizer = null;
+            this.pending.then(() => old.free());
+        }
+    }
+}
+
+// Lower case words without punctuation: "Hey, Music!" -> "hey music"
+function normalize(text) {
+    return text.toLowerCase().replace(/[^a-z0-9'\s]/g, ' ').trim().split(/\s+/).join(' ');
+}
+
+module.exports = WakeWordDetector;
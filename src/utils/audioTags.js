@@ -0,0 +1,348 @@
+const fs = require('fs');
+const path = require('path');
+
+// Minimal tag reader for the local music library: ID3v2/ID3v1 (MP3),
+// Vorbis comments (FLAC, OGG/Opus) and RIFF INFO chunks (WAV). Only the
+// descriptive fields we match requests against are extracted.
+
+const MAX_TAG_BYTES = 2 * 1024 * 1024; // Don't read huge embedded artwork
+const OGG_SCAN_BYTES = 128 * 1024;
+const MP3_SCAN_BYTES = 16 * 1024; // Enough to get past padding to the first frame
+
+async function readTags(filePath) {
+    const fallback = {
+        title: path.basename(filePath, path.extname(filePath)),
+        artist: null,
+        album: null,
+        genre: null,
+        comment: null,
+        duration: null
+    };
+    
+    const handle = await fs.promises.open(filePath, 'r');
+    try {
+        const { size } = await handle.stat();
+        const header = await readAt(handle, 0, 12);
+        let tags = {};
+        
+        if (header.toString('latin1', 0, 3) === 'ID3') {
+            tags = await readId3v2(handle, header);
+        } else if (header.toString('latin1', 0, 4) === 'fLaC') {
+            tags = await readFlac(handle);
+        } else if (header.toString('latin1', 0, 4) === 'OggS') {
+            tags = parseOgg(await readAt(handle, 0, Math.min(size, OGG_SCAN_BYTES)));
+        } else if (header.toString('latin1', 0, 4) === 'RIFF' && header.toString('latin1', 8, 12) === 'WAVE') {
+            tags = await readWav(handle, size);
+        }
+        
+        // MP3 and Ogg tags don't carry a duration, so it comes from the audio itself
+        if (/\.mp3$/i.test(filePath)) {
+            const audioStart = header.toString('latin1', 0, 3) === 'ID3' ? 10 + synchsafe(header, 6) + (header[5] & 0x10 ? 10 : 0) : 0;
+            tags.duration = await readMp3Duration(handle, audioStart, size);
+        } else if (header.toString('latin1', 0, 4) === 'OggS') {
+            const tail = await readAt(handle, Math.max(0, size - OGG_SCAN_BYTES), Math.min(size, OGG_SCAN_BYTES));
+            tags.duration = oggDuration(await readAt(handle, 0, Math.min(size, OGG_SCAN_BYTES)), tail);
+        }
+        
+        // Fall back to ID3v1 at the end of MP3s without (useful) ID3v2 tags
+        if (!tags.title && size > 128 && /\.mp3$/i.test(filePath)) {
+            tags = { ...readId3v1(await readAt(handle, size - 128, 128)), ...stripEmpty(tags) };
+        }
+        
+        return { ...fallback, ...stripEmpty(tags) };
+    } finally {
+        await handle.close();
+    }
+}
+
+async function readAt(handle, position, length) {
+    const buffer = Buffer.alloc(length);
+    const { bytesRead } = await handle.read(buffer, 0, length, position);
+    return buffer.subarray(0, bytesRead);
+}
+
+function stripEmpty(tags) {
+    const result = {};
+    for (const [key, value] of Object.entries(tags)) {
+        if (value !== null && value !== undefined && value !== '') {
+            result[key] = value;
+        }
+    }
+    return result;
+}
+
+function synchsafe(buffer, offset) {
+    return (buffer[offset] << 21) | (buffer[offset + 1] << 14) | (buffer[offset + 2] << 7) | buffer[offset + 3];
+}
+
+// ID3v2.2 - v2.4 text frames
+async function readId3v2(handle, header) {
+    const version = header[3];
+    const tagSize = synchsafe(header, 6);
+    const data = await readAt(handle, 10, Math.min(tagSize, MAX_TAG_BYTES));
+    
+    const frameIds = version === 2
+        ? { TT2: 'title', TP1: 'artist', TAL: 'album', TCO: 'genre', COM: 'comment' }
+        : { TIT2: 'title', TPE1: 'artist', TALB: 'album', TCON: 'genre', COMM: 'comment' };
+    const idLength = version === 2 ? 3 : 4;
+    const headerLength = version === 2 ? 6 : 10;
+    
+    const tags = {};
+    let offset = 0;
+    while (offset + headerLength <= data.length) {
+        const id = data.toString('latin1', offset, offset + idLength);
+        if (!/^[A-Z0-9]+$/.test(id)) break; // Padding
+        
+        let frameSize;
+        if (version === 2) {
+            frameSize = (data[offset + 3] << 16) | (data[offset + 4] << 8) | data[offset + 5];
+        } else if (version === 4) {
+            frameSize = synchsafe(data, offset + 4);
+        } else {
+            frameSize = data.readUInt32BE(offset + 4);
+        }
+        
+        const start = offset + headerLength;
+        const field = frameIds[id];
+        if (field && start + frameSize <= data.length) {
+            const frame = data.subarray(start, start + frameSize);
+            tags[field] = id.startsWith('COM') ? decodeComment(frame) : decodeText(frame);
+        }
+        offset = start + frameSize;
+    }
+    
+    // Numeric genres look like "(17)" or "(17)Rock"
+    if (tags.genre) {
+        tags.genre = tags.genre.replace(/^\(\d+\)/, '').trim() || null;
+    }
+    return tags;
+}
+
+function decodeText(frame) {
+    const encoding = frame[0];
+    return decodeString(frame.subarray(1), encoding).replace(/\0+$/, '').split('\0')[0].trim();
+}
+
+// COMM: encoding, 3-byte language, short description, then the text
+function decodeComment(frame) {
+    const encoding = frame[0];
+    const text = decodeString(frame.subarray(4), encoding);
+    const parts = text.split('\0').filter(Boolean);
+    return (parts[parts.length - 1] || '').trim();
+}
+
+function decodeString(buffer, encoding) {
+    switch (encoding) {
+        case 1: { // UTF-16 with BOM
+            const littleEndian = buffer[0] === 0xFF && buffer[1] === 0xFE;
+            const body = buffer.subarray(2);
+            return littleEndian ? body.toString('utf16le') : swapBytes(body).toString('utf16le');
+        }
+        case 2: // UTF-16BE
+            return swapBytes(buffer).toString('utf16le');
+        case 3:
+            return buffer.toString('utf8');
+        default:
+            return buffer.toString('latin1');
+    }
+}
+
+function swapBytes(buffer) {
+    const copy = Buffer.from(buffer.subarray(0, buffer.length - (buffer.length % 2)));
+    return copy.swap16();
+}
+
+function readId3v1(data) {
+    if (data.toString('latin1', 0, 3) !== 'TAG') return {};
+    
+    const field = (start, length) => data.toString('latin1', start, start + length).replace(/\0.*$/, '').trim();
+    return {
+        title: field(3, 30),
+        artist: field(33, 30),
+        album: field(63, 30),
+        comment: field(97, 28)
+    };
+}
+
+async function readFlac(handle) {
+    const tags = {};
+    let offset = 4;
+    let isLast = false;
+    
+    while (!isLast) {
+        const blockHeader = await readAt(handle, offset, 4);
+        if (blockHeader.length < 4) break;
+        
+        isLast = (blockHeader[0] & 0x80) !== 0;
+        const type = blockHeader[0] & 0x7F;
+        const length = (blockHeader[1] << 16) | (blockHeader[2] << 8) | blockHeader[3];
+        
+        if (type === 0) { // STREAMINFO
+            const info = await readAt(handle, offset + 4, length);
+            const sampleRate = (info[10] << 12) | (info[11] << 4) | (info[12] >> 4);
+            const totalSamples = (info[13] & 0x0F) * 2 ** 32 + info.readUInt32BE(14);
+            if (sampleRate > 0) {
+                tags.duration = totalSamples / sampleRate;
+            }
+        } else if (type === 4) { // VORBIS_COMMENT
+            Object.assign(tags, parseVorbisComment(await readAt(handle, offset + 4, Math.min(length, MAX_TAG_BYTES))));
+        }
+        offset += 4 + length;
+    }
+    
+    return tags;
+}
+
+// The comment header follows "\x03vorbis" (Vorbis) or "OpusTags" (Opus)
+function parseOgg(data) {
+    const markers = [Buffer.from('\x03vorbis', 'latin1'), Buffer.from('OpusTags', 'latin1')];
+    for (const marker of markers) {
+        const index = data.indexOf(marker);
+        if (index !== -1) {
+            return parseVorbisComment(data.subarray(index + marker.length));
+        }
+    }
+    return {};
+}
+
+function parseVorbisComment(data) {
+    const fields = { TITLE: 'title', ARTIST: 'artist', ALBUM: 'album', GENRE: 'genre', COMMENT: 'comment', DESCRIPTION: 'comment' };
+    const tags = {};
+    
+    try {
+        const vendorLength = data.readUInt32LE(0);
+        let offset = 4 + vendorLength;
+        const count = data.readUInt32LE(offset);
+        offset += 4;
+        
+        for (let i = 0; i < count && offset + 4 <= data.length; i++) {
+            const length = data.readUInt32LE(offset);
+            const entry = data.toString('utf8', offset + 4, offset + 4 + length);
+            offset += 4 + length;
+            
+            const separator = entry.indexOf('=');
+            const field = fields[entry.slice(0, separator).toUpperCase()];
+            if (field && !tags[field]) {
+                tags[field] = entry.slice(separator + 1).trim();
+            }
+        }
+    } catch (error) {
+        // Truncated comment block - keep whatever we managed to read
+    }
+    
+    return tags;
+}
+
+// MPEG audio layer III: kbps by bitrate index, Hz by sample rate index
+const MP3_BITRATES = {
+    mpeg1: [0, 32, 40, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320],
+    mpeg2: [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160]
+};
+const MP3_SAMPLE_RATES = { 3: [44100, 48000, 32000], 2: [22050, 24000, 16000], 0: [11025, 12000, 8000] };
+
+// From the Xing/Info or VBRI frame count when there is one (VBR files),
+// otherwise from the first frame's bitrate (CBR)
+async function readMp3Duration(handle, start, size) {
+    const data = await readAt(handle, start, Math.max(0, Math.min(size - start, MP3_SCAN_BYTES)));
+    
+    for (let offset = 0; offset + 4 <= data.length; offset++) {
+        const frame = parseMp3Frame(data, offset);
+        if (!frame) continue;
+        
+        const secondsPerFrame = frame.samplesPerFrame / frame.sampleRate;
+        const xing = offset + 4 + frame.sideInfoLength;
+        if (xing + 12 <= data.length && /^(?:Xing|Info)$/.test(data.toString('latin1', xing, xing + 4)) && (data.readUInt32BE(xing + 4) & 1)) {
+            return data.readUInt32BE(xing + 8) * secondsPerFrame;
+        }
+        const vbri = offset + 36;
+        if (vbri + 18 <= data.length && data.toString('latin1', vbri, vbri + 4) === 'VBRI') {
+            return data.readUInt32BE(vbri + 14) * secondsPerFrame;
+        }
+        
+        return (size - start - offset) * 8 / (frame.bitrate * 1000);
+    }
+    return null;
+}
+
+function parseMp3Frame(data, offset) {
+    if (data[offset] !== 0xFF || (data[offset + 1] & 0xE0) !== 0xE0) return null;
+    
+    const version = (data[offset + 1] >> 3) & 3; // 3 = MPEG-1, 2 = MPEG-2, 0 = MPEG-2.5
+    const layer = (data[offset + 1] >> 1) & 3; // 1 = layer III
+    const bitrateIndex = data[offset + 2] >> 4;
+    const sampleRateIndex = (data[offset + 2] >> 2) & 3;
+    if (version === 1 || layer !== 1 || bitrateIndex === 0 || bitrateIndex === 15 || sampleRateIndex === 3) return null;
+    
+    const mpeg1 = version === 3;
+    const mono = (data[offset + 3] >> 6) === 3;
+    return {
+        bitrate: MP3_BITRATES[mpeg1 ? 'mpeg1' : 'mpeg2'][bitrateIndex],
+        sampleRate: MP3_SAMPLE_RATES[version][sampleRateIndex],
+        samplesPerFrame: mpeg1 ? 1152 : 576,
+        sideInfoLength: mpeg1 ? (mono ? 17 : 32) : (mono ? 9 : 17)
+    };
+}
+
+// The last page's granule position is the stream length in samples; Opus
+// always counts at 48 kHz, less the pre-skip
+function oggDuration(head, tail) {
+    let sampleRate = null;
+    let preSkip = 0;
+    const vorbis = head.indexOf(Buffer.from('\x01vorbis', 'latin1'));
+    const opus = head.indexOf(Buffer.from('OpusHead', 'latin1'));
+    if (vorbis !== -1 && vorbis + 16 <= head.length) {
+        sampleRate = head.readUInt32LE(vorbis + 12);
+    } else if (opus !== -1 && opus + 12 <= head.length) {
+        sampleRate = 48000;
+        preSkip = head.readUInt16LE(opus + 10);
+    }
+    if (!sampleRate) return null;
+    
+    const capture = Buffer.from('OggS', 'latin1');
+    for (let page = tail.lastIndexOf(capture); page !== -1; page = page > 0 ? tail.lastIndexOf(capture, page - 1) : -1) {
+        if (page + 14 > tail.length) continue;
+        const granule = tail.readBigInt64LE(page + 6);
+        if (granule >= 0n) {
+            return Math.max(0, Number(granule) - preSkip) / sampleRate;
+        }
+    }
+    return null;
+}
+
+async function readWav(handle, size) {
+    const fields = { INAM: 'title', IART: 'artist', IPRD: 'album', IGNR: 'genre', ICMT: 'comment' };
+    const tags = {};
+    let byteRate = 0;
+    let offset = 12;
+    
+    while (offset + 8 <= size) {
+        const chunkHeader = await readAt(handle, offset, 8);
+        const id = chunkHeader.toString('latin1', 0, 4);
+        const length = chunkHeader.readUInt32LE(4);
+        
+        if (id === 'fmt ') {
+            byteRate = (await readAt(handle, offset + 8, 16)).readUInt32LE(8);
+        } else if (id === 'data' && byteRate > 0) {
+            tags.duration = length / byteRate;
+        } else if (id === 'LIST') {
+            const list = await readAt(handle, offset + 8, Math.min(length, MAX_TAG_BYTES));
+            if (list.toString('latin1', 0, 4) === 'INFO') {
+                let position = 4;
+                while (position + 8 <= list.length) {
+                    const subId = list.toString('latin1', position, position + 4);
+                    const subLength = list.readUInt32LE(position + 4);
+                    if (fields[subId]) {
+                        tags[fields[subId]] = list.toString('utf8', position + 8, position + 8 + subLength).replace(/\0+$/, '').trim();
+                    }
+                    position += 8 + subLength + (subLength % 2);
+                }
+            }
+        }
+        
+        offset += 8 + length + (length % 2); // Chunks are word aligned
+    }
+    
+    return tags;
+}
+
+module.exports = { readTags };
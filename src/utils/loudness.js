@@ -0,0 +1,116 @@
+// Integrated loudness (ITU-R BS.1770 / EBU R128) of a decoded AudioBuffer:
+// K-weighting filter, 400 ms blocks with 75% overlap, then the absolute
+// (-70 LUFS) and relative (-10 LU) gates.
+
+const BLOCK_SECONDS = 0.4;
+const STEP_SECONDS = 0.1;
+const ABSOLUTE_GATE = -70;
+const RELATIVE_GATE = -10;
+
+// K-weighting as two biquads (high shelf + high pass), with coefficients
+// derived for any sample rate the same way libebur128 does
+function kWeightingFilters(sampleRate) {
+    let K = Math.tan(Math.PI * 1681.974450955533 / sampleRate);
+    const Vh = Math.pow(10, 3.999843853973347 / 20);
+    const Vb = Math.pow(Vh, 0.4996667741545416);
+    let Q = 0.7071752369554196;
+    let a0 = 1 + K / Q + K * K;
+    const shelf = {
+        b: [(Vh + Vb * K / Q + K * K) / a0, 2 * (K * K - Vh) / a0, (Vh - Vb * K / Q + K * K) / a0],
+        a: [2 * (K * K - 1) / a0, (1 - K / Q + K * K) / a0]
+    };
+    
+    K = Math.tan(Math.PI * 38.13547087602444 / sampleRate);
+    Q = 0.5003270373238773;
+    a0 = 1 + K / Q + K * K;
+    const highpass = {
+        b: [1, -2, 1],
+        a: [2 * (K * K - 1) / a0, (1 - K / Q + K * K) / a0]
+    };
+    
+    return [shelf, highpass];
+}
+
+// Sum of K-weighted squared samples for each 100 ms step of one channel
+function weightedStepEnergy(samples, filters, stepLength, stepCount) {
+    const steps = new Float64Array(stepCount);
+    const state = filters.map(() => ({ x1: 0, x2: 0, y1: 0, y2: 0 }));
+    
+    for (let i = 0; i < stepCount * stepLength; i++) {
+        let value = samples[i];
+        for (let f = 0; f < filters.length; f++) {
+            const { b, a } = filters[f];
+            const s = state[f];
+            const output = b[0] * value + b[1] * s.x1 + b[2] * s.x2 - a[0] * s.y1 - a[1] * s.y2;
+            s.x2 = s.x1;
+            s.x1 = value;
+            s.y2 = s.y1;
+            s.y1 = output;
+            value = output;
+        }
+        steps[Math.floor(i / stepLength)] += value * value;
+    }
+    return steps;
+}
+
+function toLUFS(meanSquare) {
+    return meanSquare > 0 ? -0.691 + 10 * Math.log10(meanSquare) : -Infinity;
+}
+
+// { integrated: LUFS, peak: sample peak in dBFS }
+function measureLoudness(audioBuffer) {
+    const { sampleRate, numberOfChannels, length } = audioBuffer;
+    const filters = kWeightingFilters(sampleRate);
+    const stepLength = Math.round(sampleRate * STEP_SECONDS);
+    const stepsPerBlock = Math.round(BLOCK_SECONDS / STEP_SECONDS);
+    const stepCount = Math.floor(length / stepLength);
+    
+    let peak = 0;
+    const channelSteps = [];
+    for (let channel = 0; channel < numberOfChannels; channel++) {
+        const samples = audioBuffer.getChannelData(channel);
+        for (let i = 0; i < length; i++) {
+            const magnitude = Math.abs(samples[i]);
+            if (magnitude > peak) peak = magnitude;
+        }
+        channelSteps.push(weightedStepEnergy(samples, filters, stepLength, stepCount));
+    }
+    
+    // Mean square of each 400 ms block, summed across channels
+    const blocks = [];
+    for (let start = 0; start + stepsPerBlock <= stepCount; start++) {
+        let energy = 0;
+        for (const steps of channelSteps) {
+            for (let s = start; s < start + stepsPerBlock; s++) {
+                energy += steps[s];
+            }
+        }
+        blocks.push(energy / (stepLength * stepsPerBlock));
+    }
+    
+    // Too short for a single block - measure the whole thing ungated
+    if (blocks.length === 0) {
+        let energy = 0;
+        for (const steps of channelSteps) {
+            energy += steps.reduce((sum, value) => sum + value, 0);
+        }
+        const measured = stepCount * stepLength;
+        return { integrated: toLUFS(measured > 0 ? energy / measured : 0), peak: 20 * Math.log10(peak || 1e-10) };
+    }
+    
+    const mean = (values) => values.reduce((sum, value) => sum + value, 0) / values.length;
+    const audible = blocks.filter(block => toLUFS(block) > ABSOLUTE_GATE);
+    if (audible.length === 0) {
+        return { integrated: -Infinity, peak: 20 * Math.log10(peak || 1e-10) };
+    }
+    
+    const threshold = toLUFS(mean(audible)) + RELATIVE_GATE;
+    const gated = audible.filter(block => toLUFS(block) > threshold);
+    
+    return {
+        integrated: toLUFS(mean(gated)),
+        peak: 20 * Math.log10(peak || 1e-10)
+    };
+}
+
+module.exports = { measureLoudness };
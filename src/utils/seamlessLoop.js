@@ -0,0 +1,85 @@
+// Turns a decoded track into a buffer that loops without a gap or click:
+// silence (and MP3 encoder padding) is trimmed from both ends, the loop end
+// is nudged to where the tail best lines up with the head, and the tail is
+// crossfaded into the head so the wrap-around point is continuous.
+
+const MIN_LOOP_SECONDS = 0.5;
+const ALIGN_WINDOW = 2048; // Samples compared when lining up the tail with the head
+
+// { start, end, fadeLength } in samples
+function findLoopRegion(audioBuffer, { silenceThreshold = 0.01, crossfade = 1.5, searchWindow = 0.05 } = {}) {
+    const { sampleRate, length } = audioBuffer;
+    const channels = Array.from({ length: audioBuffer.numberOfChannels }, (_, i) => audioBuffer.getChannelData(i));
+    const mono = new Float32Array(length);
+    let peak = 0;
+    for (const data of channels) {
+        for (let i = 0; i < length; i++) {
+            mono[i] += data[i] / channels.length;
+            peak = Math.max(peak, Math.abs(data[i]));
+        }
+    }
+    
+    // Trim quiet edges
+    const threshold = peak * silenceThreshold;
+    let start = 0;
+    let end = length;
+    while (start < end && Math.abs(mono[start]) <= threshold) start++;
+    while (end > start && Math.abs(mono[end - 1]) <= threshold) end--;
+    
+    if (end - start < sampleRate * MIN_LOOP_SECONDS) {
+        return { start: 0, end: length, fadeLength: 0 };
+    }
+    
+    const fadeLength = Math.min(Math.round(crossfade * sampleRate), Math.floor((end - start) / 4));
+    
+    // Try loop ends a little earlier than the trimmed end and keep the one
+    // whose crossfade region correlates best with the head (less phasing)
+    const search = Math.min(Math.round(searchWindow * sampleRate), Math.floor((end - start) / 4));
+    const window = Math.min(ALIGN_WINDOW, fadeLength);
+    const headStart = start + Math.floor((fadeLength - window) / 2);
+    let bestEnd = end;
+    let bestScore = -Infinity;
+    for (let candidate = end - search; candidate <= end; candidate++) {
+        const tailStart = candidate - fadeLength + Math.floor((fadeLength - window) / 2);
+        let score = 0;
+        for (let i = 0; i < window; i++) {
+            score += mono[headStart + i] * mono[tailStart + i];
+        }
+        if (score > bestScore) {
+            bestScore = score;
+            bestEnd = candidate;
+        }
+    }
+    
+    return { start, end: bestEnd, fadeLength };
+}
+
+// A new AudioBuffer holding just the loop, with the tail already mixed into the head
+function createSeamlessLoop(audioContext, audioBuffer, options = {}) {
+    const { start, end, fadeLength } = findLoopRegion(audioBuffer, options);
+    if (fadeLength === 0) {
+        return audioBuffer;
+    }
+    
+    const loopLength = end - start - fadeLength;
+    const loop = audioContext.createBuffer(audioBuffer.numberOfChannels, loopLength, audioBuffer.sampleRate);
+    
+    for (let channel = 0; channel < audioBuffer.numberOfChannels; channel++) {
+        const source = audioBuffer.getChannelData(channel);
+        const output = loop.getChannelData(channel);
+        output.set(source.subarray(start, start + loopLength));
+        
+        // Equal-power crossfade: the head fades in while the tail that
+        // leads into it (at the wrap-around) fades out
+        const tailStart = end - fadeLength;
+        for (let i = 0; i < fadeLength; i++) {
+            const t = (i + 0.5) / fadeLength;
+            output[i] = source[start + i] * Math.sin(t * Math.PI / 2) +
+                source[tailStart + i] * Math.cos(t * Math.PI / 2);
+        }
+    }
+    
+    return loop;
+}
+
+module.exports = { findLoopRegion, createSeamlessLoop };
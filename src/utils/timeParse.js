@@ -0,0 +1,139 @@
+// Parsing of spoken durations ("25 minutes", "an hour and a half") and
+// clock times ("6pm", "6:30", "18:00") for timed voice commands.
+
+const NUMBER_WORDS = {
+    a: 1, an: 1, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9,
+    ten: 10, eleven: 11, twelve: 12, thirteen: 13, fourteen: 14, fifteen: 15, sixteen: 16,
+    seventeen: 17, eighteen: 18, nineteen: 19, twenty: 20, thirty: 30, forty: 40, fifty: 50,
+    sixty: 60, ninety: 90
+};
+
+const UNIT_MS = {
+    second: 1000,
+    minute: 60 * 1000,
+    hour: 60 * 60 * 1000
+};
+
+// Pattern fragment that matches a spoken duration, for use in command regexes
+const DURATION_PATTERN = '(?:(?:a|an|half an?|\\d+(?:\\.\\d+)?|[a-z]+(?:[ -][a-z]+)?)\\s+(?:more\\s+)?(?:hours?|hrs?|minutes?|mins?|seconds?|secs?)(?:\\s+(?:and\\s+)?(?:a half|\\d+\\s+(?:minutes?|mins?)|[a-z]+(?:[ -][a-z]+)?\\s+(?:minutes?|mins?)))?)';
+
+// Pattern fragment for a clock time
+const CLOCK_PATTERN = '(?:noon|midnight|\\d{1,2}(?::\\d{2})?\\s*(?:a\\.?m\\.?|p\\.?m\\.?)?|[a-z]+(?:\\s+(?:a\\.?m\\.?|p\\.?m\\.?|o\'?clock))?)';
+
+function parseNumber(text) {
+    const value = text.trim();
+    if (/^\d+(?:\.\d+)?$/.test(value)) {
+        return parseFloat(value);
+    }
+    if (value === 'half a' || value === 'half an') {
+        return 0.5;
+    }
+    
+    // "twenty five", "twenty-five"
+    const words = value.split(/[\s-]+/);
+    if (words.every(word => word in NUMBER_WORDS)) {
+        return words.reduce((sum, word) => sum + NUMBER_WORDS[word], 0);
+    }
+    return null;
+}
+
+function unitFor(text) {
+    if (/^h/.test(text)) return 'hour';
+    if (/^m/.test(text)) return 'minute';
+    if (/^s/.test(text)) return 'second';
+    return null;
+}
+
+// Milliseconds, or null if the text isn't a duration
+function parseDuration(text) {
+    const input = (text || '').toLowerCase().trim();
+    const match = input.match(/^(half an?|.+?)\s+(?:more\s+)?(hours?|hrs?|minutes?|mins?|seconds?|secs?)(?:\s+(?:and\s+)?(.+))?$/);
+    if (!match) return null;
+    
+    const amount = parseNumber(match[1]);
+    const unit = unitFor(match[2]);
+    if (amount === null || !unit) return null;
+    
+    let total = amount * UNIT_MS[unit];
+    const rest = match[3];
+    if (rest) {
+        if (rest === 'a half') {
+            total += UNIT_MS[unit] / 2;
+        } else {
+            const extra = parseDuration(rest);
+            if (extra === null) return null;
+            total += extra;
+        }
+    }
+    return total > 0 ? Math.round(total) : null;
+}
+
+// The next Date at that clock time (today, or tomorrow if it has passed), or null
+function parseClockTime(text, now = new Date()) {
+    const input = (text || '').toLowerCase().replace(/\./g, '').replace(/o'?clock/, '').trim();
+    
+    let hours;
+    let minutes = 0;
+    let meridiem = null;
+    
+    if (input === 'noon') {
+        hours = 12;
+        meridiem = 'pm';
+    } else if (input === 'midnight') {
+        hours = 0;
+        meridiem = 'am';
+    } else {
+        const match = input.match(/^(\d{1,2}|[a-z]+)(?::(\d{2}))?\s*(am|pm)?$/);
+        if (!match) return null;
+        
+        hours = parseNumber(match[1]);
+        minutes = match[2] ? parseInt(match[2]) : 0;
+        meridiem = match[3] || null;
+        if (hours === null || hours > 23 || minutes > 59) return null;
+    }
+    
+    if (meridiem === 'pm' && hours < 12) hours += 12;
+    if (meridiem === 'am' && hours === 12) hours = 0;
+    
+    const candidates = [];
+    for (let day = 0; day <= 1; day++) {
+        const date = new Date(now);
+        date.setDate(date.getDate() + day);
+        date.setHours(hours, minutes, 0, 0);
+        candidates.push(date);
+        
+        // "stop at 6" could mean 6am or 6pm - take whichever comes next
+        if (!meridiem && hours >= 1 && hours <= 11) {
+            const afternoon = new Date(date);
+            afternoon.setHours(hours + 12);
+            candidates.push(afternoon);
+        }
+    }
+    
+    return candidates
+        .filter(date => date > now)
+        .sort((a, b) => a - b)[0] || null;
+}
+
+// "1:05:30" / "24:59" countdown text
+function formatCountdown(ms) {
+    const totalSeconds = Math.max(0, Math.ceil(ms / 1000));
+    const hours = Math.floor(totalSeconds / 3600);
+    const minutes = Math.floor((totalSeconds % 3600) / 60);
+    const seconds = totalSeconds % 60;
+    const pad = (value) => value.toString().padStart(2, '0');
+    return hours > 0 ? `${hours}:${pad(minutes)}:${pad(seconds)}` : `${minutes}:${pad(seconds)}`;
+}
+
+// "25 minutes", "1 hour 5 minutes" for spoken responses
+function describeDuration(ms) {
+    const totalMinutes = Math.max(1, Math.round(ms / 60000));
+    const hours = Math.floor(totalMinutes / 60);
+    const minutes = totalMinutes % 60;
+    const parts = [];
+    if (hours > 0) parts.push(`${hours} hour${hours === 1 ? '' : 's'}`);
+    if (minutes > 0) parts.push(`${minutes} minute${minutes === 1 ? '' : 's'}`);
+    return parts.join(' ');
+}
+
+module.exports = { DURATION_PATTERN, CLOCK_PATTERN, parseNumber, parseDuration, parseClockTime, formatCountdown, describeDuration };
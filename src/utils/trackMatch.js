@@ -0,0 +1,31 @@
+// Shared relevance scoring for matching { query, style, mood } requests
+// against tracks we hold locally (audio cache, local music library).
+
+function tokenize(text) {
+    return (text || '').toLowerCase().split(/[^a-z0-9]+/).filter(word => word.length > 2);
+}
+
+// Higher is better; 0 means nothing about the track matches the request
+function scoreTrack(searchQuery, { tags = [], text = '', queries = [], styles = [], moods = [] } = {}) {
+    const words = tokenize(searchQuery.query);
+    const style = (searchQuery.style || '').toLowerCase();
+    const mood = (searchQuery.mood || '').toLowerCase();
+    
+    const tagList = tags.map(tag => tag.toLowerCase());
+    const tagWords = tagList.flatMap(tokenize);
+    const textWords = tokenize(text);
+    const queryWords = queries.flatMap(tokenize);
+    
+    let score = 0;
+    for (const word of words) {
+        if (tagList.includes(word) || tagWords.includes(word)) score += 2;
+        if (textWords.includes(word)) score += 1;
+        if (queryWords.includes(word)) score += 1;
+    }
+    if (style && (styles.includes(style) || tagList.includes(style) || tagWords.includes(style))) score += 3;
+    if (mood && (moods.includes(mood) || tagList.includes(mood) || tagWords.includes(mood))) score += 2;
+    
+    return score;
+}
+
+module.exports = { tokenize, scoreTrack };